@@ -11,6 +11,8 @@ public interface ITaskRuntimeService : IService<ITaskRuntimeService>
     UnaryResult<RuntimeReadinessResult> GetRuntimeReadinessAsync();
     UnaryResult<RepositoryWorkspaceResult> EnsureRepositoryWorkspaceAsync(EnsureRepositoryWorkspaceRequest request);
     UnaryResult<RepositoryWorkspaceResult> RefreshRepositoryWorkspaceAsync(RefreshRepositoryWorkspaceRequest request);
+    UnaryResult<ListRepositoryFilesResult> ListRepositoryFilesAsync(ListRepositoryFilesRequest request);
+    UnaryResult<ReadRepositoryFilePreviewResult> ReadRepositoryFilePreviewAsync(ReadRepositoryFilePreviewRequest request);
     UnaryResult<StartRuntimeCommandResult> StartCommandAsync(StartRuntimeCommandRequest request);
     UnaryResult<CancelRuntimeCommandResult> CancelCommandAsync(CancelRuntimeCommandRequest request);
     UnaryResult<RuntimeCommandStatusResult> GetCommandStatusAsync(GetRuntimeCommandStatusRequest request);
@@ -0,0 +1,12 @@
+using MessagePack;
+
+namespace AgentsDashboard.Contracts.Features.Runtime.Models.TaskRuntime.Messages;
+
+[MessagePackObject]
+public sealed record ListRepositoryFilesRequest
+{
+    [Key(0)] public required string RepositoryId { get; init; }
+    [Key(1)] public required string GitUrl { get; init; }
+    [Key(2)] public string? LocalPath { get; init; }
+    [Key(3)] public int MaxFiles { get; init; }
+}
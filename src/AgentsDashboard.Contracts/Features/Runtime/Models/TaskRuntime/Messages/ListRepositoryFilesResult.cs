@@ -0,0 +1,12 @@
+using MessagePack;
+
+namespace AgentsDashboard.Contracts.Features.Runtime.Models.TaskRuntime.Messages;
+
+[MessagePackObject]
+public sealed record ListRepositoryFilesResult
+{
+    [Key(0)] public bool Success { get; init; }
+    [Key(1)] public string? ErrorMessage { get; init; }
+    [Key(2)] public required List<string> Paths { get; init; }
+    [Key(3)] public bool Truncated { get; init; }
+}
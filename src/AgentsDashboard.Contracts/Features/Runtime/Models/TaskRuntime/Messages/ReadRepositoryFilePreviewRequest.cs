@@ -0,0 +1,13 @@
+using MessagePack;
+
+namespace AgentsDashboard.Contracts.Features.Runtime.Models.TaskRuntime.Messages;
+
+[MessagePackObject]
+public sealed record ReadRepositoryFilePreviewRequest
+{
+    [Key(0)] public required string RepositoryId { get; init; }
+    [Key(1)] public required string GitUrl { get; init; }
+    [Key(2)] public string? LocalPath { get; init; }
+    [Key(3)] public required string RelativePath { get; init; }
+    [Key(4)] public int MaxLines { get; init; }
+}
@@ -0,0 +1,14 @@
+using MessagePack;
+
+namespace AgentsDashboard.Contracts.Features.Runtime.Models.TaskRuntime.Messages;
+
+[MessagePackObject]
+public sealed record ReadRepositoryFilePreviewResult
+{
+    [Key(0)] public bool Found { get; init; }
+    [Key(1)] public bool IsBinary { get; init; }
+    [Key(2)] public bool Truncated { get; init; }
+    [Key(3)] public string? Content { get; init; }
+    [Key(4)] public string? Reason { get; init; }
+    [Key(5)] public required string RelativePath { get; init; }
+}
@@ -73,6 +73,8 @@ public sealed class PromptSkillDocument
     public string Content { get; set; } = string.Empty;
     public string Description { get; set; } = string.Empty;
     public bool Enabled { get; set; } = true;
+    public int UsageCount { get; set; }
+    public DateTime? LastUsedAtUtc { get; set; }
     public DateTime CreatedAtUtc { get; set; } = DateTime.UtcNow;
     public DateTime UpdatedAtUtc { get; set; } = DateTime.UtcNow;
 }
@@ -0,0 +1,72 @@
+namespace AgentsDashboard.ControlPlane.Components.Layout;
+
+// Decides which run progress and runtime heartbeat changes get a sound. Each progress event sounds
+// once per run until the run finishes and is forgotten. Not thread-safe; callers serialize access.
+public sealed class RunEventSoundTracker
+{
+    public const string PendingApprovalEvent = "pendingApproval";
+    public const string RetryStartedEvent = "retryStarted";
+    public const string HeartbeatLostEvent = "heartbeatLost";
+
+    private readonly HashSet<string> _soundedRunEvents = new(StringComparer.OrdinalIgnoreCase);
+    private HashSet<string>? _onlineRuntimeIds;
+
+    public static string? GetRunProgressEventType(string? runState)
+    {
+        if (string.Equals(runState, nameof(RunState.PendingApproval), StringComparison.OrdinalIgnoreCase))
+        {
+            return PendingApprovalEvent;
+        }
+
+        // A run re-entering the queue or starting again is only a retry after its first attempt.
+        if (string.Equals(runState, nameof(RunState.Queued), StringComparison.OrdinalIgnoreCase)
+            || string.Equals(runState, nameof(RunState.Running), StringComparison.OrdinalIgnoreCase))
+        {
+            return RetryStartedEvent;
+        }
+
+        return null;
+    }
+
+    public static bool ShouldSoundAttempt(string eventType, int attempt)
+    {
+        return eventType != RetryStartedEvent || attempt > 1;
+    }
+
+    public bool TryMarkRunEvent(string eventType, string runId)
+    {
+        return _soundedRunEvents.Add($"{eventType}:{runId}");
+    }
+
+    public void ForgetRun(string runId)
+    {
+        var suffix = $":{runId}";
+        _soundedRunEvents.RemoveWhere(key => key.EndsWith(suffix, StringComparison.OrdinalIgnoreCase));
+    }
+
+    // Only runtimes that are still running but stopped reporting count as lost; stopped runtimes are
+    // expected to go quiet. The first snapshot only sets the baseline.
+    public IReadOnlyList<TaskRuntimeRegistration> FindLostRuntimes(
+        IEnumerable<TaskRuntimeRegistration> registrations,
+        IReadOnlySet<string> runningRuntimeIds)
+    {
+        var registrationList = registrations.ToList();
+        var onlineRuntimeIds = registrationList
+            .Where(registration => registration.Online && runningRuntimeIds.Contains(registration.RuntimeId))
+            .Select(registration => registration.RuntimeId)
+            .ToHashSet(StringComparer.OrdinalIgnoreCase);
+        var previousOnlineRuntimeIds = _onlineRuntimeIds;
+        _onlineRuntimeIds = onlineRuntimeIds;
+        if (previousOnlineRuntimeIds is null)
+        {
+            return [];
+        }
+
+        return registrationList
+            .Where(registration =>
+                previousOnlineRuntimeIds.Contains(registration.RuntimeId) &&
+                !onlineRuntimeIds.Contains(registration.RuntimeId) &&
+                runningRuntimeIds.Contains(registration.RuntimeId))
+            .ToList();
+    }
+}
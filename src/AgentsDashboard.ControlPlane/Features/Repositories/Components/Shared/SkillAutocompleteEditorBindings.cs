@@ -0,0 +1,73 @@
+using Microsoft.JSInterop;
+
+namespace AgentsDashboard.ControlPlane.Components.Shared;
+
+public sealed class SkillAutocompleteEditorBindings(IJSRuntime js) : IAsyncDisposable
+{
+    private readonly HashSet<string> _editorIds = new(StringComparer.Ordinal);
+
+    public IReadOnlyCollection<string> EditorIds => _editorIds;
+
+    public bool IsBound(string editorId) => _editorIds.Contains(editorId);
+
+    public void Forget(string editorId) => _editorIds.Remove(editorId);
+
+    public async Task<bool> BindAsync(
+        string editorId,
+        object skills,
+        object? dotNetRef,
+        object disabledSkills,
+        bool diagnostics)
+    {
+        bool bound;
+        try
+        {
+            bound = await js.InvokeAsync<bool>(
+                "agentsDashboardSkillAutocomplete.bindTaskPromptEditor",
+                editorId,
+                skills,
+                dotNetRef,
+                disabledSkills,
+                new { diagnostics });
+        }
+        catch (JSException)
+        {
+            bound = false;
+        }
+
+        if (bound)
+        {
+            _editorIds.Add(editorId);
+        }
+        else
+        {
+            _editorIds.Remove(editorId);
+        }
+
+        return bound;
+    }
+
+    // Each editor is released on its own so one failed unbind cannot leave the rest holding
+    // their per-language completion providers.
+    public async ValueTask DisposeAsync()
+    {
+        foreach (var editorId in _editorIds.ToList())
+        {
+            try
+            {
+                await js.InvokeVoidAsync("agentsDashboardSkillAutocomplete.unbindTaskPromptEditor", editorId);
+            }
+            catch (JSDisconnectedException)
+            {
+            }
+            catch (JSException)
+            {
+            }
+            catch (InvalidOperationException)
+            {
+            }
+        }
+
+        _editorIds.Clear();
+    }
+}
@@ -4,6 +4,8 @@ public interface IGitWorkspaceService
 {
     Task<GitWorkspaceOperationResult> EnsureWorkspaceAsync(string gitUrl, string localPath, string defaultBranch, string? githubToken, bool fetchRemote, CancellationToken cancellationToken);
     Task<GitWorkspaceOperationResult> RefreshStatusAsync(RepositoryDocument repository, string? githubToken, bool fetchRemote, CancellationToken cancellationToken);
+    Task<IReadOnlyList<string>> ListTrackedFilesAsync(RepositoryDocument repository, int maxFiles, CancellationToken cancellationToken);
+    Task<string?> ReadFilePreviewAsync(RepositoryDocument repository, string relativePath, int maxLines, CancellationToken cancellationToken);
 }
 
 public sealed class GitWorkspaceService(
@@ -79,6 +81,71 @@ public sealed class GitWorkspaceService(
         return MapResponse(response);
     }
 
+    public async Task<IReadOnlyList<string>> ListTrackedFilesAsync(
+        RepositoryDocument repository,
+        int maxFiles,
+        CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(repository.Id) || string.IsNullOrWhiteSpace(repository.GitUrl))
+        {
+            return [];
+        }
+
+        var response = await gateway.ListRepositoryFilesAsync(
+            new ListRepositoryFilesRequest
+            {
+                RepositoryId = repository.Id,
+                GitUrl = repository.GitUrl.Trim(),
+                LocalPath = repository.LocalPath ?? string.Empty,
+                MaxFiles = maxFiles,
+            },
+            cancellationToken);
+
+        if (!response.Success)
+        {
+            throw new InvalidOperationException(response.ErrorMessage ?? "Runtime repository file listing failed.");
+        }
+
+        if (response.Truncated)
+        {
+            logger.LogInformation("Tracked file list for repository {RepositoryId} was truncated to {Count} entries", repository.Id, response.Paths.Count);
+        }
+
+        return response.Paths;
+    }
+
+    public async Task<string?> ReadFilePreviewAsync(
+        RepositoryDocument repository,
+        string relativePath,
+        int maxLines,
+        CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(repository.Id) || string.IsNullOrWhiteSpace(repository.GitUrl) || string.IsNullOrWhiteSpace(relativePath))
+        {
+            return null;
+        }
+
+        var response = await gateway.ReadRepositoryFilePreviewAsync(
+            new ReadRepositoryFilePreviewRequest
+            {
+                RepositoryId = repository.Id,
+                GitUrl = repository.GitUrl.Trim(),
+                LocalPath = repository.LocalPath ?? string.Empty,
+                RelativePath = relativePath,
+                MaxLines = maxLines,
+            },
+            cancellationToken);
+
+        return response switch
+        {
+            { Found: false } => null,
+            { IsBinary: true } => "(binary file)",
+            { Content: null } => "(file too large to preview)",
+            { Truncated: true } => response.Content + "\n…",
+            _ => response.Content,
+        };
+    }
+
     private GitWorkspaceOperationResult MapResponse(RepositoryWorkspaceResult response)
     {
         if (response.Attempts.Count > 0)
@@ -0,0 +1,182 @@
+using System.Collections.Concurrent;
+using Microsoft.JSInterop;
+
+namespace AgentsDashboard.ControlPlane.Components.Shared;
+
+public sealed record BrowserFileDownloadProgress(long LoadedBytes, long? TotalBytes, string CurrentFile);
+
+public sealed record BrowserFileDownloadEntry(string Name, Func<CancellationToken, Task<Stream?>> OpenAsync);
+
+public enum BrowserFileDownloadResult
+{
+    Completed,
+    Cancelled,
+    NotFound,
+}
+
+public sealed class BrowserFileDownloader(IJSRuntime js) : IAsyncDisposable
+{
+    private readonly ConcurrentDictionary<string, Action<long, long>> _progressById = new(StringComparer.Ordinal);
+    private IJSObjectReference? _module;
+    private DotNetObjectReference<BrowserFileDownloader>? _dotNetRef;
+
+    public async Task<BrowserFileDownloadResult> DownloadAsync(
+        string fileName,
+        string contentType,
+        Stream stream,
+        IProgress<BrowserFileDownloadProgress>? progress,
+        CancellationToken cancellationToken,
+        bool preferSaveDialog = false)
+    {
+        var module = await GetModuleAsync();
+        var downloadId = Guid.NewGuid().ToString("N");
+        var totalBytes = stream.CanSeek ? stream.Length - stream.Position : -1;
+        _progressById[downloadId] = (loaded, total) =>
+            progress?.Report(new BrowserFileDownloadProgress(loaded, total > 0 ? total : null, fileName));
+
+        try
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            await using var registration = cancellationToken.Register(() => _ = CancelAsync(module, downloadId));
+            using var streamReference = new DotNetStreamReference(stream, leaveOpen: true);
+            var result = await module.InvokeAsync<string>(
+                "downloadStream",
+                CancellationToken.None,
+                downloadId,
+                fileName,
+                contentType,
+                streamReference,
+                totalBytes,
+                _dotNetRef,
+                new { saveAs = preferSaveDialog });
+
+            return ToResult(result);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            await CancelAsync(module, downloadId);
+            return BrowserFileDownloadResult.Cancelled;
+        }
+        finally
+        {
+            _progressById.TryRemove(downloadId, out _);
+        }
+    }
+
+    public async Task<BrowserFileDownloadResult> DownloadZipAsync(
+        string fileName,
+        IReadOnlyList<BrowserFileDownloadEntry> entries,
+        IProgress<BrowserFileDownloadProgress>? progress,
+        CancellationToken cancellationToken)
+    {
+        var module = await GetModuleAsync();
+        var downloadId = Guid.NewGuid().ToString("N");
+        var currentFile = string.Empty;
+        _progressById[downloadId] = (loaded, _) =>
+            progress?.Report(new BrowserFileDownloadProgress(loaded, null, currentFile));
+
+        try
+        {
+            await module.InvokeVoidAsync("beginZipDownload", downloadId, _dotNetRef, -1);
+            await using var registration = cancellationToken.Register(() => _ = CancelAsync(module, downloadId));
+
+            var added = 0;
+            foreach (var entry in entries)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+                currentFile = entry.Name;
+
+                await using var stream = await entry.OpenAsync(cancellationToken);
+                if (stream is null)
+                {
+                    continue;
+                }
+
+                using var streamReference = new DotNetStreamReference(stream, leaveOpen: true);
+                if (!await module.InvokeAsync<bool>("addZipEntry", CancellationToken.None, downloadId, entry.Name, streamReference))
+                {
+                    return BrowserFileDownloadResult.Cancelled;
+                }
+
+                added++;
+            }
+
+            if (added == 0)
+            {
+                await CancelAsync(module, downloadId);
+                return BrowserFileDownloadResult.NotFound;
+            }
+
+            var result = await module.InvokeAsync<string>("finishZipDownload", CancellationToken.None, downloadId, fileName);
+            return ToResult(result);
+        }
+        catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+        {
+            await CancelAsync(module, downloadId);
+            return BrowserFileDownloadResult.Cancelled;
+        }
+        catch
+        {
+            await CancelAsync(module, downloadId);
+            throw;
+        }
+        finally
+        {
+            _progressById.TryRemove(downloadId, out _);
+        }
+    }
+
+    [JSInvokable]
+    public void OnDownloadProgress(string downloadId, long loadedBytes, long totalBytes)
+    {
+        if (_progressById.TryGetValue(downloadId, out var report))
+        {
+            report(loadedBytes, totalBytes);
+        }
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_module is not null)
+        {
+            foreach (var downloadId in _progressById.Keys)
+            {
+                await CancelAsync(_module, downloadId);
+            }
+
+            try
+            {
+                await _module.DisposeAsync();
+            }
+            catch
+            {
+            }
+        }
+
+        _dotNetRef?.Dispose();
+    }
+
+    private async Task<IJSObjectReference> GetModuleAsync()
+    {
+        _dotNetRef ??= DotNetObjectReference.Create(this);
+        return _module ??= await js.InvokeAsync<IJSObjectReference>("import", "./file-download.js");
+    }
+
+    private static BrowserFileDownloadResult ToResult(string result)
+    {
+        return string.Equals(result, "completed", StringComparison.Ordinal)
+            ? BrowserFileDownloadResult.Completed
+            : BrowserFileDownloadResult.Cancelled;
+    }
+
+    private static async Task CancelAsync(IJSObjectReference module, string downloadId)
+    {
+        try
+        {
+            await module.InvokeVoidAsync("cancelDownload", downloadId);
+        }
+        catch
+        {
+        }
+    }
+}
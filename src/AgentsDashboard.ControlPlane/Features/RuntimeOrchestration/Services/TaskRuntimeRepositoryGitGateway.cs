@@ -46,6 +46,54 @@ public sealed class TaskRuntimeRepositoryGitGateway(
         }
     }
 
+    public async Task<ListRepositoryFilesResult> ListRepositoryFilesAsync(
+        ListRepositoryFilesRequest request,
+        CancellationToken cancellationToken)
+    {
+        var (runtimeId, client) = await CreateClientAsync(cancellationToken);
+        try
+        {
+            return await client.WithCancellationToken(cancellationToken).ListRepositoryFilesAsync(request);
+        }
+        catch (RpcException ex) when (ex.StatusCode == StatusCode.Unimplemented)
+        {
+            logger.LogWarning(
+                ex,
+                "Runtime {RuntimeId} does not support ListRepositoryFilesAsync; returning no files for repository {RepositoryId}.",
+                runtimeId,
+                request.RepositoryId);
+
+            return new ListRepositoryFilesResult
+            {
+                Success = true,
+                ErrorMessage = null,
+                Paths = [],
+                Truncated = false
+            };
+        }
+    }
+
+    public async Task<ReadRepositoryFilePreviewResult> ReadRepositoryFilePreviewAsync(
+        ReadRepositoryFilePreviewRequest request,
+        CancellationToken cancellationToken)
+    {
+        var (runtimeId, client) = await CreateClientAsync(cancellationToken);
+        try
+        {
+            return await client.WithCancellationToken(cancellationToken).ReadRepositoryFilePreviewAsync(request);
+        }
+        catch (RpcException ex) when (ex.StatusCode == StatusCode.Unimplemented)
+        {
+            logger.LogWarning(
+                ex,
+                "Runtime {RuntimeId} does not support ReadRepositoryFilePreviewAsync; skipping the preview for repository {RepositoryId}.",
+                runtimeId,
+                request.RepositoryId);
+
+            return new ReadRepositoryFilePreviewResult { Found = false, Reason = "unsupported", RelativePath = request.RelativePath };
+        }
+    }
+
     private async Task<(string RuntimeId, ITaskRuntimeService Client)> CreateClientAsync(CancellationToken cancellationToken)
     {
         var runtime = (await lifecycleManager.ListTaskRuntimesAsync(cancellationToken))
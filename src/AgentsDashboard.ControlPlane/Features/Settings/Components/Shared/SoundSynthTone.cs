@@ -0,0 +1,28 @@
+namespace AgentsDashboard.ControlPlane.Components.Shared;
+
+public sealed class SoundSynthTone
+{
+    public double Frequency { get; set; } = 440;
+    public double Duration { get; set; } = 0.1;
+    public double Delay { get; set; }
+    public double Gain { get; set; } = 0.12;
+    public double Attack { get; set; } = 0.008;
+    public double Decay { get; set; } = 0.12;
+    public string Type { get; set; } = "sine";
+
+    public double EndSeconds => Delay + Duration + Decay;
+
+    public SoundSynthTone Clone()
+    {
+        return new SoundSynthTone
+        {
+            Frequency = Frequency,
+            Duration = Duration,
+            Delay = Delay,
+            Gain = Gain,
+            Attack = Attack,
+            Decay = Decay,
+            Type = Type
+        };
+    }
+}
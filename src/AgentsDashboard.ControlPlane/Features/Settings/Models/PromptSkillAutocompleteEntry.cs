@@ -0,0 +1,78 @@
+namespace AgentsDashboard.ControlPlane.Features.Settings.Models;
+
+public sealed record PromptSkillAutocompleteEntry(
+    string Trigger,
+    string Content,
+    string Description,
+    string ScopeLabel,
+    int ScopePriority,
+    bool Enabled,
+    int UsageCount = 0,
+    DateTime? LastUsedAtUtc = null,
+    string EditUrl = "")
+{
+    public const string GlobalRepositoryScope = "global";
+
+    public static List<PromptSkillAutocompleteEntry> Build(IEnumerable<PromptSkillDocument> skills, string repositoryId)
+    {
+        return BuildScoped(skills.Where(x => x.Enabled), repositoryId);
+    }
+
+    // Disabled skills are only reported when no enabled skill answers to the same trigger.
+    public static List<PromptSkillAutocompleteEntry> BuildDisabled(IEnumerable<PromptSkillDocument> skills, string repositoryId)
+    {
+        var skillList = skills.ToList();
+        var enabledTriggers = Build(skillList, repositoryId)
+            .Select(x => x.Trigger)
+            .ToHashSet(StringComparer.Ordinal);
+
+        return BuildScoped(skillList.Where(x => !x.Enabled && !enabledTriggers.Contains(x.Trigger)), repositoryId);
+    }
+
+    public static string BuildEditUrl(string repositoryId, string trigger)
+    {
+        var escapedTrigger = Uri.EscapeDataString(trigger);
+        return repositoryId == GlobalRepositoryScope
+            ? $"/settings/skills?trigger={escapedTrigger}"
+            : $"/settings/repositories/{Uri.EscapeDataString(repositoryId)}?skill={escapedTrigger}";
+    }
+
+    private static List<PromptSkillAutocompleteEntry> BuildScoped(IEnumerable<PromptSkillDocument> skills, string repositoryId)
+    {
+        var payload = new List<PromptSkillAutocompleteEntry>();
+        var seenTriggers = new HashSet<string>(StringComparer.Ordinal);
+        var skillList = skills.ToList();
+
+        foreach (var skill in skillList.Where(x => x.RepositoryId == repositoryId).OrderBy(x => x.Trigger))
+        {
+            if (seenTriggers.Add(skill.Trigger))
+            {
+                payload.Add(Create(skill, "Repository skill", 0));
+            }
+        }
+
+        foreach (var skill in skillList.Where(x => x.RepositoryId == GlobalRepositoryScope).OrderBy(x => x.Trigger))
+        {
+            if (seenTriggers.Add(skill.Trigger))
+            {
+                payload.Add(Create(skill, "Global skill", 1));
+            }
+        }
+
+        return payload;
+    }
+
+    private static PromptSkillAutocompleteEntry Create(PromptSkillDocument skill, string scopeLabel, int scopePriority)
+    {
+        return new PromptSkillAutocompleteEntry(
+            skill.Trigger,
+            skill.Content,
+            skill.Description,
+            scopeLabel,
+            scopePriority,
+            skill.Enabled,
+            skill.UsageCount,
+            skill.LastUsedAtUtc,
+            BuildEditUrl(skill.RepositoryId, skill.Trigger));
+    }
+}
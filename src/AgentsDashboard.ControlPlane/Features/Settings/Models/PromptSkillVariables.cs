@@ -0,0 +1,30 @@
+namespace AgentsDashboard.ControlPlane.Features.Settings.Models;
+
+public static class PromptSkillVariables
+{
+    public const string RepositoryName = "REPO_NAME";
+    public const string DefaultBranch = "DEFAULT_BRANCH";
+    public const string TaskTitle = "TASK_TITLE";
+
+    // Resolved in the browser so the date follows the operator's time zone.
+    public const string Today = "TODAY";
+
+    public static IReadOnlyList<string> Names { get; } = [RepositoryName, DefaultBranch, TaskTitle, Today];
+
+    public static IReadOnlyDictionary<string, string> Sample { get; } = Build("my-repository", "main", "Example task");
+
+    public static Dictionary<string, string> Build(RepositoryDocument? repository, string? taskTitle)
+    {
+        return Build(repository?.Name, repository?.DefaultBranch, taskTitle);
+    }
+
+    private static Dictionary<string, string> Build(string? repositoryName, string? defaultBranch, string? taskTitle)
+    {
+        return new Dictionary<string, string>(StringComparer.Ordinal)
+        {
+            [RepositoryName] = repositoryName?.Trim() ?? string.Empty,
+            [DefaultBranch] = defaultBranch?.Trim() ?? string.Empty,
+            [TaskTitle] = taskTitle?.Trim() ?? string.Empty
+        };
+    }
+}
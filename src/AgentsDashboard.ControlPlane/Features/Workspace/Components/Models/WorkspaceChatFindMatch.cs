@@ -0,0 +1,8 @@
+namespace AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+public sealed record WorkspaceChatFindMatch(
+    int MessageIndex,
+    string MessageId,
+    int Occurrence,
+    int Start,
+    int Length);
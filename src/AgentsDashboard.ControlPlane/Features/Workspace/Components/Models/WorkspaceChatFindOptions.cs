@@ -0,0 +1,13 @@
+namespace AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+public sealed record WorkspaceChatFindOptions(
+    string Query,
+    bool IsRegex,
+    bool IsCaseSensitive,
+    IReadOnlySet<WorkspaceChatMessageKind> Kinds)
+{
+    public static IReadOnlySet<WorkspaceChatMessageKind> AllKinds { get; } =
+        Enum.GetValues<WorkspaceChatMessageKind>().ToHashSet();
+
+    public static WorkspaceChatFindOptions Empty { get; } = new(string.Empty, false, false, AllKinds);
+}
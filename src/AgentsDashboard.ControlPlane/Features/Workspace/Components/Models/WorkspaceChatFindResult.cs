@@ -0,0 +1,8 @@
+namespace AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+public sealed record WorkspaceChatFindResult(
+    IReadOnlyList<WorkspaceChatFindMatch> Matches,
+    string Error = "")
+{
+    public static WorkspaceChatFindResult Empty { get; } = new([]);
+}
@@ -0,0 +1,7 @@
+namespace AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+public sealed record WorkspaceCommandTarget(
+    string Id,
+    string Kind,
+    string Title,
+    string Subtitle);
@@ -0,0 +1,10 @@
+namespace AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+public sealed class WorkspaceComposerDraftSnapshot
+{
+    public string Text { get; set; } = string.Empty;
+
+    public int AttachmentCount { get; set; }
+
+    public DateTime SavedAtUtc { get; set; }
+}
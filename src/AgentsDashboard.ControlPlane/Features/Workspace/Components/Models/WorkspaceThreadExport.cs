@@ -0,0 +1,55 @@
+namespace AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+public sealed record WorkspaceThreadExport(
+    int Version,
+    string FileBaseName,
+    DateTime ExportedAtUtc,
+    WorkspaceThreadExportTask Task,
+    IReadOnlyList<WorkspaceThreadExportEntry> Entries,
+    IReadOnlyList<WorkspaceThreadExportRun> Runs);
+
+public sealed record WorkspaceThreadExportTask(
+    string Id,
+    string Name,
+    string Repository,
+    string Harness,
+    string Prompt,
+    string State);
+
+public sealed record WorkspaceThreadExportEntry(
+    string Id,
+    string Role,
+    string Content,
+    DateTime TimestampUtc,
+    string RunId,
+    IReadOnlyList<WorkspaceThreadExportImage> Images);
+
+public sealed record WorkspaceThreadExportImage(
+    string FileName,
+    string ArtifactName,
+    string MimeType,
+    long SizeBytes,
+    int? Width,
+    int? Height,
+    string Sha256,
+    string DataUrl);
+
+public sealed record WorkspaceThreadExportRun(
+    string Id,
+    string State,
+    string Mode,
+    int Attempt,
+    DateTime CreatedAtUtc,
+    DateTime? StartedAtUtc,
+    DateTime? EndedAtUtc,
+    string Summary,
+    string FailureClass,
+    string PullRequestUrl,
+    IReadOnlyList<WorkspaceThreadExportToolCall> ToolCalls);
+
+public sealed record WorkspaceThreadExportToolCall(
+    string ToolName,
+    string ToolCallId,
+    string State,
+    string Payload,
+    DateTime TimestampUtc);
@@ -0,0 +1,8 @@
+namespace AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+public enum WorkspaceThreadExportFormat
+{
+    Markdown,
+    Html,
+    Json,
+}
@@ -13,4 +13,5 @@ public sealed record WorkspaceThreadState(
     DateTime LastActivityUtc,
     string LatestRunHint,
     bool IsPending = false,
-    string PendingStatusText = "");
+    string PendingStatusText = "",
+    int NewRunCount = 0);
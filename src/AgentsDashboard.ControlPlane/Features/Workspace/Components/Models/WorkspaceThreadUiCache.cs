@@ -10,6 +10,8 @@ public sealed class WorkspaceThreadUiCache
 
     public IReadOnlyList<WorkspaceImageInput> ComposerImages { get; set; } = [];
 
+    public IReadOnlyList<WorkspaceTextAttachmentInput> ComposerTextAttachments { get; set; } = [];
+
     public string ComposerGhostSuggestion { get; set; } = string.Empty;
 
     public string ComposerGhostSuffix { get; set; } = string.Empty;
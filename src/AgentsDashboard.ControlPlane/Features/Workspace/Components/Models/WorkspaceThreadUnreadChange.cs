@@ -0,0 +1,5 @@
+namespace AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+public sealed record WorkspaceThreadUnreadChange(
+    string TaskId,
+    string? LastSeenMessageId);
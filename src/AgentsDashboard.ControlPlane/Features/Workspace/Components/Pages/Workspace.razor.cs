@@ -32,9 +32,16 @@ public partial class Workspace
         "Finish with a short markdown summary and concrete next steps."
     ];
 
-    private const string DefaultComposerHelperText = "Enter to send. Shift+Enter inserts a new line. Paste or upload images.";
+    private const string ComposerAttachmentHelperText = "Type / for skills and @ for repository files. Paste, drop or upload images and text files.";
+    private const string DefaultComposerHelperText = "Enter to send. Shift+Enter inserts a new line. Up recalls earlier prompts, Ctrl+R searches history. " + ComposerAttachmentHelperText;
     private const string WorkspacePreparationFailureSummary = "Workspace preparation failed";
     private const string QueuedMessageJoinSeparator = "\n\n";
+    private const int ComposerDraftTtlMinutes = 7 * 24 * 60;
+    private const int ComposerRepositoryPromptHistoryLimit = 200;
+    private const int ComposerMentionFileLimit = 20000;
+    private const int ComposerMentionPreviewLines = 12;
+    private const int ThreadExportRunLimit = 20;
+    private const long ThreadExportImageBudgetBytes = 24L * 1024L * 1024L;
 
     private static readonly HashSet<string> BlockingFailureClasses = new(StringComparer.OrdinalIgnoreCase)
     {
@@ -70,14 +77,21 @@ public partial class Workspace
 
     private bool _isSubmittingComposer;
     private bool _isSubmittingQuestionAnswers;
+    private bool _isExportingThread;
+    private string? _appliedThreadQuery;
     private HarnessExecutionMode? _composerModeOverride;
     private string _composerValue = string.Empty;
     private IReadOnlyList<WorkspaceImageInput> _composerImages = [];
+    private IReadOnlyList<WorkspaceTextAttachmentInput> _composerTextAttachments = [];
     private string _composerGhostSuggestion = string.Empty;
     private string _composerGhostSuffix = string.Empty;
     private readonly string _composerInputId = $"workspace-composer-{Guid.NewGuid():N}";
+    private readonly string _promptDraftEditorId = $"workspace-prompt-draft-{Guid.NewGuid():N}";
+    private SkillAutocompleteEditorBindings? _promptDraftSkillBindings;
     private CancellationTokenSource? _composerSuggestionCts;
     private readonly WorkspaceChatProjectionBuilder _chatProjectionBuilder = new();
+    private readonly WorkspaceThreadUnreadTracker _threadUnreadTracker = new();
+    private readonly WorkspaceThreadExportBuilder _threadExportBuilder = new();
     private readonly Dictionary<string, WorkspaceThreadUiCache> _threadUiCacheByTaskId = new(StringComparer.OrdinalIgnoreCase);
     private readonly List<WorkspaceChatMessage> _optimisticMessages = [];
     private readonly Dictionary<string, WorkspacePendingSubmissionState> _pendingSubmissionsByTaskId = new(StringComparer.OrdinalIgnoreCase);
@@ -112,9 +126,15 @@ public partial class Workspace
     private IDisposable? _diffSubscription;
     private IDisposable? _toolSubscription;
     private IJSObjectReference? _workspaceJsModule;
+    private IJSObjectReference? _commandPaletteJsModule;
+    private string? _commandPaletteHandle;
     private DotNetObjectReference<Workspace>? _dotNetRef;
     private string? _viewportListenerHandle;
     private string? _composerKeyBridgeHandle;
+    private bool _composerDraftRestorePending = true;
+    private bool _composerPromptHistorySyncPending = true;
+    private string? _composerKeymapHelperText;
+    private bool _composerSkillSyncPending = true;
 
     private IReadOnlyList<WorkspaceRepositoryGroup> LeftRailRepositoryGroups
     {
@@ -200,6 +220,12 @@ public partial class Workspace
                 .Take(20)
                 .ToList();
 
+    [SupplyParameterFromQuery(Name = "task")]
+    public string? TaskQuery { get; set; }
+
+    [SupplyParameterFromQuery(Name = "run")]
+    public string? RunQuery { get; set; }
+
     protected override async Task OnInitializedAsync()
     {
         _selectionSubscription = SelectionService.Subscribe(_args =>
@@ -215,6 +241,35 @@ public partial class Workspace
         await LoadWorkspaceAsync();
     }
 
+    protected override async Task OnParametersSetAsync()
+    {
+        await OpenThreadFromQueryAsync();
+    }
+
+    private async Task OpenThreadFromQueryAsync()
+    {
+        var query = string.IsNullOrWhiteSpace(TaskQuery) ? null : $"{TaskQuery}/{RunQuery}";
+        if (query is null || string.Equals(query, _appliedThreadQuery, StringComparison.Ordinal))
+        {
+            return;
+        }
+
+        _appliedThreadQuery = query;
+        var task = await TaskStore.GetTaskAsync(TaskQuery!, CancellationToken.None);
+        if (task is null)
+        {
+            Snackbar.AddImportant("That task no longer exists.", Severity.Warning);
+            return;
+        }
+
+        if (!string.Equals(_selectedRepository?.Id, task.RepositoryId, StringComparison.OrdinalIgnoreCase))
+        {
+            await SelectRepositoryAsync(task.RepositoryId, syncSelection: true);
+        }
+
+        await SelectTaskAsync(task.Id, preserveRunSelection: !string.IsNullOrWhiteSpace(RunQuery), preferredRunId: RunQuery);
+    }
+
     protected override async Task OnAfterRenderAsync(bool firstRender)
     {
         if (firstRender)
@@ -224,6 +279,12 @@ public partial class Workspace
             var viewportHeight = await _workspaceJsModule.InvokeAsync<int>("getViewportHeight");
             SetRecentTaskTargetCount(viewportHeight);
             _viewportListenerHandle = await _workspaceJsModule.InvokeAsync<string?>("registerViewportListener", _dotNetRef);
+            _ = _workspaceJsModule.InvokeVoidAsync("pruneComposerDrafts").AsTask();
+            _commandPaletteJsModule = await JS.InvokeAsync<IJSObjectReference>("import", "./workspace-command-palette.js");
+            _commandPaletteHandle = await _commandPaletteJsModule.InvokeAsync<string?>(
+                "registerCommandPalette",
+                _dotNetRef,
+                new { composerInputId = _composerInputId });
             await InvokeAsync(StateHasChanged);
         }
 
@@ -232,12 +293,38 @@ public partial class Workspace
             if (ShouldAttachComposerBridge() && _composerKeyBridgeHandle is null)
             {
                 _composerKeyBridgeHandle = await _workspaceJsModule.InvokeAsync<string?>("registerComposerKeyBridge", _composerInputId, _dotNetRef);
+                _composerPromptHistorySyncPending = true;
+                _composerSkillSyncPending = true;
+                _composerKeymapHelperText = await _workspaceJsModule.InvokeAsync<string?>("describeComposerKeymap");
+                if (!string.IsNullOrWhiteSpace(_composerKeymapHelperText))
+                {
+                    StateHasChanged();
+                }
             }
             else if (!ShouldAttachComposerBridge() && _composerKeyBridgeHandle is not null)
             {
                 await _workspaceJsModule.InvokeVoidAsync("unregisterComposerKeyBridge", _composerKeyBridgeHandle);
                 _composerKeyBridgeHandle = null;
             }
+
+            if (_composerDraftRestorePending && _composerKeyBridgeHandle is not null)
+            {
+                _composerDraftRestorePending = false;
+                await RestorePersistedComposerDraftAsync();
+            }
+
+            if (_composerPromptHistorySyncPending && _composerKeyBridgeHandle is not null)
+            {
+                _composerPromptHistorySyncPending = false;
+                await SyncComposerPromptHistoryAsync();
+            }
+
+            if (_composerSkillSyncPending && _composerKeyBridgeHandle is not null)
+            {
+                _composerSkillSyncPending = false;
+                await SyncComposerSkillAutocompleteAsync();
+                await SyncComposerFileMentionsAsync();
+            }
         }
 
         if (_promptDraftDialogOpen && _pendingPromptDraftEditorSync && _promptDraftEditor is not null)
@@ -379,6 +466,11 @@ public partial class Workspace
     private bool IsComposerBlocked =>
         IsBlockingRunFailure(_selectedRun);
 
+    private bool IsComposerEmpty =>
+        string.IsNullOrEmpty(_composerValue) &&
+        _composerImages.Count == 0 &&
+        _composerTextAttachments.Count == 0;
+
     private bool IsQueueDrainInProgress =>
         _selectedTask is not null &&
         _queueDrainInProgressTaskIds.Contains(_selectedTask.Id);
@@ -389,12 +481,93 @@ public partial class Workspace
     private string ComposerHelperText =>
         IsComposerBlocked
             ? $"Composer blocked: {ComposerBlockedReason}"
-            : DefaultComposerHelperText;
+            : string.IsNullOrWhiteSpace(_composerKeymapHelperText)
+                ? DefaultComposerHelperText
+                : $"{_composerKeymapHelperText} {ComposerAttachmentHelperText}";
+
+    [JSInvokable]
+    public Task<List<WorkspaceCommandTarget>> GetWorkspaceCommandTargetsFromJs()
+    {
+        return Task.FromResult(WorkspaceCommandCatalog.BuildTargets(
+            _repositories,
+            _selectedRepositoryTasks,
+            _selectedRepository?.Name ?? string.Empty,
+            task => GetLatestRun(task.Id)?.CreatedAtUtc ?? task.CreatedAtUtc));
+    }
+
+    [JSInvokable]
+    public async Task InvokeWorkspaceCommandFromJs(string commandId)
+    {
+        if (WorkspaceCommand.Parse(commandId) is not { Name: var command, Argument: var argument })
+        {
+            return;
+        }
+
+        switch (command)
+        {
+            case "new-task" when _selectedRepository is not null && !_isSubmittingComposer:
+                await StartNewTaskComposerAsync();
+                break;
+            case "refresh-runs":
+                await RefreshSelectedRepositoryAsync();
+                break;
+            case "toggle-plan-mode":
+                await OnPlanModeChangedAsync(_composerModeOverride != HarnessExecutionMode.Plan);
+                break;
+            case "toggle-advanced":
+                ToggleHistoryPanel();
+                break;
+            case "toggle-left-rail":
+                ToggleLeftRail();
+                break;
+            case "next-task":
+                await SelectAdjacentTaskAsync(1);
+                break;
+            case "previous-task":
+                await SelectAdjacentTaskAsync(-1);
+                break;
+            case "repository-filter" when argument is RepositoryFilterAll or RepositoryFilterAttention or RepositoryFilterHealthy:
+                await OnRepositoryFilterChangedAsync(argument);
+                break;
+            case "task-filter" when argument is TaskFilterAll or TaskFilterRunning or TaskFilterFailed or TaskFilterSucceeded or TaskFilterEnabled:
+                await OnTaskFilterChangedAsync(argument);
+                break;
+            case "repository" when _repositories.Any(repository => repository.Id == argument):
+                await SelectRepositoryFromRailAsync(argument);
+                break;
+            case "task" when _selectedRepositoryTasks.Any(task => task.Id == argument):
+                await SelectTaskAsync(argument);
+                break;
+            default:
+                return;
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task SelectAdjacentTaskAsync(int offset)
+    {
+        var tasks = FilteredRecentTasks;
+        if (tasks.Count == 0)
+        {
+            return;
+        }
+
+        var currentIndex = _selectedTask is null ? -1 : tasks.FindIndex(task => task.Id == _selectedTask.Id);
+        var nextIndex = currentIndex < 0
+            ? (offset > 0 ? 0 : tasks.Count - 1)
+            : Math.Clamp(currentIndex + offset, 0, tasks.Count - 1);
+
+        if (nextIndex != currentIndex)
+        {
+            await SelectTaskAsync(tasks[nextIndex].Id);
+        }
+    }
 
     [JSInvokable]
-    public Task<bool> TryAcceptGhostSuggestionFromJs(string key, int selectionStart, int selectionEnd)
+    public Task<bool> TryAcceptGhostSuggestionFromJs(int selectionStart, int selectionEnd)
     {
-        var accepted = (key == "Tab" || key == "ArrowRight") && TryAcceptGhostSuggestion(selectionStart, selectionEnd);
+        var accepted = TryAcceptGhostSuggestion(selectionStart, selectionEnd);
         if (accepted)
         {
             _ = InvokeAsync(StateHasChanged);
@@ -428,10 +601,23 @@ public partial class Workspace
             return false;
         }
 
-        await SubmitComposerAsync();
+        await SubmitComposerAndClearDraftAsync();
         return true;
     }
 
+    private async Task SubmitComposerAndClearDraftAsync()
+    {
+        var repositoryId = _selectedRepository?.Id;
+        var taskId = _selectedTask?.Id;
+
+        await SubmitComposerAsync();
+
+        if (repositoryId is not null && IsComposerEmpty)
+        {
+            await ClearPersistedComposerDraftAsync(repositoryId, taskId);
+        }
+    }
+
     private static bool IsBlockingRunFailure(RunDocument? run)
     {
         if (run is null || run.State is not RunState.Failed)
@@ -617,6 +803,7 @@ public partial class Workspace
                 _selectedTaskQueuedMessages = [];
                 _composerValue = string.Empty;
                 _composerImages = [];
+                _composerTextAttachments = [];
                 _threadUiCacheByTaskId.Clear();
                 _optimisticMessages.Clear();
                 _pendingSubmissionsByTaskId.Clear();
@@ -671,12 +858,16 @@ public partial class Workspace
         _selectedTaskQueuedMessages = [];
         _composerValue = string.Empty;
         _composerImages = [];
+        _composerTextAttachments = [];
         _composerGhostSuggestion = string.Empty;
         _composerGhostSuffix = string.Empty;
         _threadUiCacheByTaskId.Clear();
         _optimisticMessages.Clear();
         _pendingSubmissionsByTaskId.Clear();
         _historyPanelOpen = false;
+        _composerDraftRestorePending = true;
+        _composerPromptHistorySyncPending = true;
+        _composerSkillSyncPending = true;
 
         if (syncSelection && SelectionService.SelectedRepositoryId != repositoryId)
         {
@@ -721,6 +912,7 @@ public partial class Workspace
                 _selectedTaskQueuedMessages = [];
                 _composerValue = string.Empty;
                 _composerImages = [];
+                _composerTextAttachments = [];
                 _optimisticMessages.Clear();
                 _pendingSubmissionsByTaskId.Clear();
                 return;
@@ -751,6 +943,8 @@ public partial class Workspace
         _composerModeOverride = null;
         _optimisticMessages.Clear();
         RestoreThreadDraft(task.Id);
+        _composerDraftRestorePending = true;
+        _composerPromptHistorySyncPending = true;
         _selectedTaskPromptHistory = await RunStore.ListWorkspacePromptHistoryAsync(task.Id, 80, CancellationToken.None);
         _selectedTaskQueuedMessages = await RunStore.ListWorkspaceQueuedMessagesAsync(task.Id, CancellationToken.None);
 
@@ -1225,12 +1419,15 @@ public partial class Workspace
         _selectedTaskQueuedMessages = [];
         _composerValue = string.Empty;
         _composerImages = [];
+        _composerTextAttachments = [];
         _composerGhostSuggestion = string.Empty;
         _composerGhostSuffix = string.Empty;
         _composerModeOverride = null;
         _optimisticMessages.Clear();
         _pendingSubmissionsByTaskId.Clear();
         _historyPanelOpen = false;
+        _composerDraftRestorePending = true;
+        _composerPromptHistorySyncPending = true;
         await InvokeAsync(StateHasChanged);
     }
 
@@ -1574,7 +1771,7 @@ public partial class Workspace
             return;
         }
 
-        var composerText = _composerValue.Trim();
+        var composerText = WorkspaceTextAttachmentFormatter.AppendAttachments(_composerValue.Trim(), _composerTextAttachments);
         var hasImages = _composerImages.Count > 0;
         if (string.IsNullOrWhiteSpace(composerText) && !hasImages)
         {
@@ -1590,6 +1787,7 @@ public partial class Workspace
 
         var persistedValue = _composerValue;
         var persistedImages = _composerImages.ToList();
+        var persistedTextAttachments = _composerTextAttachments.ToList();
         var persistedGhostSuggestion = _composerGhostSuggestion;
         var persistedGhostSuffix = _composerGhostSuffix;
         var submittedImages = _composerImages.ToList();
@@ -1598,6 +1796,7 @@ public partial class Workspace
         {
             _composerValue = persistedValue;
             _composerImages = persistedImages;
+            _composerTextAttachments = persistedTextAttachments;
             _composerGhostSuggestion = persistedGhostSuggestion;
             _composerGhostSuffix = persistedGhostSuffix;
             UpdateActiveThreadCache();
@@ -1613,6 +1812,7 @@ public partial class Workspace
         {
             _composerValue = string.Empty;
             _composerImages = [];
+            _composerTextAttachments = [];
             _composerGhostSuggestion = string.Empty;
             _composerGhostSuffix = string.Empty;
             UpdateActiveThreadCache();
@@ -1809,6 +2009,7 @@ public partial class Workspace
 
         _composerValue = string.Empty;
         _composerImages = [];
+        _composerTextAttachments = [];
         _composerGhostSuggestion = string.Empty;
         _composerGhostSuffix = string.Empty;
         UpdateActiveThreadCache();
@@ -2369,6 +2570,7 @@ Composer Focus:
         _composerValue = value;
         UpdateActiveThreadCache();
         ScheduleComposerSuggestionRefresh();
+        PersistComposerDraft(new { text = value });
         return Task.CompletedTask;
     }
 
@@ -2376,9 +2578,92 @@ Composer Focus:
     {
         _composerImages = images;
         UpdateActiveThreadCache();
+        PersistComposerDraft(new { images });
         return Task.CompletedTask;
     }
 
+    private Task OnComposerTextAttachmentsChangedAsync(IReadOnlyList<WorkspaceTextAttachmentInput> attachments)
+    {
+        _composerTextAttachments = attachments;
+        UpdateActiveThreadCache();
+        PersistComposerDraft(new { textAttachments = attachments });
+        return Task.CompletedTask;
+    }
+
+    private void PersistComposerDraft(object patch)
+    {
+        if (_workspaceJsModule is null || _selectedRepository is null)
+        {
+            return;
+        }
+
+        _ = _workspaceJsModule
+            .InvokeVoidAsync("saveComposerDraft", _selectedRepository.Id, _selectedTask?.Id ?? string.Empty, patch, ComposerDraftTtlMinutes)
+            .AsTask();
+    }
+
+    private async Task RestorePersistedComposerDraftAsync()
+    {
+        if (_workspaceJsModule is null || _selectedRepository is null || !IsComposerEmpty)
+        {
+            return;
+        }
+
+        var repositoryId = _selectedRepository.Id;
+        var taskId = _selectedTask?.Id;
+
+        WorkspaceComposerDraftSnapshot? draft;
+        try
+        {
+            draft = await _workspaceJsModule.InvokeAsync<WorkspaceComposerDraftSnapshot?>(
+                "restoreComposerDraft",
+                repositoryId,
+                taskId ?? string.Empty,
+                _composerInputId);
+        }
+        catch
+        {
+            return;
+        }
+
+        if (draft is null ||
+            !string.Equals(repositoryId, _selectedRepository?.Id, StringComparison.Ordinal) ||
+            !string.Equals(taskId, _selectedTask?.Id, StringComparison.Ordinal))
+        {
+            return;
+        }
+
+        if (string.IsNullOrEmpty(_composerValue) && !string.IsNullOrEmpty(draft.Text))
+        {
+            _composerValue = draft.Text;
+            UpdateActiveThreadCache();
+            ScheduleComposerSuggestionRefresh();
+        }
+
+        if (!string.IsNullOrEmpty(draft.Text) || draft.AttachmentCount > 0)
+        {
+            Snackbar.AddImportant($"Restored unsent draft from {draft.SavedAtUtc.ToLocalTime():g}.", Severity.Info);
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task ClearPersistedComposerDraftAsync(string repositoryId, string? taskId)
+    {
+        if (_workspaceJsModule is null)
+        {
+            return;
+        }
+
+        try
+        {
+            await _workspaceJsModule.InvokeVoidAsync("clearComposerDraft", repositoryId, taskId ?? string.Empty);
+        }
+        catch
+        {
+        }
+    }
+
     private Task ShowComposerValidationAsync(string message)
     {
         if (!string.IsNullOrWhiteSpace(message))
@@ -2465,6 +2750,145 @@ Composer Focus:
         }
     }
 
+    private async Task SyncComposerPromptHistoryAsync()
+    {
+        if (_workspaceJsModule is null || _composerKeyBridgeHandle is null || _selectedRepository is null)
+        {
+            return;
+        }
+
+        try
+        {
+            List<string> taskPrompts = _selectedTask is null
+                ? []
+                : _selectedTaskPromptHistory
+                    .Where(entry => string.Equals(entry.Role?.Trim(), "user", StringComparison.OrdinalIgnoreCase))
+                    .OrderByDescending(entry => entry.CreatedAtUtc)
+                    .Select(entry => entry.Content)
+                    .ToList();
+
+            var repositoryHistory = await RunStore.ListRepositoryUserPromptHistoryAsync(_selectedRepository.Id, ComposerRepositoryPromptHistoryLimit, CancellationToken.None);
+            var taskNames = _selectedRepositoryTasks.ToDictionary(task => task.Id, task => task.Name, StringComparer.Ordinal);
+            var repositoryPrompts = repositoryHistory
+                .Select(entry => new
+                {
+                    text = entry.Content,
+                    label = taskNames.GetValueOrDefault(entry.TaskId) ?? string.Empty
+                })
+                .ToList();
+
+            await _workspaceJsModule.InvokeVoidAsync("setComposerPromptHistory", _composerKeyBridgeHandle, taskPrompts, repositoryPrompts);
+        }
+        catch
+        {
+        }
+    }
+
+    private async Task SyncComposerSkillAutocompleteAsync()
+    {
+        if (_selectedRepository is null)
+        {
+            return;
+        }
+
+        try
+        {
+            var skills = await RepositoryStore.ListPromptSkillsAsync(_selectedRepository.Id, includeGlobal: true, CancellationToken.None);
+            var payload = PromptSkillAutocompleteEntry.Build(skills, _selectedRepository.Id);
+            await JS.InvokeAsync<bool>("agentsDashboardSkillAutocomplete.bindComposerTextarea", _composerInputId, payload, _dotNetRef);
+        }
+        catch (JSException)
+        {
+        }
+    }
+
+    private async Task BindPromptDraftSkillAutocompleteAsync()
+    {
+        if (_selectedRepository is null)
+        {
+            return;
+        }
+
+        try
+        {
+            var skills = await RepositoryStore.ListPromptSkillsAsync(_selectedRepository.Id, includeGlobal: true, CancellationToken.None);
+            var payload = PromptSkillAutocompleteEntry.Build(skills, _selectedRepository.Id);
+            var disabledPayload = PromptSkillAutocompleteEntry.BuildDisabled(skills, _selectedRepository.Id);
+            _promptDraftSkillBindings ??= new SkillAutocompleteEditorBindings(JS);
+            await _promptDraftSkillBindings.BindAsync(_promptDraftEditorId, payload, _dotNetRef, disabledPayload, diagnostics: true);
+        }
+        catch (JSException)
+        {
+        }
+    }
+
+    private async Task SyncComposerFileMentionsAsync()
+    {
+        var repository = _selectedRepository;
+        if (repository is null)
+        {
+            return;
+        }
+
+        IReadOnlyList<string> paths;
+        try
+        {
+            paths = await GitWorkspace.ListTrackedFilesAsync(repository, ComposerMentionFileLimit, CancellationToken.None);
+        }
+        catch
+        {
+            paths = [];
+        }
+
+        if (!ReferenceEquals(repository, _selectedRepository))
+        {
+            return;
+        }
+
+        try
+        {
+            await JS.InvokeAsync<bool>("agentsDashboardSkillAutocomplete.setMentionFiles", _composerInputId, paths);
+        }
+        catch (JSException)
+        {
+        }
+    }
+
+    [JSInvokable]
+    public async Task<string?> GetRepositoryFilePreviewFromJs(string path)
+    {
+        if (_selectedRepository is null)
+        {
+            return null;
+        }
+
+        try
+        {
+            return await GitWorkspace.ReadFilePreviewAsync(_selectedRepository, path, ComposerMentionPreviewLines, CancellationToken.None);
+        }
+        catch
+        {
+            return null;
+        }
+    }
+
+    [JSInvokable]
+    public Task<Dictionary<string, string>> GetPromptSkillVariablesFromJs()
+    {
+        return Task.FromResult(PromptSkillVariables.Build(_selectedRepository, _selectedTask?.Name));
+    }
+
+    [JSInvokable]
+    public async Task OnPromptSkillUsedFromJs(string trigger)
+    {
+        if (_selectedRepository is null || string.IsNullOrWhiteSpace(trigger))
+        {
+            return;
+        }
+
+        await RepositoryStore.RecordPromptSkillUsageAsync(_selectedRepository.Id, trigger, CancellationToken.None);
+    }
+
     private void ScheduleComposerSuggestionRefresh()
     {
         _ = QueueComposerSuggestionAsync();
@@ -2472,6 +2896,11 @@ Composer Focus:
 
     private async Task OnComposerKeyDown(KeyboardEventArgs args)
     {
+        if (_composerKeyBridgeHandle is not null)
+        {
+            return;
+        }
+
         if (args.Key is "Tab" or "ArrowRight")
         {
             if (TryAcceptGhostSuggestion(_composerValue.Length, _composerValue.Length))
@@ -2592,7 +3021,8 @@ Composer Focus:
             LastActivityUtc: lastActivityUtc,
             LatestRunHint: latestRunHint,
             IsPending: pendingState is not null,
-            PendingStatusText: pendingStatusText);
+            PendingStatusText: pendingStatusText,
+            NewRunCount: _threadUnreadTracker.GetNewRunCount(task.Id));
     }
 
     private WorkspaceThreadUiCache? GetThreadCache(string taskId)
@@ -2631,6 +3061,7 @@ Composer Focus:
         var cache = GetOrCreateThreadCache(_selectedTask.Id);
         cache.ComposerDraft = _composerValue;
         cache.ComposerImages = _composerImages;
+        cache.ComposerTextAttachments = _composerTextAttachments;
         cache.ComposerGhostSuggestion = _composerGhostSuggestion;
         cache.ComposerGhostSuffix = _composerGhostSuffix;
         cache.SelectedRunId = _selectedRun?.Id ?? cache.SelectedRunId;
@@ -2642,6 +3073,7 @@ Composer Focus:
         var cache = GetOrCreateThreadCache(taskId);
         _composerValue = cache.ComposerDraft;
         _composerImages = cache.ComposerImages;
+        _composerTextAttachments = cache.ComposerTextAttachments;
         _composerGhostSuggestion = cache.ComposerGhostSuggestion;
         _composerGhostSuffix = cache.ComposerGhostSuffix;
         cache.HasUnreadActivity = false;
@@ -2657,6 +3089,7 @@ Composer Focus:
         var cache = GetOrCreateThreadCache(_selectedTask.Id);
         cache.ComposerDraft = _composerValue;
         cache.ComposerImages = _composerImages;
+        cache.ComposerTextAttachments = _composerTextAttachments;
         cache.ComposerGhostSuggestion = _composerGhostSuggestion;
         cache.ComposerGhostSuffix = _composerGhostSuffix;
         cache.SelectedRunId = _selectedRun?.Id ?? cache.SelectedRunId;
@@ -2697,6 +3130,21 @@ Composer Focus:
         }
     }
 
+    private void OnThreadUnreadCountChanged(WorkspaceThreadUnreadChange change)
+    {
+        if (!string.Equals(change.TaskId, _selectedTask?.Id, StringComparison.OrdinalIgnoreCase))
+        {
+            return;
+        }
+
+        _threadUnreadTracker.Observe(change.TaskId, ProjectedMessages.Select(message => message.Id));
+        _threadUnreadTracker.MarkSeen(change.TaskId, change.LastSeenMessageId);
+        if (_threadUnreadTracker.GetNewRunCount(change.TaskId) == 0)
+        {
+            GetOrCreateThreadCache(change.TaskId).HasUnreadActivity = false;
+        }
+    }
+
     private void PruneThreadCaches()
     {
         if (_threadUiCacheByTaskId.Count == 0)
@@ -2716,6 +3164,8 @@ Composer Focus:
             _threadUiCacheByTaskId.Remove(taskId);
         }
 
+        _threadUnreadTracker.Retain(validTaskIds);
+
         var stalePendingTaskIds = _pendingSubmissionsByTaskId.Keys
             .Where(taskId => !validTaskIds.Contains(taskId))
             .ToList();
@@ -2742,6 +3192,11 @@ Composer Focus:
                 group => group.Key,
                 group => group.OrderByDescending(run => run.CreatedAtUtc).First(),
                 StringComparer.OrdinalIgnoreCase);
+
+        foreach (var (taskId, latestRun) in _latestRunsByTask)
+        {
+            _threadUnreadTracker.Observe(taskId, WorkspaceChatProjectionBuilder.GetRunMessageIds(latestRun));
+        }
     }
 
     private RunDocument? GetLatestRun(string taskId)
@@ -3010,6 +3465,101 @@ Composer Focus:
         }
     }
 
+    private async Task ExportSelectedThreadAsync(WorkspaceThreadExportFormat format)
+    {
+        if (_selectedTask is null || _workspaceJsModule is null || _isExportingThread)
+        {
+            return;
+        }
+
+        var task = _selectedTask;
+        _isExportingThread = true;
+        StateHasChanged();
+
+        try
+        {
+            var runs = GetRunsForTask(task.Id).Take(ThreadExportRunLimit).ToList();
+            var structuredViews = new Dictionary<string, RunStructuredViewSnapshot>(StringComparer.OrdinalIgnoreCase);
+            foreach (var run in runs)
+            {
+                structuredViews[run.Id] = await RunStructuredViewService.GetViewAsync(run.Id, CancellationToken.None);
+            }
+
+            var export = _threadExportBuilder.Build(
+                task,
+                _selectedRepository?.Name ?? string.Empty,
+                GetTaskStateLabel(task),
+                _selectedTaskPromptHistory,
+                runs,
+                structuredViews,
+                DateTime.UtcNow);
+
+            var exportId = Guid.NewGuid().ToString("N");
+            await SendThreadExportImagesAsync(_workspaceJsModule, exportId, _selectedTaskPromptHistory);
+            var fileName = await _workspaceJsModule.InvokeAsync<string>("exportThread", export, format.ToString().ToLowerInvariant(), exportId);
+            Snackbar.AddImportant($"Exported {fileName}.", Severity.Success);
+        }
+        catch (Exception ex)
+        {
+            Snackbar.AddImportant($"Unable to export conversation: {ex.Message}", Severity.Warning);
+        }
+        finally
+        {
+            _isExportingThread = false;
+            StateHasChanged();
+        }
+    }
+
+    // Image bytes are streamed to the browser one artifact at a time instead of riding along in the
+    // export payload, which would have to fit in a single interop message.
+    private async Task SendThreadExportImagesAsync(
+        IJSObjectReference module,
+        string exportId,
+        IReadOnlyList<WorkspacePromptEntryDocument> promptHistory)
+    {
+        var remainingBytes = ThreadExportImageBudgetBytes;
+
+        foreach (var entry in promptHistory.Where(entry => entry.HasImages && !string.IsNullOrWhiteSpace(entry.RunId)))
+        {
+            foreach (var image in WorkspaceThreadExportBuilder.ReadImages(entry))
+            {
+                // Images past the budget are still listed in the export, just without their bytes.
+                if (string.IsNullOrWhiteSpace(image.ArtifactName) || image.SizeBytes > remainingBytes)
+                {
+                    continue;
+                }
+
+                try
+                {
+                    await using var stream = await RunStore.GetArtifactAsync(entry.RunId, image.ArtifactName, CancellationToken.None);
+                    if (stream is null)
+                    {
+                        continue;
+                    }
+
+                    var sizeBytes = stream.CanSeek ? stream.Length : image.SizeBytes;
+                    if (sizeBytes > remainingBytes)
+                    {
+                        continue;
+                    }
+
+                    remainingBytes -= sizeBytes;
+                    var mimeType = string.IsNullOrWhiteSpace(image.MimeType) ? "application/octet-stream" : image.MimeType;
+                    using var streamReference = new DotNetStreamReference(stream, leaveOpen: true);
+                    await module.InvokeVoidAsync(
+                        "addThreadExportImage",
+                        exportId,
+                        WorkspaceThreadExportBuilder.GetImageArtifactKey(entry.RunId, image.ArtifactName),
+                        mimeType,
+                        streamReference);
+                }
+                catch
+                {
+                }
+            }
+        }
+    }
+
     private string GetWorkspaceResolvedDiffPatch()
     {
         if (!string.IsNullOrWhiteSpace(_selectedRunDiffSnapshot?.DiffPatch))
@@ -3271,6 +3821,14 @@ Expected output format:
             {
             }
 
+            try
+            {
+                await JS.InvokeVoidAsync("agentsDashboardSkillAutocomplete.unbindComposerTextarea", _composerInputId);
+            }
+            catch
+            {
+            }
+
             try
             {
                 await _workspaceJsModule.DisposeAsync();
@@ -3280,6 +3838,33 @@ Expected output format:
             }
         }
 
+        if (_promptDraftSkillBindings is not null)
+        {
+            await _promptDraftSkillBindings.DisposeAsync();
+        }
+
+        if (_commandPaletteJsModule is not null)
+        {
+            try
+            {
+                if (_commandPaletteHandle is not null)
+                {
+                    await _commandPaletteJsModule.InvokeVoidAsync("unregisterCommandPalette", _commandPaletteHandle);
+                }
+            }
+            catch
+            {
+            }
+
+            try
+            {
+                await _commandPaletteJsModule.DisposeAsync();
+            }
+            catch
+            {
+            }
+        }
+
         _dotNetRef?.Dispose();
     }
 
@@ -0,0 +1,67 @@
+using System.Text.RegularExpressions;
+using AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+namespace AgentsDashboard.ControlPlane.Components.Workspace;
+
+public sealed class WorkspaceChatFinder
+{
+    public const int MaxMatches = 5000;
+
+    private static readonly TimeSpan MatchTimeout = TimeSpan.FromMilliseconds(250);
+
+    public WorkspaceChatFindResult Find(IReadOnlyList<WorkspaceChatMessage> messages, WorkspaceChatFindOptions options)
+    {
+        if (string.IsNullOrEmpty(options.Query) || options.Kinds.Count == 0)
+        {
+            return WorkspaceChatFindResult.Empty;
+        }
+
+        Regex regex;
+        try
+        {
+            var pattern = options.IsRegex ? options.Query : Regex.Escape(options.Query);
+            var regexOptions = RegexOptions.CultureInvariant | RegexOptions.Multiline;
+            if (!options.IsCaseSensitive)
+            {
+                regexOptions |= RegexOptions.IgnoreCase;
+            }
+
+            regex = new Regex(pattern, regexOptions, MatchTimeout);
+        }
+        catch (ArgumentException ex)
+        {
+            return new WorkspaceChatFindResult([], $"Invalid pattern: {ex.Message}");
+        }
+
+        var matches = new List<WorkspaceChatFindMatch>();
+        try
+        {
+            for (var index = 0; index < messages.Count && matches.Count < MaxMatches; index++)
+            {
+                var message = messages[index];
+                if (!options.Kinds.Contains(message.Kind) || string.IsNullOrEmpty(message.Content))
+                {
+                    continue;
+                }
+
+                var occurrence = 0;
+                for (var match = regex.Match(message.Content); match.Success && matches.Count < MaxMatches; match = match.NextMatch())
+                {
+                    // Empty matches (e.g. "a*") would highlight nothing and never advance the count.
+                    if (match.Length == 0)
+                    {
+                        continue;
+                    }
+
+                    matches.Add(new WorkspaceChatFindMatch(index, message.Id, occurrence++, match.Index, match.Length));
+                }
+            }
+        }
+        catch (RegexMatchTimeoutException)
+        {
+            return new WorkspaceChatFindResult(matches, "Pattern took too long; showing partial results.");
+        }
+
+        return new WorkspaceChatFindResult(matches);
+    }
+}
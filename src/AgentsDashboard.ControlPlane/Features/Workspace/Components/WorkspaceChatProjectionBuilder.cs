@@ -6,6 +6,8 @@ namespace AgentsDashboard.ControlPlane.Components.Workspace;
 
 public sealed class WorkspaceChatProjectionBuilder
 {
+    private const string RunSummaryMessageIdPrefix = "run-summary-";
+
     public IReadOnlyList<WorkspaceChatMessage> Build(
         IReadOnlyList<WorkspacePromptEntryDocument> promptHistory,
         RunDocument? selectedRun,
@@ -61,7 +63,7 @@ public sealed class WorkspaceChatProjectionBuilder
             var runEndedAt = selectedRun.EndedAtUtc ?? selectedRun.CreatedAtUtc;
             var runLabel = selectedRun.Id[..Math.Min(8, selectedRun.Id.Length)];
             messages.Add(new WorkspaceChatMessage(
-                Id: $"run-summary-{selectedRun.Id}",
+                Id: GetRunSummaryMessageId(selectedRun.Id),
                 Kind: WorkspaceChatMessageKind.AssistantSummary,
                 Title: "Run Summary",
                 Content: summary,
@@ -72,7 +74,7 @@ public sealed class WorkspaceChatProjectionBuilder
             if (!string.IsNullOrWhiteSpace(eventContent))
             {
                 messages.Add(new WorkspaceChatMessage(
-                    Id: $"run-event-{selectedRun.Id}",
+                    Id: GetRunEventMessageId(selectedRun.Id),
                     Kind: WorkspaceChatMessageKind.Event,
                     Title: "Runtime Events",
                     Content: eventContent,
@@ -86,6 +88,26 @@ public sealed class WorkspaceChatProjectionBuilder
             .ToList();
     }
 
+    public static IReadOnlyList<string> GetRunMessageIds(RunDocument run)
+    {
+        return [GetRunSummaryMessageId(run.Id), GetRunEventMessageId(run.Id)];
+    }
+
+    public static bool IsRunSummaryMessageId(string messageId)
+    {
+        return messageId.StartsWith(RunSummaryMessageIdPrefix, StringComparison.Ordinal);
+    }
+
+    private static string GetRunSummaryMessageId(string runId)
+    {
+        return $"{RunSummaryMessageIdPrefix}{runId}";
+    }
+
+    private static string GetRunEventMessageId(string runId)
+    {
+        return $"run-event-{runId}";
+    }
+
     private static string BuildPromptMeta(WorkspacePromptEntryDocument entry)
     {
         var parts = new List<string>();
@@ -0,0 +1,49 @@
+using AgentsDashboard.ControlPlane.Components.Workspace.Models;
+using AgentsDashboard.Contracts.Features.Repositories.Models.Domain;
+
+namespace AgentsDashboard.ControlPlane.Components.Workspace;
+
+public sealed record WorkspaceCommand(string Name, string Argument)
+{
+    public static WorkspaceCommand? Parse(string? commandId)
+    {
+        if (string.IsNullOrWhiteSpace(commandId))
+        {
+            return null;
+        }
+
+        var separatorIndex = commandId.IndexOf(':');
+        return separatorIndex < 0
+            ? new WorkspaceCommand(commandId, string.Empty)
+            : new WorkspaceCommand(commandId[..separatorIndex], commandId[(separatorIndex + 1)..]);
+    }
+}
+
+public static class WorkspaceCommandCatalog
+{
+    public static List<WorkspaceCommandTarget> BuildTargets(
+        IEnumerable<RepositoryDocument> repositories,
+        IEnumerable<TaskDocument> tasks,
+        string selectedRepositoryName,
+        Func<TaskDocument, DateTime> lastActivityUtc)
+    {
+        var targets = repositories
+            .OrderBy(repository => repository.Name)
+            .Select(repository => new WorkspaceCommandTarget(
+                $"repository:{repository.Id}",
+                "repository",
+                repository.Name,
+                "Repository"))
+            .ToList();
+
+        targets.AddRange(tasks
+            .OrderByDescending(lastActivityUtc)
+            .Select(task => new WorkspaceCommandTarget(
+                $"task:{task.Id}",
+                "task",
+                string.IsNullOrWhiteSpace(task.Name) ? task.Id : task.Name,
+                $"Task in {selectedRepositoryName}")));
+
+        return targets;
+    }
+}
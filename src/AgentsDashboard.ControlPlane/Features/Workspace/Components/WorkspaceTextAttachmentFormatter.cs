@@ -0,0 +1,62 @@
+using System.Text;
+
+namespace AgentsDashboard.ControlPlane.Components.Workspace;
+
+public static class WorkspaceTextAttachmentFormatter
+{
+    public static string AppendAttachments(string composerText, IReadOnlyList<WorkspaceTextAttachmentInput> attachments)
+    {
+        if (attachments.Count == 0)
+        {
+            return composerText;
+        }
+
+        var builder = new StringBuilder(composerText);
+        foreach (var attachment in attachments)
+        {
+            if (builder.Length > 0)
+            {
+                builder.AppendLine().AppendLine();
+            }
+
+            var content = attachment.Content.TrimEnd();
+            var fence = GetCodeFence(content);
+            builder.Append("Attached file `").Append(attachment.FileName).AppendLine("`:");
+            builder.Append(fence).AppendLine(GetFenceLanguage(attachment));
+            builder.AppendLine(content);
+            builder.Append(fence);
+        }
+
+        return builder.ToString();
+    }
+
+    // A backtick fence only closes on a run at least as long as itself, so it has to be longer than
+    // any backtick run in the content; tilde lines never close it.
+    public static string GetCodeFence(string content)
+    {
+        var longestRun = 2;
+        var run = 0;
+        foreach (var character in content)
+        {
+            run = character == '`' ? run + 1 : 0;
+            longestRun = Math.Max(longestRun, run);
+        }
+
+        return new string('`', longestRun + 1);
+    }
+
+    private static string GetFenceLanguage(WorkspaceTextAttachmentInput attachment)
+    {
+        return attachment.MimeType switch
+        {
+            "text/x-diff" => "diff",
+            "application/json" => "json",
+            "application/x-ndjson" => "json",
+            "application/yaml" => "yaml",
+            "application/xml" => "xml",
+            "text/markdown" => "markdown",
+            "text/csv" => "csv",
+            _ => string.Empty,
+        };
+    }
+}
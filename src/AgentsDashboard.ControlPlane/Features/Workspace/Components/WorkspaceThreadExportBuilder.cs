@@ -0,0 +1,138 @@
+using System.Text;
+using System.Text.Json;
+using AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+namespace AgentsDashboard.ControlPlane.Components.Workspace;
+
+public sealed class WorkspaceThreadExportBuilder
+{
+    public const int FormatVersion = 1;
+
+    public WorkspaceThreadExport Build(
+        TaskDocument task,
+        string repositoryName,
+        string taskStateLabel,
+        IReadOnlyList<WorkspacePromptEntryDocument> promptHistory,
+        IReadOnlyList<RunDocument> runs,
+        IReadOnlyDictionary<string, RunStructuredViewSnapshot> structuredViewsByRunId,
+        DateTime exportedAtUtc)
+    {
+        var entries = promptHistory
+            .OrderBy(entry => entry.CreatedAtUtc)
+            .Select(entry => new WorkspaceThreadExportEntry(
+                entry.Id,
+                string.IsNullOrWhiteSpace(entry.Role) ? "system" : entry.Role.Trim().ToLowerInvariant(),
+                entry.Content,
+                entry.CreatedAtUtc,
+                entry.RunId,
+                ReadImages(entry)))
+            .ToList();
+
+        var exportedRuns = runs
+            .OrderBy(run => run.CreatedAtUtc)
+            .Select(run => new WorkspaceThreadExportRun(
+                run.Id,
+                run.State.ToString(),
+                run.ExecutionMode.ToString(),
+                run.Attempt,
+                run.CreatedAtUtc,
+                run.StartedAtUtc,
+                run.EndedAtUtc,
+                run.Summary,
+                run.FailureClass,
+                run.PrUrl,
+                structuredViewsByRunId.TryGetValue(run.Id, out var view)
+                    ? view.Tools
+                        .OrderBy(tool => tool.Sequence)
+                        .Select(tool => new WorkspaceThreadExportToolCall(tool.ToolName, tool.ToolCallId, tool.State, tool.Payload, tool.TimestampUtc))
+                        .ToList()
+                    : []))
+            .ToList();
+
+        return new WorkspaceThreadExport(
+            FormatVersion,
+            BuildFileBaseName(task.Name, exportedAtUtc),
+            exportedAtUtc,
+            new WorkspaceThreadExportTask(task.Id, task.Name, repositoryName, task.Harness, task.Prompt, taskStateLabel),
+            entries,
+            exportedRuns);
+    }
+
+    public static IReadOnlyList<WorkspaceThreadExportImage> ReadImages(WorkspacePromptEntryDocument entry)
+    {
+        if (string.IsNullOrWhiteSpace(entry.ImageMetadataJson))
+        {
+            return [];
+        }
+
+        try
+        {
+            using var document = JsonDocument.Parse(entry.ImageMetadataJson);
+            if (document.RootElement.ValueKind != JsonValueKind.Array)
+            {
+                return [];
+            }
+
+            return document.RootElement
+                .EnumerateArray()
+                .Where(image => image.ValueKind == JsonValueKind.Object)
+                .Select(image => new WorkspaceThreadExportImage(
+                    ReadString(image, "FileName"),
+                    ReadString(image, "ArtifactName"),
+                    ReadString(image, "MimeType"),
+                    image.TryGetProperty("SizeBytes", out var size) && size.TryGetInt64(out var sizeBytes) ? sizeBytes : 0,
+                    ReadInt(image, "Width"),
+                    ReadInt(image, "Height"),
+                    ReadString(image, "Sha256"),
+                    string.Empty))
+                .ToList();
+        }
+        catch (JsonException)
+        {
+            return [];
+        }
+    }
+
+    public static string GetImageArtifactKey(string runId, string artifactName)
+    {
+        return $"{runId}/{artifactName}";
+    }
+
+    public static string BuildFileBaseName(string taskName, DateTime exportedAtUtc)
+    {
+        var slug = new StringBuilder();
+        foreach (var character in taskName.Trim().ToLowerInvariant())
+        {
+            if (char.IsAsciiLetterOrDigit(character))
+            {
+                slug.Append(character);
+            }
+            else if (slug.Length > 0 && slug[^1] != '-')
+            {
+                slug.Append('-');
+            }
+
+            if (slug.Length >= 60)
+            {
+                break;
+            }
+        }
+
+        var name = slug.ToString().Trim('-');
+        return $"{(name.Length == 0 ? "task" : name)}-{exportedAtUtc:yyyyMMdd-HHmmss}";
+    }
+
+    private static string ReadString(JsonElement element, string propertyName)
+    {
+        return element.TryGetProperty(propertyName, out var value) && value.ValueKind == JsonValueKind.String
+            ? value.GetString() ?? string.Empty
+            : string.Empty;
+    }
+
+    private static int? ReadInt(JsonElement element, string propertyName)
+    {
+        return element.TryGetProperty(propertyName, out var value) && value.TryGetInt32(out var number)
+            ? number
+            : null;
+    }
+}
@@ -0,0 +1,105 @@
+namespace AgentsDashboard.ControlPlane.Components.Workspace;
+
+// Tracks the last message seen in each thread and counts the runs that arrived after it. Threads
+// that are not on screen only observe their latest run, so the badge counts new runs rather than
+// new messages. A thread's first observed messages count as already read.
+public sealed class WorkspaceThreadUnreadTracker
+{
+    private const int MaxMessageIdsPerThread = 500;
+
+    private readonly Dictionary<string, ThreadEntry> _threads = new(StringComparer.OrdinalIgnoreCase);
+
+    public void Observe(string taskId, IEnumerable<string> messageIds)
+    {
+        if (string.IsNullOrWhiteSpace(taskId))
+        {
+            return;
+        }
+
+        if (!_threads.TryGetValue(taskId, out var entry))
+        {
+            entry = new ThreadEntry();
+            _threads[taskId] = entry;
+            entry.Append(messageIds);
+            entry.LastSeenMessageId = entry.MessageIds.Count > 0 ? entry.MessageIds[^1] : null;
+            return;
+        }
+
+        entry.Append(messageIds);
+    }
+
+    public void MarkSeen(string taskId, string? messageId)
+    {
+        if (string.IsNullOrWhiteSpace(taskId) || string.IsNullOrWhiteSpace(messageId))
+        {
+            return;
+        }
+
+        if (!_threads.TryGetValue(taskId, out var entry))
+        {
+            entry = new ThreadEntry();
+            _threads[taskId] = entry;
+        }
+
+        entry.Append([messageId]);
+        var seenIndex = entry.MessageIds.LastIndexOf(messageId);
+        var currentIndex = entry.LastSeenMessageId is null ? -1 : entry.MessageIds.LastIndexOf(entry.LastSeenMessageId);
+        if (seenIndex >= currentIndex)
+        {
+            entry.LastSeenMessageId = messageId;
+        }
+    }
+
+    public string? GetLastSeenMessageId(string taskId)
+    {
+        return _threads.TryGetValue(taskId, out var entry) ? entry.LastSeenMessageId : null;
+    }
+
+    public int GetNewRunCount(string taskId)
+    {
+        if (!_threads.TryGetValue(taskId, out var entry) || entry.MessageIds.Count == 0)
+        {
+            return 0;
+        }
+
+        var seenIndex = entry.LastSeenMessageId is null ? -1 : entry.MessageIds.LastIndexOf(entry.LastSeenMessageId);
+        return entry.MessageIds
+            .Skip(seenIndex + 1)
+            .Count(WorkspaceChatProjectionBuilder.IsRunSummaryMessageId);
+    }
+
+    public void Retain(IReadOnlySet<string> taskIds)
+    {
+        foreach (var taskId in _threads.Keys.Where(taskId => !taskIds.Contains(taskId)).ToList())
+        {
+            _threads.Remove(taskId);
+        }
+    }
+
+    private sealed class ThreadEntry
+    {
+        private readonly HashSet<string> _known = new(StringComparer.Ordinal);
+
+        public List<string> MessageIds { get; } = [];
+
+        public string? LastSeenMessageId { get; set; }
+
+        public void Append(IEnumerable<string> messageIds)
+        {
+            foreach (var messageId in messageIds)
+            {
+                if (!string.IsNullOrWhiteSpace(messageId) && _known.Add(messageId))
+                {
+                    MessageIds.Add(messageId);
+                }
+            }
+
+            // Only the newest messages can still be unread, so the oldest are dropped first.
+            while (MessageIds.Count > MaxMessageIdsPerThread)
+            {
+                _known.Remove(MessageIds[0]);
+                MessageIds.RemoveAt(0);
+            }
+        }
+    }
+}
@@ -8,4 +8,5 @@ public sealed record WorkspaceImageInput(
     long SizeBytes,
     string DataUrl,
     int? Width = null,
-    int? Height = null);
+    int? Height = null,
+    long? OriginalSizeBytes = null);
@@ -0,0 +1,8 @@
+namespace AgentsDashboard.ControlPlane.Features.Workspace.Services;
+
+public sealed record WorkspaceTextAttachmentInput(
+    string Id,
+    string FileName,
+    string MimeType,
+    long SizeBytes,
+    string Content);
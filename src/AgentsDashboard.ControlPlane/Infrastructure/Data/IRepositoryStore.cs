@@ -26,6 +26,7 @@ public interface IRepositoryStore
     Task<PromptSkillDocument?> GetPromptSkillAsync(string skillId, CancellationToken cancellationToken);
     Task<PromptSkillDocument?> UpdatePromptSkillAsync(string skillId, UpdatePromptSkillRequest request, CancellationToken cancellationToken);
     Task<bool> DeletePromptSkillAsync(string skillId, CancellationToken cancellationToken);
+    Task<bool> RecordPromptSkillUsageAsync(string repositoryId, string trigger, CancellationToken cancellationToken);
 
     Task<RunSessionProfileDocument> CreateRunSessionProfileAsync(CreateRunSessionProfileRequest request, CancellationToken cancellationToken);
     Task<List<RunSessionProfileDocument>> ListRunSessionProfilesAsync(string repositoryId, bool includeGlobal, CancellationToken cancellationToken);
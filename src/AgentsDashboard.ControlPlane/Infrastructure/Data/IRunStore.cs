@@ -17,6 +17,7 @@ public interface IRunStore
     Task<Dictionary<string, RunState>> GetLatestRunStatesByTaskIdsAsync(List<string> taskIds, CancellationToken cancellationToken);
 
     Task<List<WorkspacePromptEntryDocument>> ListWorkspacePromptHistoryAsync(string taskId, int limit, CancellationToken cancellationToken);
+    Task<List<WorkspacePromptEntryDocument>> ListRepositoryUserPromptHistoryAsync(string repositoryId, int limit, CancellationToken cancellationToken);
     Task<List<WorkspacePromptEntryDocument>> ListWorkspacePromptEntriesForEmbeddingAsync(string taskId, CancellationToken cancellationToken);
     Task<WorkspacePromptEntryDocument> AppendWorkspacePromptEntryAsync(WorkspacePromptEntryDocument promptEntry, CancellationToken cancellationToken);
     Task<WorkspacePromptEntryDocument?> UpdateWorkspacePromptEntryContentAsync(string promptEntryId, string newContent, CancellationToken cancellationToken);
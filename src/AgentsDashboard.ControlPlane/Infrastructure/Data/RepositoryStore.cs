@@ -5,7 +5,7 @@ namespace AgentsDashboard.ControlPlane.Infrastructure.Data;
 public sealed class RepositoryStore(
     IOrchestratorRepositorySessionFactory liteDbScopeFactory) : IRepositoryStore
 {
-    private static readonly Regex PromptSkillTriggerRegex = new("^[a-z0-9-]+$", RegexOptions.Compiled);
+    private static readonly Regex PromptSkillTriggerRegex = new("^[a-z0-9-]+(:[a-z0-9-]+)*$", RegexOptions.Compiled);
     private const string GlobalRepositoryScope = "global";
 
     public async Task<RepositoryDocument> CreateRepositoryAsync(CreateRepositoryRequest request, CancellationToken cancellationToken)
@@ -369,6 +369,30 @@ public sealed class RepositoryStore(
         return existing;
     }
 
+    public async Task<bool> RecordPromptSkillUsageAsync(string repositoryId, string trigger, CancellationToken cancellationToken)
+    {
+        var normalizedTrigger = (trigger?.Trim() ?? string.Empty).TrimStart('/').ToLowerInvariant();
+        if (!PromptSkillTriggerRegex.IsMatch(normalizedTrigger))
+        {
+            return false;
+        }
+
+        await using var db = await liteDbScopeFactory.CreateAsync(cancellationToken);
+        var scope = NormalizePromptSkillScope(repositoryId);
+        var skill = await db.PromptSkills.FirstOrDefaultAsync(x => x.RepositoryId == scope && x.Trigger == normalizedTrigger, cancellationToken)
+            ?? await db.PromptSkills.FirstOrDefaultAsync(x => x.RepositoryId == GlobalRepositoryScope && x.Trigger == normalizedTrigger, cancellationToken);
+
+        if (skill is null)
+        {
+            return false;
+        }
+
+        skill.UsageCount++;
+        skill.LastUsedAtUtc = DateTime.UtcNow;
+        await db.SaveChangesAsync(cancellationToken);
+        return true;
+    }
+
     public async Task<bool> DeletePromptSkillAsync(string skillId, CancellationToken cancellationToken)
     {
         await using var db = await liteDbScopeFactory.CreateAsync(cancellationToken);
@@ -675,7 +699,7 @@ public sealed class RepositoryStore(
 
         if (!PromptSkillTriggerRegex.IsMatch(normalized))
         {
-            throw new ArgumentException("Trigger must match [a-z0-9-]+.", nameof(trigger));
+            throw new ArgumentException("Trigger must match [a-z0-9-]+, optionally namespaced as name:sub-name.", nameof(trigger));
         }
 
         return normalized;
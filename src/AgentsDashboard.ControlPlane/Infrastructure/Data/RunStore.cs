@@ -209,6 +209,23 @@ public sealed class RunStore(
             .ToListAsync(cancellationToken);
     }
 
+    public async Task<List<WorkspacePromptEntryDocument>> ListRepositoryUserPromptHistoryAsync(string repositoryId, int limit, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(repositoryId))
+        {
+            return [];
+        }
+
+        await using var db = await liteDbScopeFactory.CreateAsync(cancellationToken);
+        var normalizedLimit = Math.Clamp(limit, 1, 1000);
+
+        return await db.WorkspacePromptEntries.AsNoTracking()
+            .Where(x => x.RepositoryId == repositoryId && x.Role == "user")
+            .OrderByDescending(x => x.CreatedAtUtc)
+            .Take(normalizedLimit)
+            .ToListAsync(cancellationToken);
+    }
+
     public async Task<List<WorkspacePromptEntryDocument>> ListWorkspacePromptEntriesForEmbeddingAsync(string taskId, CancellationToken cancellationToken)
     {
         if (string.IsNullOrWhiteSpace(taskId))
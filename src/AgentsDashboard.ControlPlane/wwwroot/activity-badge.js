@@ -0,0 +1,198 @@
+window.agentsDashboard = window.agentsDashboard || {};
+
+(function () {
+    const iconSize = 32;
+    const state = { running: 0, failed: false, question: false };
+    let baseTitle = document.title;
+    let appliedTitle = null;
+    let iconLink = null;
+    let originalIconHref = null;
+    let iconImage = null;
+    let iconImageReady = false;
+    let observer = null;
+
+    function getIconLink() {
+        if (!iconLink || !iconLink.isConnected) {
+            iconLink = document.querySelector("link[rel~='icon']");
+            if (iconLink && originalIconHref === null) {
+                originalIconHref = iconLink.getAttribute("href");
+            }
+        }
+
+        return iconLink;
+    }
+
+    function buildTitlePrefix() {
+        const parts = [];
+        if (state.running > 0) {
+            parts.push(`(${state.running})`);
+        }
+
+        if (state.question) {
+            parts.push("?");
+        }
+
+        if (state.failed) {
+            parts.push("!");
+        }
+
+        return parts.length > 0 ? `${parts.join(" ")} ` : "";
+    }
+
+    // Page components keep writing plain titles, so anything we did not write becomes the new base title.
+    function syncTitle() {
+        if (document.title !== appliedTitle) {
+            baseTitle = document.title;
+        }
+
+        const nextTitle = buildTitlePrefix() + baseTitle;
+        appliedTitle = nextTitle;
+        if (document.title !== nextTitle) {
+            document.title = nextTitle;
+        }
+    }
+
+    function loadIconImage() {
+        if (iconImage) {
+            return;
+        }
+
+        const link = getIconLink();
+        iconImage = new Image();
+        iconImage.onload = () => {
+            iconImageReady = true;
+            syncIcon();
+        };
+        iconImage.src = originalIconHref || link?.href || "favicon.png";
+    }
+
+    function drawCircle(context, x, y, radius, color) {
+        context.beginPath();
+        context.arc(x, y, radius, 0, Math.PI * 2);
+        context.fillStyle = color;
+        context.fill();
+        context.lineWidth = 2;
+        context.strokeStyle = "#07090D";
+        context.stroke();
+    }
+
+    function drawLabel(context, text, x, y, size) {
+        context.fillStyle = "#07090D";
+        context.font = `bold ${size}px sans-serif`;
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText(text, x, y + 1);
+    }
+
+    function syncIcon() {
+        const link = getIconLink();
+        if (!link) {
+            return;
+        }
+
+        const hasBadge = state.running > 0 || state.failed || state.question;
+        if (!hasBadge) {
+            if (originalIconHref !== null && link.getAttribute("href") !== originalIconHref) {
+                link.setAttribute("href", originalIconHref);
+            }
+
+            return;
+        }
+
+        loadIconImage();
+        const canvas = document.createElement("canvas");
+        canvas.width = iconSize;
+        canvas.height = iconSize;
+        const context = canvas.getContext("2d");
+        if (!context) {
+            return;
+        }
+
+        if (iconImageReady) {
+            context.drawImage(iconImage, 0, 0, iconSize, iconSize);
+        }
+
+        if (state.running > 0) {
+            drawCircle(context, 22, 22, 10, "#53B1FD");
+            drawLabel(context, state.running > 9 ? "9+" : String(state.running), 22, 22, state.running > 9 ? 10 : 13);
+        }
+
+        if (state.question) {
+            drawCircle(context, 8, 8, 8, "#F79009");
+            drawLabel(context, "?", 8, 8, 12);
+        }
+
+        if (state.failed) {
+            drawCircle(context, 25, 7, 6, "#F97066");
+        }
+
+        try {
+            link.setAttribute("href", canvas.toDataURL("image/png"));
+        } catch {
+        }
+    }
+
+    function render() {
+        syncTitle();
+        syncIcon();
+    }
+
+    function ensureObserver() {
+        if (observer || typeof MutationObserver !== "function") {
+            return;
+        }
+
+        observer = new MutationObserver(() => {
+            if (document.title !== appliedTitle) {
+                syncTitle();
+            }
+        });
+        observer.observe(document.head, { childList: true, subtree: true, characterData: true });
+    }
+
+    function clearAttention() {
+        if (!state.failed && !state.question) {
+            return;
+        }
+
+        state.failed = false;
+        state.question = false;
+        render();
+    }
+
+    window.addEventListener("focus", clearAttention);
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible" && document.hasFocus()) {
+            clearAttention();
+        }
+    });
+
+    window.agentsDashboard.setActivityBadgeRunningCount = function (count) {
+        ensureObserver();
+        const running = Math.max(0, Number(count) || 0);
+        if (running === state.running && appliedTitle !== null) {
+            return;
+        }
+
+        state.running = running;
+        render();
+    };
+
+    // Failures and questions only stick while the user is elsewhere; the next focus clears them.
+    window.agentsDashboard.markActivityBadge = function (kind) {
+        ensureObserver();
+        if (document.hasFocus()) {
+            return;
+        }
+
+        if (kind === "failed") {
+            state.failed = true;
+        } else if (kind === "question") {
+            state.question = true;
+        } else {
+            return;
+        }
+
+        render();
+    };
+})();
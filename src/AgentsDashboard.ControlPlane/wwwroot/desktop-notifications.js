@@ -0,0 +1,174 @@
+window.agentsDashboard = window.agentsDashboard || {};
+
+(function () {
+    const defaultSettings = {
+        enabled: false,
+        notifySucceeded: true,
+        notifyFailed: true,
+        notifyCancelled: false,
+        notifyQuestions: true
+    };
+
+    const storageKey = "agentsDashboard.desktopNotificationSettings";
+    const maxGroupLines = 4;
+    const runGroups = new Map();
+    let settings = { ...defaultSettings };
+    let settingsLoaded = false;
+
+    function isSupported() {
+        return typeof window.Notification === "function";
+    }
+
+    function getPermission() {
+        return isSupported() ? Notification.permission : "unsupported";
+    }
+
+    function loadSettings() {
+        if (settingsLoaded) {
+            return settings;
+        }
+
+        try {
+            const serialized = localStorage.getItem(storageKey);
+            settings = serialized ? { ...defaultSettings, ...JSON.parse(serialized) } : { ...defaultSettings };
+        } catch {
+            settings = { ...defaultSettings };
+        }
+
+        settingsLoaded = true;
+        return settings;
+    }
+
+    function saveSettings(nextSettings) {
+        settings = { ...defaultSettings, ...loadSettings(), ...nextSettings };
+        localStorage.setItem(storageKey, JSON.stringify(settings));
+        return settings;
+    }
+
+    function isEventEnabled(eventType) {
+        switch (eventType) {
+            case "succeeded":
+                return settings.notifySucceeded;
+            case "failed":
+                return settings.notifyFailed;
+            case "cancelled":
+                return settings.notifyCancelled;
+            case "question":
+                return settings.notifyQuestions;
+            default:
+                return false;
+        }
+    }
+
+    function openTarget(url) {
+        window.focus();
+        if (!url) {
+            return;
+        }
+
+        if (window.Blazor && typeof window.Blazor.navigateTo === "function") {
+            window.Blazor.navigateTo(url);
+        } else {
+            window.location.assign(url);
+        }
+    }
+
+    function closeAllGroups() {
+        for (const group of runGroups.values()) {
+            group.notification?.close();
+        }
+
+        runGroups.clear();
+    }
+
+    // Events for one run share a tag, so a later event replaces the earlier toast and carries its lines forward.
+    function showGrouped(event) {
+        const groupKey = event.runId || event.url || event.title;
+        const group = runGroups.get(groupKey) || { lines: [], notification: null };
+        group.lines = [event.body, ...group.lines.filter(line => line !== event.body)].slice(0, maxGroupLines);
+        group.url = event.url || group.url;
+
+        const notification = new Notification(event.title, {
+            body: group.lines.join("\n"),
+            tag: `agents-dashboard-run-${groupKey}`,
+            renotify: true,
+            requireInteraction: event.type === "question",
+            icon: "/favicon.png"
+        });
+
+        notification.onclick = () => {
+            notification.close();
+            runGroups.delete(groupKey);
+            openTarget(group.url);
+        };
+
+        notification.onclose = () => {
+            if (runGroups.get(groupKey)?.notification === notification) {
+                runGroups.delete(groupKey);
+            }
+        };
+
+        group.notification = notification;
+        runGroups.set(groupKey, group);
+    }
+
+    // Settings saved in another tab take effect here on the next notification.
+    window.addEventListener("storage", event => {
+        if (event.key === storageKey || event.key === null) {
+            settingsLoaded = false;
+        }
+    });
+
+    document.addEventListener("visibilitychange", () => {
+        if (document.visibilityState === "visible") {
+            closeAllGroups();
+        }
+    });
+
+    window.agentsDashboard.getDesktopNotificationSettings = function () {
+        return loadSettings();
+    };
+
+    window.agentsDashboard.setDesktopNotificationSettings = function (newSettings) {
+        try {
+            return saveSettings(newSettings || {});
+        } catch {
+            return loadSettings();
+        }
+    };
+
+    window.agentsDashboard.getDesktopNotificationPermission = function () {
+        return getPermission();
+    };
+
+    window.agentsDashboard.requestDesktopNotificationPermission = async function () {
+        if (!isSupported()) {
+            return "unsupported";
+        }
+
+        try {
+            return await Notification.requestPermission();
+        } catch {
+            return getPermission();
+        }
+    };
+
+    window.agentsDashboard.showDesktopNotification = function (event) {
+        loadSettings();
+        if (!event || getPermission() !== "granted") {
+            return false;
+        }
+
+        // Forced events come from the settings preview and skip the opt-in and hidden-tab checks.
+        if (!event.force && (!settings.enabled || !isEventEnabled(event.type) || document.visibilityState !== "hidden")) {
+            return false;
+        }
+
+        try {
+            showGrouped(event);
+            return true;
+        } catch {
+            return false;
+        }
+    };
+})();
@@ -0,0 +1,316 @@
+const downloads = new Map();
+const progressIntervalMs = 150;
+const zipMaxBytes = 0xFFFFFFFF;
+const zipMaxEntries = 0xFFFF;
+
+let crcTable = null;
+
+export async function downloadStream(downloadId, fileName, contentType, streamRef, totalBytes, dotNetRef, options) {
+    const download = createDownload(downloadId, dotNetRef, totalBytes);
+    let writable = null;
+    try {
+        writable = options?.saveAs ? await openSaveTarget(fileName, contentType) : null;
+        if (writable === false) {
+            return "cancelled";
+        }
+
+        const parts = writable ? null : [];
+        await pumpStream(download, streamRef, async chunk => {
+            if (writable) {
+                await writable.write(chunk);
+            } else {
+                parts.push(chunk);
+            }
+        });
+
+        if (download.cancelled) {
+            await writable?.abort().catch(() => { });
+            return "cancelled";
+        }
+
+        if (writable) {
+            await writable.close();
+        } else {
+            saveBlob(fileName, new Blob(parts, { type: contentType || "application/octet-stream" }));
+        }
+
+        reportProgress(download, true);
+        return "completed";
+    } catch (error) {
+        // An aborted writable discards the partial file instead of leaving it on disk.
+        if (writable) {
+            await writable.abort().catch(() => { });
+        }
+
+        throw error;
+    } finally {
+        downloads.delete(downloadId);
+    }
+}
+
+export function beginZipDownload(downloadId, dotNetRef, totalBytes) {
+    const download = createDownload(downloadId, dotNetRef, totalBytes);
+    download.zip = { parts: [], entries: [], offset: 0, names: new Set() };
+}
+
+export async function addZipEntry(downloadId, entryName, streamRef) {
+    const download = downloads.get(downloadId);
+    if (!download?.zip || download.cancelled) {
+        return false;
+    }
+
+    const zip = download.zip;
+    if (zip.entries.length >= zipMaxEntries) {
+        throw new Error("Too many files for one zip archive.");
+    }
+
+    const name = uniqueZipEntryName(zip.names, entryName);
+    const nameBytes = new TextEncoder().encode(name);
+    const modified = toDosDateTime(new Date());
+    const entry = { nameBytes, modified, offset: zip.offset, crc: 0xFFFFFFFF, size: 0 };
+
+    // Sizes and CRC are only known after streaming, so they follow the data in a descriptor (flag bit 3).
+    pushZipPart(zip, buildZipLocalHeader(entry));
+    await pumpStream(download, streamRef, chunk => {
+        entry.crc = updateCrc32(entry.crc, chunk);
+        entry.size += chunk.length;
+        if (zip.offset + chunk.length > zipMaxBytes) {
+            throw new Error("Selected files are too large for one zip archive.");
+        }
+
+        pushZipPart(zip, chunk);
+    });
+
+    if (download.cancelled) {
+        return false;
+    }
+
+    entry.crc = (entry.crc ^ 0xFFFFFFFF) >>> 0;
+    pushZipPart(zip, buildZipDataDescriptor(entry));
+    zip.entries.push(entry);
+    return true;
+}
+
+export function finishZipDownload(downloadId, fileName) {
+    const download = downloads.get(downloadId);
+    downloads.delete(downloadId);
+    if (!download?.zip || download.cancelled) {
+        return "cancelled";
+    }
+
+    const zip = download.zip;
+    const directoryOffset = zip.offset;
+    for (const entry of zip.entries) {
+        pushZipPart(zip, buildZipCentralHeader(entry));
+    }
+
+    pushZipPart(zip, buildZipEndRecord(zip.entries.length, zip.offset - directoryOffset, directoryOffset));
+    saveBlob(fileName, new Blob(zip.parts, { type: "application/zip" }));
+    reportProgress(download, true);
+    return "completed";
+}
+
+export function cancelDownload(downloadId) {
+    const download = downloads.get(downloadId);
+    if (!download) {
+        return;
+    }
+
+    download.cancelled = true;
+    download.reader?.cancel().catch(() => { });
+    if (download.zip) {
+        download.zip.parts = [];
+        downloads.delete(downloadId);
+    }
+}
+
+function createDownload(downloadId, dotNetRef, totalBytes) {
+    const download = {
+        id: downloadId,
+        dotNetRef,
+        totalBytes: totalBytes > 0 ? totalBytes : -1,
+        loadedBytes: 0,
+        lastReportAt: 0,
+        cancelled: false,
+        reader: null,
+        zip: null
+    };
+    downloads.set(downloadId, download);
+    return download;
+}
+
+async function pumpStream(download, streamRef, onChunk) {
+    const stream = await streamRef.stream();
+    const reader = stream.getReader();
+    download.reader = reader;
+    try {
+        while (!download.cancelled) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+
+            await onChunk(value);
+            download.loadedBytes += value.length;
+            reportProgress(download, false);
+        }
+    } finally {
+        download.reader = null;
+        reader.releaseLock();
+    }
+}
+
+function reportProgress(download, force) {
+    const now = Date.now();
+    if (!download.dotNetRef || (!force && now - download.lastReportAt < progressIntervalMs)) {
+        return;
+    }
+
+    download.lastReportAt = now;
+    download.dotNetRef
+        .invokeMethodAsync("OnDownloadProgress", download.id, download.loadedBytes, download.totalBytes)
+        .catch(() => { });
+}
+
+async function openSaveTarget(fileName, contentType) {
+    if (typeof window.showSaveFilePicker !== "function") {
+        return null;
+    }
+
+    try {
+        const extension = fileName.includes(".") ? fileName.slice(fileName.lastIndexOf(".")) : "";
+        const handle = await window.showSaveFilePicker({
+            suggestedName: fileName,
+            types: extension
+                ? [{ accept: { [contentType || "application/octet-stream"]: [extension] } }]
+                : undefined
+        });
+        return await handle.createWritable();
+    } catch (error) {
+        if (error?.name === "AbortError") {
+            return false;
+        }
+
+        // The picker needs a fresh user gesture; fall back to a Blob download when it is gone.
+        return null;
+    }
+}
+
+function saveBlob(fileName, blob) {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = fileName;
+    anchor.style.display = "none";
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function uniqueZipEntryName(names, entryName) {
+    const normalized = String(entryName || "file")
+        .replace(/\\/g, "/")
+        .split("/")
+        .filter(segment => segment && segment !== "." && segment !== "..")
+        .join("/") || "file";
+
+    let candidate = normalized;
+    let suffix = 2;
+    while (names.has(candidate)) {
+        const dot = normalized.lastIndexOf(".");
+        candidate = dot > normalized.lastIndexOf("/")
+            ? `${normalized.slice(0, dot)} (${suffix})${normalized.slice(dot)}`
+            : `${normalized} (${suffix})`;
+        suffix++;
+    }
+
+    names.add(candidate);
+    return candidate;
+}
+
+function pushZipPart(zip, bytes) {
+    zip.parts.push(bytes);
+    zip.offset += bytes.length;
+}
+
+function buildZipLocalHeader(entry) {
+    const bytes = new Uint8Array(30 + entry.nameBytes.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);
+    view.setUint16(6, 0x0808, true);
+    view.setUint16(8, 0, true);
+    view.setUint16(10, entry.modified.time, true);
+    view.setUint16(12, entry.modified.date, true);
+    view.setUint16(26, entry.nameBytes.length, true);
+    bytes.set(entry.nameBytes, 30);
+    return bytes;
+}
+
+function buildZipDataDescriptor(entry) {
+    const bytes = new Uint8Array(16);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x08074b50, true);
+    view.setUint32(4, entry.crc, true);
+    view.setUint32(8, entry.size, true);
+    view.setUint32(12, entry.size, true);
+    return bytes;
+}
+
+function buildZipCentralHeader(entry) {
+    const bytes = new Uint8Array(46 + entry.nameBytes.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, 20, true);
+    view.setUint16(6, 20, true);
+    view.setUint16(8, 0x0808, true);
+    view.setUint16(10, 0, true);
+    view.setUint16(12, entry.modified.time, true);
+    view.setUint16(14, entry.modified.date, true);
+    view.setUint32(16, entry.crc, true);
+    view.setUint32(20, entry.size, true);
+    view.setUint32(24, entry.size, true);
+    view.setUint16(28, entry.nameBytes.length, true);
+    view.setUint32(42, entry.offset, true);
+    bytes.set(entry.nameBytes, 46);
+    return bytes;
+}
+
+function buildZipEndRecord(entryCount, directorySize, directoryOffset) {
+    const bytes = new Uint8Array(22);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, entryCount, true);
+    view.setUint16(10, entryCount, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, directoryOffset, true);
+    return bytes;
+}
+
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function updateCrc32(crc, bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let index = 0; index < 256; index++) {
+            let value = index;
+            for (let bit = 0; bit < 8; bit++) {
+                value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+            }
+
+            crcTable[index] = value >>> 0;
+        }
+    }
+
+    for (let index = 0; index < bytes.length; index++) {
+        crc = crcTable[(crc ^ bytes[index]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return crc >>> 0;
+}
@@ -1,7 +1,7 @@
 window.agentsDashboard = window.agentsDashboard || {};
 
 (function () {
-    const soundEngineVersion = "1.3.0";
+    const soundEngineVersion = "1.5.0";
 
     const soundProfiles = {
         modern: {
@@ -107,6 +107,30 @@ window.agentsDashboard = window.agentsDashboard || {};
         },
     };
 
+    // Built-in profiles only voice run completions; the other events share these tones unless a profile brings its own.
+    const eventTones = {
+        pendingApproval: [
+            { frequency: 523.25, duration: 0.08, delay: 0, gain: 0.12, attack: 0.005, decay: 0.08, type: "sine" },
+            { frequency: 659.25, duration: 0.1, delay: 0.1, gain: 0.12, attack: 0.005, decay: 0.1, type: "sine" },
+        ],
+        question: [
+            { frequency: 880.0, duration: 0.08, delay: 0, gain: 0.12, attack: 0.004, decay: 0.08, type: "triangle" },
+            { frequency: 698.46, duration: 0.08, delay: 0.09, gain: 0.11, attack: 0.004, decay: 0.08, type: "triangle" },
+            { frequency: 880.0, duration: 0.1, delay: 0.18, gain: 0.12, attack: 0.004, decay: 0.1, type: "triangle" },
+        ],
+        heartbeatLost: [
+            { frequency: 146.83, duration: 0.14, delay: 0, gain: 0.1, attack: 0.01, decay: 0.12, type: "square" },
+            { frequency: 146.83, duration: 0.14, delay: 0.22, gain: 0.1, attack: 0.01, decay: 0.12, type: "square" },
+        ],
+        retryStarted: [
+            { frequency: 392.0, duration: 0.05, delay: 0, gain: 0.09, attack: 0.004, decay: 0.05, type: "sine" },
+            { frequency: 392.0, duration: 0.05, delay: 0.08, gain: 0.09, attack: 0.004, decay: 0.05, type: "sine" },
+        ],
+    };
+
+    const soundEvents = ["succeeded", "failed", "cancelled", "pendingApproval", "question", "heartbeatLost", "retryStarted"];
+    const maxSoundRules = 50;
+
     const defaultSettings = {
         enabled: true,
         volume: 0.65,
@@ -114,9 +138,26 @@ window.agentsDashboard = window.agentsDashboard || {};
         version: soundEngineVersion,
         playSucceeded: true,
         playFailed: true,
-        playCancelled: true
+        playCancelled: true,
+        playPendingApproval: true,
+        playQuestion: true,
+        playHeartbeatLost: true,
+        playRetryStarted: false,
+        rules: [],
+        quietHoursEnabled: false,
+        quietHoursStart: "22:00",
+        quietHoursEnd: "07:00",
+        muteWhileFocused: false,
+        batchWindowMs: 1500
     };
 
+    const maxBatchWindowMs = 10000;
+    const maxBatchCountTicks = 8;
+    const batchCountTickGap = 0.12;
+    // Most urgent first; a collapsed burst plays the sound of its most urgent event.
+    const eventSeverity = ["heartbeatLost", "failed", "question", "pendingApproval", "cancelled", "retryStarted", "succeeded"];
+    const batchCountTone = { frequency: 1318.51, duration: 0.03, gain: 0.07, attack: 0.003, decay: 0.04, type: "sine" };
+
     const storageKey = "agentsDashboard.runCompletionAudioSettings";
     let settings = { ...defaultSettings };
     let settingsInfo;
@@ -127,6 +168,41 @@ window.agentsDashboard = window.agentsDashboard || {};
         cancelled: 0
     };
 
+    const userProfilePrefix = "user-";
+    const userProfileDbName = "agentsDashboard.runCompletionAudio";
+    const userProfileStoreName = "profiles";
+    const userClipStates = soundEvents;
+    const synthWaveTypes = ["sine", "triangle", "square", "sawtooth"];
+    const synthMaxTonesPerEvent = 16;
+    const synthToneFields = {
+        frequency: { min: 20, max: 20000, fallback: 440, digits: 2 },
+        duration: { min: 0.01, max: 2, fallback: 0.1, digits: 3 },
+        delay: { min: 0, max: 5, fallback: 0, digits: 3 },
+        gain: { min: 0, max: 0.4, fallback: 0.12, digits: 3 },
+        attack: { min: 0.001, max: 0.05, fallback: 0.008, digits: 3 },
+        decay: { min: 0.02, max: 0.3, fallback: 0.12, digits: 3 }
+    };
+    const profileExportVersion = 1;
+    const profileExportFormat = "agents-dashboard-sound-profile";
+    const profileExportMaxLength = 256 * 1024;
+    const userClipMaxBytes = 1024 * 1024;
+    const userClipMaxSeconds = 10;
+    const userClipMimeTypes = new Set([
+        "audio/mpeg",
+        "audio/mp3",
+        "audio/wav",
+        "audio/wave",
+        "audio/x-wav",
+        "audio/ogg",
+        "audio/webm",
+        "audio/mp4",
+        "audio/aac",
+        "audio/x-m4a"
+    ]);
+    const userProfiles = new Map();
+    let userProfilesLoaded = false;
+    let userProfilesLoading = null;
+
     let audioContext;
 
     async function getAudioContextAsync() {
@@ -174,9 +250,10 @@ window.agentsDashboard = window.agentsDashboard || {};
         return new Promise((resolve) => setTimeout(resolve, ms));
     }
 
+    // Resolves with the clip length once playback has started.
     async function playAudioTone(tone, stateVolume) {
         if (!isAudioTone(tone)) {
-            return false;
+            return 0;
         }
 
         const delayMs = Math.max(0, Number(tone.delay ?? 0) * 1000);
@@ -187,16 +264,101 @@ window.agentsDashboard = window.agentsDashboard || {};
         const audio = new Audio(tone.url);
         audio.volume = clamp(Number(stateVolume ?? 0.65), 0, 1);
         await audio.play();
-        return true;
+        return Number.isFinite(audio.duration) ? audio.duration : 0;
     }
 
     function normalizeState(state) {
-        return String(state ?? "").toLowerCase();
+        const normalized = String(state ?? "").toLowerCase();
+        return soundEvents.find(event => event.toLowerCase() === normalized) ?? normalized;
+    }
+
+    function normalizeRuleText(value) {
+        return String(value ?? "").trim().slice(0, 200);
+    }
+
+    function normalizeRules(rules) {
+        if (!Array.isArray(rules)) {
+            return [];
+        }
+
+        return rules.slice(0, maxSoundRules).map((rule, index) => {
+            const eventType = normalizeState(rule?.eventType);
+            const volume = Number(rule?.volume);
+            return {
+                id: normalizeRuleText(rule?.id) || `rule-${Date.now().toString(36)}-${index}`,
+                repository: normalizeRuleText(rule?.repository),
+                harness: normalizeRuleText(rule?.harness).toLowerCase(),
+                eventType: soundEvents.includes(eventType) ? eventType : "",
+                profile: normalizeProfile(rule?.profile) || "",
+                volume: rule?.volume === null || rule?.volume === undefined || !Number.isFinite(volume) ? null : clamp(volume, 0, 1)
+            };
+        });
+    }
+
+    function matchesRuleText(expected, ...actual) {
+        return !expected || actual.some(value => String(value ?? "").toLowerCase() === expected.toLowerCase());
+    }
+
+    // Rules are checked top to bottom; the first one whose filters all match decides profile and volume.
+    function findSoundRule(rules, eventType, context) {
+        return (rules || []).find(rule =>
+            (!rule.eventType || rule.eventType === eventType) &&
+            matchesRuleText(rule.repository, context?.repository, context?.repositoryId) &&
+            matchesRuleText(rule.harness, context?.harness)) ?? null;
+    }
+
+    function normalizeClockTime(value, fallback) {
+        const match = /^(\d{1,2}):(\d{2})/.exec(String(value ?? ""));
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            return fallback;
+        }
+
+        return `${match[1].padStart(2, "0")}:${match[2]}`;
+    }
+
+    function toMinutes(clockTime) {
+        const [hours, minutes] = clockTime.split(":").map(Number);
+        return hours * 60 + minutes;
+    }
+
+    function isWithinQuietHours(activeSettings, date) {
+        if (!activeSettings.quietHoursEnabled) {
+            return false;
+        }
+
+        const start = toMinutes(normalizeClockTime(activeSettings.quietHoursStart, defaultSettings.quietHoursStart));
+        const end = toMinutes(normalizeClockTime(activeSettings.quietHoursEnd, defaultSettings.quietHoursEnd));
+        const now = date.getHours() * 60 + date.getMinutes();
+        if (start === end) {
+            return false;
+        }
+
+        // A window such as 22:00-07:00 wraps past midnight.
+        return start < end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    function normalizeBatchWindow(value) {
+        const windowMs = Number(value);
+        return Number.isFinite(windowMs) ? Math.round(clamp(windowMs, 0, maxBatchWindowMs)) : defaultSettings.batchWindowMs;
+    }
+
+    function getToneSequence(profile, eventType) {
+        const tones = profile?.tones?.[eventType];
+        return tones && tones.length > 0 ? tones : eventTones[eventType] ?? null;
     }
 
     function normalizeProfile(profile) {
         const normalized = String(profile ?? "").toLowerCase();
-        return soundProfiles[normalized] ? normalized : null;
+        if (soundProfiles[normalized] || userProfiles.has(normalized)) {
+            return normalized;
+        }
+
+        // Uploaded profiles load asynchronously; keep the selection until IndexedDB has been read.
+        return !userProfilesLoaded && normalized.startsWith(userProfilePrefix) ? normalized : null;
+    }
+
+    function resolveProfile(profileName) {
+        return soundProfiles[profileName] || userProfiles.get(profileName)?.profile || null;
     }
 
     function loadSettingsInfo() {
@@ -206,24 +368,292 @@ window.agentsDashboard = window.agentsDashboard || {};
 
         settingsInfo = {
             version: soundEngineVersion,
-            profiles: Object.entries(soundProfiles).map(([id, profile]) => ({
-                id,
-                label: profile.label || id,
-                description: profile.description || ""
-            }))
+            events: soundEvents,
+            synth: { maxTonesPerEvent: synthMaxTonesPerEvent, waveTypes: synthWaveTypes },
+            profiles: [
+                ...Object.entries(soundProfiles).map(([id, profile]) => ({
+                    id,
+                    label: profile.label || id,
+                    description: profile.description || "",
+                    custom: false,
+                    kind: Object.values(profile.tones).some(sequence => sequence.some(isAudioTone)) ? "clips" : "synth",
+                    clips: []
+                })),
+                ...[...userProfiles.values()].map(entry => ({
+                    id: entry.record.id,
+                    label: entry.record.label,
+                    description: entry.profile.description,
+                    custom: true,
+                    kind: entry.record.kind === "synth" ? "synth" : "clips",
+                    clips: userClipStates
+                        .filter(state => entry.record.clips?.[state])
+                        .map(state => ({
+                            state,
+                            fileName: entry.record.clips[state].fileName,
+                            contentType: entry.record.clips[state].contentType,
+                            sizeBytes: entry.record.clips[state].sizeBytes,
+                            durationSeconds: entry.record.clips[state].durationSeconds
+                        }))
+                }))
+            ]
         };
 
         return settingsInfo;
     }
 
-    function isEnabledState(key) {
+    function openUserProfileDb() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("This browser does not support IndexedDB."));
+                return;
+            }
+
+            const request = window.indexedDB.open(userProfileDbName, 1);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(userProfileStoreName)) {
+                    request.result.createObjectStore(userProfileStoreName, { keyPath: "id" });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function runUserProfileTransaction(mode, action) {
+        const db = await openUserProfileDb();
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(userProfileStoreName, mode);
+                const request = action(transaction.objectStore(userProfileStoreName));
+                transaction.oncomplete = () => resolve(request?.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    function toFiniteNumber(value, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : fallback;
+    }
+
+    function roundTo(value, digits) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+
+    function sanitizeSynthTone(tone) {
+        const sanitized = {};
+        for (const [field, limits] of Object.entries(synthToneFields)) {
+            sanitized[field] = roundTo(clamp(toFiniteNumber(tone?.[field], limits.fallback), limits.min, limits.max), limits.digits);
+        }
+
+        sanitized.type = synthWaveTypes.includes(tone?.type) ? tone.type : "sine";
+        return sanitized;
+    }
+
+    // Lists what sanitizing changed beyond rounding, so an import can say so instead of adjusting tones silently.
+    function describeSynthAdjustments(tones) {
+        const adjustments = [];
+        for (const [eventType, sequence] of Object.entries(tones ?? {})) {
+            if (!soundEvents.includes(eventType) || !Array.isArray(sequence)) {
+                adjustments.push(`Ignored '${eventType}', which is not a list of tones for a known event.`);
+                continue;
+            }
+
+            if (sequence.length > synthMaxTonesPerEvent) {
+                adjustments.push(`${eventType}: kept the first ${synthMaxTonesPerEvent} of ${sequence.length} tones.`);
+            }
+
+            sequence.slice(0, synthMaxTonesPerEvent).forEach((tone, index) => {
+                for (const [field, limits] of Object.entries(synthToneFields)) {
+                    const value = Number(tone?.[field]);
+                    if (tone?.[field] === undefined || tone?.[field] === null || !Number.isFinite(value)) {
+                        adjustments.push(`${eventType} tone ${index + 1}: ${field} is missing, used ${limits.fallback}.`);
+                    } else if (value < limits.min || value > limits.max) {
+                        adjustments.push(`${eventType} tone ${index + 1}: ${field} ${value} clamped to ${clamp(value, limits.min, limits.max)}.`);
+                    }
+                }
+
+                if (!synthWaveTypes.includes(tone?.type)) {
+                    adjustments.push(`${eventType} tone ${index + 1}: wave '${tone?.type ?? ""}' replaced with sine.`);
+                }
+            });
+        }
+
+        return adjustments;
+    }
+
+    function sanitizeSynthTones(tones) {
+        const sanitized = {};
+        for (const eventType of soundEvents) {
+            const sequence = tones?.[eventType];
+            if (Array.isArray(sequence) && sequence.length > 0) {
+                sanitized[eventType] = sequence.slice(0, synthMaxTonesPerEvent).map(sanitizeSynthTone);
+            }
+        }
+
+        return sanitized;
+    }
+
+    function isSynthSequence(sequence) {
+        return Array.isArray(sequence) && sequence.length > 0 && !sequence.some(isAudioTone);
+    }
+
+    function buildSynthUserProfile(record) {
+        const edited = Object.keys(record.tones || {}).length;
+        return {
+            record,
+            urls: [],
+            profile: {
+                label: record.label,
+                description: `Synth profile with ${edited} edited ${edited === 1 ? "event" : "events"}.`,
+                tones: { ...record.tones }
+            }
+        };
+    }
+
+    function buildUserProfile(record) {
+        if (record.kind === "synth") {
+            return buildSynthUserProfile(record);
+        }
+
+        const fallback = soundProfiles[defaultSettings.selectedProfile];
+        const tones = {};
+        const urls = [];
+        for (const state of userClipStates) {
+            const clip = record.clips?.[state];
+            if (clip?.blob) {
+                const url = URL.createObjectURL(clip.blob);
+                urls.push(url);
+                tones[state] = [{ url }];
+            } else {
+                tones[state] = fallback.tones[state];
+            }
+        }
+
+        const uploaded = userClipStates.filter(state => record.clips?.[state]).length;
+        return {
+            record,
+            urls,
+            profile: {
+                label: record.label,
+                description: uploaded === userClipStates.length
+                    ? "Uploaded clips for every run state."
+                    : `${uploaded} of ${userClipStates.length} states use uploaded clips; the rest use ${fallback.label}.`,
+                tones
+            }
+        };
+    }
+
+    function setUserProfile(record) {
+        const existing = userProfiles.get(record.id);
+        existing?.urls.forEach(url => URL.revokeObjectURL(url));
+        userProfiles.set(record.id, buildUserProfile(record));
+        settingsInfo = null;
+    }
+
+    async function loadUserProfilesAsync(force) {
+        if (userProfilesLoading && !force) {
+            return userProfilesLoading;
+        }
+
+        userProfilesLoading = (async () => {
+            try {
+                const records = await runUserProfileTransaction("readonly", store => store.getAll());
+                for (const entry of userProfiles.values()) {
+                    entry.urls.forEach(url => URL.revokeObjectURL(url));
+                }
+
+                userProfiles.clear();
+                for (const record of records || []) {
+                    setUserProfile(record);
+                }
+            } catch {
+            }
+
+            userProfilesLoaded = true;
+            settingsInfo = null;
+        })();
+
+        return userProfilesLoading;
+    }
+
+    async function getUserProfileRecordAsync(profileId) {
+        await loadUserProfilesAsync(false);
+        const entry = userProfiles.get(String(profileId ?? "").toLowerCase());
+        if (!entry) {
+            throw new Error("Sound profile not found.");
+        }
+
+        return entry.record;
+    }
+
+    async function putUserProfileRecordAsync(record) {
+        await runUserProfileTransaction("readwrite", store => store.put(record));
+        setUserProfile(record);
+        postToTabs({ type: "profiles" });
+    }
+
+    async function readClipDurationAsync(blob) {
+        const OfflineContextCtor = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContextCtor) {
+            throw new Error("This browser cannot decode audio clips.");
+        }
+
+        const decoder = new OfflineContextCtor(1, 1, 44100);
+        const buffer = await decoder.decodeAudioData(await blob.arrayBuffer());
+        return buffer.duration;
+    }
+
+    async function validateClipAsync(file) {
+        const fileName = file.name;
+        const type = String(file.type ?? "").toLowerCase();
+        if (!userClipMimeTypes.has(type)) {
+            return { error: `Unsupported audio type '${file.type || "unknown"}'.` };
+        }
+
+        if (file.size === 0) {
+            return { error: `'${fileName}' is empty.` };
+        }
+
+        if (file.size > userClipMaxBytes) {
+            return { error: `'${fileName}' exceeds ${userClipMaxBytes / 1024} KB.` };
+        }
+
+        const blob = new Blob([await file.arrayBuffer()], { type });
+        let duration;
+        try {
+            duration = await readClipDurationAsync(blob);
+        } catch {
+            return { error: `'${fileName}' could not be decoded as audio.` };
+        }
+
+        if (!Number.isFinite(duration) || duration > userClipMaxSeconds) {
+            return { error: `'${fileName}' is longer than ${userClipMaxSeconds} seconds.` };
+        }
+
+        return { blob, duration };
+    }
+
+    function isEnabledState(key, activeSettings) {
         switch (key) {
             case "succeeded":
-                return settings.playSucceeded;
+                return activeSettings.playSucceeded;
             case "failed":
-                return settings.playFailed;
+                return activeSettings.playFailed;
             case "cancelled":
-                return settings.playCancelled;
+                return activeSettings.playCancelled;
+            case "pendingApproval":
+                return activeSettings.playPendingApproval;
+            case "question":
+                return activeSettings.playQuestion;
+            case "heartbeatLost":
+                return activeSettings.playHeartbeatLost;
+            case "retryStarted":
+                return activeSettings.playRetryStarted;
             default:
                 return false;
         }
@@ -249,7 +679,11 @@ window.agentsDashboard = window.agentsDashboard || {};
                 ...loaded,
                 version: soundEngineVersion,
                 volume: loadedVolume,
-                selectedProfile: normalizedProfile || defaultSettings.selectedProfile
+                selectedProfile: normalizedProfile || defaultSettings.selectedProfile,
+                rules: normalizeRules(loaded?.rules),
+                quietHoursStart: normalizeClockTime(loaded?.quietHoursStart, defaultSettings.quietHoursStart),
+                quietHoursEnd: normalizeClockTime(loaded?.quietHoursEnd, defaultSettings.quietHoursEnd),
+                batchWindowMs: normalizeBatchWindow(loaded?.batchWindowMs ?? defaultSettings.batchWindowMs)
             };
         } catch {
             settings = { ...defaultSettings };
@@ -268,10 +702,15 @@ window.agentsDashboard = window.agentsDashboard || {};
             ...nextSettings,
             volume: clamp(Number(nextSettings?.volume ?? settings.volume), 0, 1),
             selectedProfile: normalizedProfile || settings.selectedProfile,
+            rules: normalizeRules(nextSettings?.rules ?? settings.rules),
+            quietHoursStart: normalizeClockTime(nextSettings?.quietHoursStart ?? settings.quietHoursStart, defaultSettings.quietHoursStart),
+            quietHoursEnd: normalizeClockTime(nextSettings?.quietHoursEnd ?? settings.quietHoursEnd, defaultSettings.quietHoursEnd),
+            batchWindowMs: normalizeBatchWindow(nextSettings?.batchWindowMs ?? settings.batchWindowMs),
             version: soundEngineVersion
         };
 
         localStorage.setItem(storageKey, JSON.stringify(settings));
+        postToTabs({ type: "settings", settings });
         return settings;
     }
 
@@ -300,30 +739,39 @@ window.agentsDashboard = window.agentsDashboard || {};
 
         oscillator.start(startTime);
         oscillator.stop(end + decay + 0.02);
+        return end + decay;
     }
 
-    async function playSoundSequence(state, customSettings) {
+    // Resolves with the number of seconds until the last tone of the sequence has faded out.
+    async function playSoundSequence(state, customSettings, eventContext) {
         const normalized = normalizeState(state);
         const resolvedSettings = customSettings ? { ...settings, ...customSettings } : settings;
 
-        if (!resolvedSettings.enabled || !isEnabledState(normalized)) {
-            return;
+        if (!resolvedSettings.enabled || !isEnabledState(normalized, resolvedSettings)) {
+            return 0;
+        }
+
+        const rule = resolvedSettings.previewTones ? null : findSoundRule(resolvedSettings.rules, normalized, eventContext);
+        const selectedProfile = rule?.profile || resolvedSettings.selectedProfile;
+        if (String(selectedProfile ?? "").toLowerCase().startsWith(userProfilePrefix)) {
+            await loadUserProfilesAsync(false);
         }
 
-        const profileName = normalizeProfile(resolvedSettings.selectedProfile) || "modern";
-        const profile = soundProfiles[profileName] || soundProfiles.modern;
-        const toneSequence = profile.tones[normalized];
+        const profileName = normalizeProfile(selectedProfile) || "modern";
+        const profile = resolvedSettings.previewTones
+            ? { tones: sanitizeSynthTones(resolvedSettings.previewTones) }
+            : resolveProfile(profileName) || soundProfiles.modern;
+        const toneSequence = getToneSequence(profile, normalized);
         if (!toneSequence || toneSequence.length === 0) {
-            return;
+            return 0;
         }
 
-        const volume = clamp(Number(resolvedSettings.volume ?? resolvedSettings.level ?? 0.65), 0, 1);
+        const volume = clamp(Number(rule?.volume ?? resolvedSettings.volume ?? resolvedSettings.level ?? 0.65), 0, 1);
         if (toneSequence.some(isAudioTone)) {
             const selectedTone = nextAudioTone(normalized, [...toneSequence]);
             if (selectedTone) {
                 try {
-                    await playAudioTone(selectedTone, volume);
-                    return;
+                    return await playAudioTone(selectedTone, volume);
                 } catch {
                 }
             }
@@ -331,31 +779,378 @@ window.agentsDashboard = window.agentsDashboard || {};
 
         const context = await getAudioContextAsync();
         if (!context) {
-            return;
+            return 0;
         }
 
         const now = context.currentTime;
+        let sequenceEnd = now;
         for (const tone of toneSequence) {
             if (isAudioTone(tone)) {
                 continue;
             }
 
             const startTime = now + (tone.delay ?? 0);
-            playTone(context, tone, startTime, volume);
+            sequenceEnd = Math.max(sequenceEnd, playTone(context, tone, startTime, volume));
         }
+
+        return sequenceEnd - now;
+    }
+
+    // Every open tab receives the same completion, so tabs share presence and let one of them play it.
+    const tabChannelName = "agentsDashboard.runCompletionAudio";
+    const tabMessageKey = "agentsDashboard.runCompletionAudio.message";
+    const tabHeartbeatMs = 2000;
+    const tabExpiryMs = 5000;
+    // Browsers run timers in hidden tabs as rarely as once a minute, so hidden peers are kept longer.
+    const hiddenTabExpiryMs = 70 * 1000;
+    const leaderFallbackMs = 1500;
+    const leaderLockName = "agentsDashboard.runCompletionAudio.leader";
+    const playedRunRetentionMs = 10 * 60 * 1000;
+    const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    const tabStartedAt = Date.now();
+    const tabPeers = new Map();
+    const playedRuns = new Map();
+    const leaderLock = { supported: false, held: false, release: null };
+    let tabChannel = null;
+    let tabFocusedAt = 0;
+    let presenceAnnouncedAt = 0;
+
+    function isTabFocused() {
+        return document.visibilityState === "visible" && document.hasFocus();
+    }
+
+    function isTabVisible() {
+        return document.visibilityState === "visible";
+    }
+
+    function describeTab() {
+        return { focused: isTabFocused(), visible: isTabVisible(), focusedAt: tabFocusedAt, startedAt: tabStartedAt };
     }
 
-    window.agentsDashboard.playRunCompletedSound = async function (runState) {
+    function postToTabs(message) {
+        const envelope = { ...message, from: tabId };
+        if (tabChannel) {
+            try {
+                tabChannel.postMessage(envelope);
+            } catch {
+            }
+
+            return;
+        }
+
         try {
-            await playSoundSequence(runState, loadSettings());
+            localStorage.setItem(tabMessageKey, JSON.stringify({ ...envelope, nonce: Math.random() }));
+            localStorage.removeItem(tabMessageKey);
+        } catch {
+        }
+    }
+
+    function announcePresence() {
+        if (isTabFocused()) {
+            tabFocusedAt = Date.now();
+        }
+
+        presenceAnnouncedAt = Date.now();
+        postToTabs({ type: "presence", ...describeTab() });
+    }
+
+    function getLiveTabs() {
+        const now = Date.now();
+        const tabs = [{ id: tabId, ...describeTab() }];
+        for (const [id, peer] of tabPeers) {
+            if (now - peer.seenAt > (peer.visible === false ? hiddenTabExpiryMs : tabExpiryMs)) {
+                tabPeers.delete(id);
+            } else {
+                tabs.push({ id, ...peer });
+            }
+        }
+
+        return tabs;
+    }
+
+    function compareTabAge(left, right) {
+        return left.startedAt - right.startedAt || left.id.localeCompare(right.id);
+    }
+
+    // Without Web Locks the oldest visible tab leads, so a hidden tab hands over as soon as the others hear it is hidden.
+    function getLeaderTabId(tabs) {
+        return [...tabs].sort((left, right) => Number(right.visible) - Number(left.visible) || compareTabAge(left, right))[0].id;
+    }
+
+    function isLeaderTab() {
+        return leaderLock.supported ? leaderLock.held : getLeaderTabId(getLiveTabs()) === tabId;
+    }
+
+    function getPreferredTabId(tabs) {
+        const focused = tabs
+            .filter(tab => tab.focused)
+            .sort((left, right) => right.focusedAt - left.focusedAt || compareTabAge(left, right));
+        return focused.length > 0 ? focused[0].id : tabId;
+    }
+
+    // The lock holder leads. Unlike presence the lock does not depend on timers, and the browser passes it on
+    // when the holding tab closes.
+    function requestLeaderLock() {
+        window.navigator.locks.request(leaderLockName, () => new Promise(resolve => {
+            leaderLock.held = true;
+            leaderLock.release = resolve;
+            handOffHiddenLeadership();
+        })).catch(() => {
+            leaderLock.supported = false;
+            leaderLock.held = false;
+        });
+    }
+
+    // A hidden leader collects events on throttled timers, so it queues behind the other tabs while one is visible.
+    function handOffHiddenLeadership() {
+        if (!leaderLock.held || isTabVisible() || !getLiveTabs().some(tab => tab.id !== tabId && tab.visible)) {
+            return;
+        }
+
+        const release = leaderLock.release;
+        leaderLock.held = false;
+        leaderLock.release = null;
+        if (soundBatch.timer) {
+            clearTimeout(soundBatch.timer);
+            flushSoundBatch();
+        }
+
+        release();
+        requestLeaderLock();
+    }
+
+    function rememberPlayedRun(runId) {
+        const now = Date.now();
+        for (const [id, playedAt] of playedRuns) {
+            if (now - playedAt > playedRunRetentionMs) {
+                playedRuns.delete(id);
+            }
+        }
+
+        playedRuns.set(runId, now);
+    }
+
+    const soundBatch = { events: [], timer: null };
+    const routedBatches = new Map();
+
+    function isMutedNow(activeSettings) {
+        if (isWithinQuietHours(activeSettings, new Date())) {
+            return true;
+        }
+
+        return activeSettings.muteWhileFocused && getLiveTabs().some(tab => tab.focused);
+    }
+
+    async function playCountTicks(count, volume, startOffset) {
+        const context = await getAudioContextAsync();
+        if (!context) {
+            return;
+        }
+
+        const start = context.currentTime + startOffset + batchCountTickGap;
+        for (let index = 0; index < Math.min(count, maxBatchCountTicks); index++) {
+            playTone(context, batchCountTone, start + index * 0.09, volume);
+        }
+    }
+
+    async function playBatch(batch) {
+        const activeSettings = loadSettings();
+        try {
+            const sequenceEnd = await playSoundSequence(batch.state, activeSettings, batch.context);
+            if (batch.count > 1) {
+                await playCountTicks(batch.count, clamp(Number(activeSettings.volume ?? 0.65), 0, 1), sequenceEnd);
+            }
+        } catch {
+        }
+
+        postToTabs({ type: "played", batchId: batch.id, cursor: { ...fileToneCursor } });
+    }
+
+    // The leader hands the burst to the tab the user most likely looks at and plays it itself if that tab never does.
+    async function routeBatch(batch) {
+        const targetTabId = getPreferredTabId(getLiveTabs());
+        if (targetTabId === tabId) {
+            await playBatch(batch);
+            return;
+        }
+
+        routedBatches.set(batch.id, setTimeout(() => {
+            routedBatches.delete(batch.id);
+            playBatch(batch);
+        }, leaderFallbackMs));
+        postToTabs({ type: "play", to: targetTabId, batch });
+    }
+
+    async function flushSoundBatch() {
+        const events = soundBatch.events;
+        soundBatch.events = [];
+        soundBatch.timer = null;
+        if (events.length === 0) {
+            return;
+        }
+
+        const lead = [...events].sort((left, right) => eventSeverity.indexOf(left.state) - eventSeverity.indexOf(right.state))[0];
+        await routeBatch({
+            id: `${tabId}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            state: lead.state,
+            context: lead.context,
+            count: events.length
+        });
+    }
+
+    // Only the leader collects events, so a burst reported to every tab collapses into one sound followed by a
+    // short tick per event, no matter which tab ends up playing it.
+    function collectSound(runState, eventKey, eventContext) {
+        if (eventKey) {
+            if (playedRuns.has(eventKey)) {
+                return;
+            }
+
+            rememberPlayedRun(eventKey);
+            postToTabs({ type: "played", runId: eventKey });
+        }
+
+        const activeSettings = loadSettings();
+        const state = normalizeState(runState);
+        if (!activeSettings.enabled || !isEnabledState(state, activeSettings) || isMutedNow(activeSettings)) {
+            return;
+        }
+
+        soundBatch.events.push({ state, context: eventContext });
+        soundBatch.timer ??= setTimeout(flushSoundBatch, normalizeBatchWindow(activeSettings.batchWindowMs));
+    }
+
+    function handleTabMessage(message) {
+        if (!message || message.from === tabId) {
+            return;
+        }
+
+        // Messages still arrive while timers are throttled, so replying keeps a hidden tab in its peers' lists.
+        if (message.type === "hello" || Date.now() - presenceAnnouncedAt >= tabHeartbeatMs) {
+            announcePresence();
+        }
+
+        switch (message.type) {
+            case "hello":
+            case "presence":
+                tabPeers.set(message.from, { ...message, seenAt: Date.now() });
+                handOffHiddenLeadership();
+                break;
+            case "bye":
+                tabPeers.delete(message.from);
+                break;
+            case "play":
+                if (message.to === tabId && message.batch) {
+                    playBatch(message.batch);
+                }
+                break;
+            case "played":
+                if (message.runId) {
+                    rememberPlayedRun(message.runId);
+                }
+
+                if (message.batchId && routedBatches.has(message.batchId)) {
+                    clearTimeout(routedBatches.get(message.batchId));
+                    routedBatches.delete(message.batchId);
+                }
+
+                for (const [key, value] of Object.entries(message.cursor || {})) {
+                    if (soundEvents.includes(key) && Number.isInteger(value)) {
+                        fileToneCursor[key] = Math.max(fileToneCursor[key] ?? 0, value);
+                    }
+                }
+                break;
+            case "profiles":
+                loadUserProfilesAsync(true);
+                break;
+            case "settings":
+                if (message.settings) {
+                    settings = { ...defaultSettings, ...message.settings };
+                    settingsLoaded = true;
+                }
+                break;
+        }
+    }
+
+    function startTabCoordination() {
+        if (typeof window.BroadcastChannel === "function") {
+            try {
+                tabChannel = new BroadcastChannel(tabChannelName);
+                tabChannel.onmessage = event => handleTabMessage(event.data);
+            } catch {
+                tabChannel = null;
+            }
+        }
+
+        window.addEventListener("storage", event => {
+            if (event.key === tabMessageKey && event.newValue && !tabChannel) {
+                try {
+                    handleTabMessage(JSON.parse(event.newValue));
+                } catch {
+                }
+            } else if (event.key === storageKey) {
+                settingsLoaded = false;
+            }
+        });
+
+        window.addEventListener("focus", announcePresence);
+        window.addEventListener("blur", announcePresence);
+        document.addEventListener("visibilitychange", () => {
+            announcePresence();
+            handOffHiddenLeadership();
+        });
+        window.addEventListener("pagehide", () => postToTabs({ type: "bye" }));
+        setInterval(announcePresence, tabHeartbeatMs);
+
+        if (isTabFocused()) {
+            tabFocusedAt = Date.now();
+        }
+
+        presenceAnnouncedAt = Date.now();
+        postToTabs({ type: "hello", ...describeTab() });
+
+        if (typeof window.navigator?.locks?.request === "function") {
+            leaderLock.supported = true;
+            requestLeaderLock();
+        }
+    }
+
+    startTabCoordination();
+
+    // context: { runId, eventId, repository, repositoryId, harness, task, taskId }; a bare string is treated as the run id.
+    window.agentsDashboard.playRunCompletedSound = async function (runState, context) {
+        try {
+            const eventContext = typeof context === "string" ? { runId: context } : context || {};
+            const eventKey = eventContext.eventId || (eventContext.runId ? `${normalizeState(runState)}:${eventContext.runId}` : null);
+            if (isLeaderTab()) {
+                collectSound(runState, eventKey, eventContext);
+                return;
+            }
+
+            if (!eventKey) {
+                return;
+            }
+
+            // The next tab in line covers for a leader that never claims the event, e.g. one closed without saying
+            // goodbye; with Web Locks that is whichever tab the lock passed to.
+            const leaderTabId = getLeaderTabId(getLiveTabs());
+            await waitMs(leaderFallbackMs);
+            const isSuccessor = leaderLock.supported
+                ? leaderLock.held
+                : getLeaderTabId(getLiveTabs().filter(tab => tab.id !== leaderTabId)) === tabId;
+            if (!playedRuns.has(eventKey) && isSuccessor) {
+                collectSound(runState, eventKey, eventContext);
+            }
         } catch {
         }
     };
 
-    window.agentsDashboard.testRunCompletionSound = async function (runState, runSettings) {
+    window.agentsDashboard.testRunCompletionSound = async function (runState, runSettings, context) {
         try {
-            const previewSettings = runSettings ? { ...loadSettings(), ...runSettings } : loadSettings();
-            await playSoundSequence(runState, previewSettings);
+            const previewSettings = runSettings
+                ? { ...loadSettings(), ...runSettings, rules: normalizeRules(runSettings.rules ?? loadSettings().rules) }
+                : loadSettings();
+            await playSoundSequence(runState, previewSettings, context);
             return true;
         } catch {
             return false;
@@ -374,7 +1169,184 @@ window.agentsDashboard = window.agentsDashboard || {};
         }
     };
 
-    window.agentsDashboard.getRunCompletionAudioInfo = function () {
+    window.agentsDashboard.getRunCompletionAudioInfo = async function () {
+        await loadUserProfilesAsync(false);
         return loadSettingsInfo();
     };
+
+    window.agentsDashboard.createRunCompletionAudioProfile = async function (label) {
+        const trimmed = String(label ?? "").trim().slice(0, 60);
+        const record = {
+            id: `${userProfilePrefix}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            label: trimmed || "Custom sounds",
+            createdAt: new Date().toISOString(),
+            clips: {}
+        };
+
+        await loadUserProfilesAsync(false);
+        await putUserProfileRecordAsync(record);
+        return record.id;
+    };
+
+    async function setRunCompletionAudioClipAsync(profileId, state, file) {
+        const normalizedState = normalizeState(state);
+        if (!userClipStates.includes(normalizedState)) {
+            return { succeeded: false, error: `Unknown run state '${state}'.` };
+        }
+
+        try {
+            const record = await getUserProfileRecordAsync(profileId);
+            const validation = await validateClipAsync(file);
+            if (validation.error) {
+                return { succeeded: false, error: validation.error };
+            }
+
+            await putUserProfileRecordAsync({
+                ...record,
+                clips: {
+                    ...record.clips,
+                    [normalizedState]: {
+                        fileName: String(file.name || "clip"),
+                        contentType: validation.blob.type,
+                        sizeBytes: validation.blob.size,
+                        durationSeconds: Math.round(validation.duration * 100) / 100,
+                        blob: validation.blob
+                    }
+                }
+            });
+
+            return { succeeded: true, error: null };
+        } catch (error) {
+            return { succeeded: false, error: error?.message || "The clip could not be stored." };
+        }
+    }
+
+    // Reads the clip straight from the file input so the audio never travels through the circuit.
+    window.agentsDashboard.setRunCompletionAudioClipFromInput = async function (profileId, state, inputId) {
+        const input = document.getElementById(inputId);
+        const file = input?.files?.[0];
+        if (!file) {
+            return { succeeded: false, error: null, fileName: null };
+        }
+
+        const result = await setRunCompletionAudioClipAsync(profileId, state, file);
+        input.value = "";
+        return { ...result, fileName: file.name };
+    };
+
+    window.agentsDashboard.removeRunCompletionAudioClip = async function (profileId, state) {
+        const record = await getUserProfileRecordAsync(profileId);
+        const clips = { ...record.clips };
+        delete clips[normalizeState(state)];
+        await putUserProfileRecordAsync({ ...record, clips });
+    };
+
+    // Built-in synth profiles are returned read-only so the editor can start from a copy of them.
+    window.agentsDashboard.getRunCompletionSynthProfile = async function (profileId) {
+        const normalized = String(profileId ?? "").toLowerCase();
+        await loadUserProfilesAsync(false);
+
+        const userEntry = userProfiles.get(normalized);
+        const builtIn = soundProfiles[normalized];
+        const label = userEntry?.record.label ?? builtIn?.label;
+        const sourceTones = userEntry?.record.kind === "synth" ? userEntry.record.tones : builtIn?.tones;
+        if (!sourceTones || Object.values(sourceTones).some(sequence => !isSynthSequence(sequence))) {
+            return null;
+        }
+
+        const tones = {};
+        for (const eventType of soundEvents) {
+            tones[eventType] = (sourceTones[eventType] ?? eventTones[eventType]).map(sanitizeSynthTone);
+        }
+
+        return { id: userEntry ? normalized : null, label, editable: Boolean(userEntry), tones };
+    };
+
+    window.agentsDashboard.saveRunCompletionSynthProfile = async function (profile) {
+        await loadUserProfilesAsync(false);
+        const tones = sanitizeSynthTones(profile?.tones);
+        if (Object.keys(tones).length === 0) {
+            throw new Error("A profile needs at least one tone.");
+        }
+
+        const existing = userProfiles.get(String(profile?.id ?? "").toLowerCase())?.record;
+        const record = {
+            id: existing?.kind === "synth"
+                ? existing.id
+                : `${userProfilePrefix}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            label: String(profile?.label ?? "").trim().slice(0, 60) || "Custom synth",
+            kind: "synth",
+            createdAt: existing?.createdAt ?? new Date().toISOString(),
+            clips: {},
+            tones
+        };
+
+        await putUserProfileRecordAsync(record);
+        return record.id;
+    };
+
+    // Accepts a stored profile id or an unsaved { label, tones } draft from the editor.
+    window.agentsDashboard.exportRunCompletionSoundProfile = async function (profileOrId) {
+        const profile = typeof profileOrId === "object" && profileOrId
+            ? { label: String(profileOrId.label ?? "").trim() || "Custom synth", tones: sanitizeSynthTones(profileOrId.tones) }
+            : await window.agentsDashboard.getRunCompletionSynthProfile(profileOrId);
+        if (!profile) {
+            throw new Error("Only synth profiles can be exported.");
+        }
+
+        return JSON.stringify({
+            format: profileExportFormat,
+            version: profileExportVersion,
+            engineVersion: soundEngineVersion,
+            label: profile.label,
+            tones: profile.tones
+        }, null, 2);
+    };
+
+    window.agentsDashboard.importRunCompletionSoundProfile = async function (json) {
+        if (typeof json !== "string" || json.length > profileExportMaxLength) {
+            return { succeeded: false, id: null, error: "The file is too large to be a sound profile." };
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch {
+            return { succeeded: false, id: null, error: "The file is not valid JSON." };
+        }
+
+        if (parsed?.format !== profileExportFormat) {
+            return {
+                succeeded: false,
+                id: null,
+                error: parsed?.format === undefined
+                    ? "The file is not an exported sound profile."
+                    : `Unknown profile format '${parsed.format}'.`
+            };
+        }
+
+        if (!Number.isInteger(parsed.version) || parsed.version < 1 || parsed.version > profileExportVersion) {
+            return { succeeded: false, id: null, error: `Unsupported profile version '${parsed.version ?? "missing"}'.` };
+        }
+
+        if (Object.values(parsed.tones ?? {}).some(sequence => Array.isArray(sequence) && sequence.some(isAudioTone))) {
+            return { succeeded: false, id: null, error: "Profiles with audio file URLs cannot be imported." };
+        }
+
+        try {
+            const id = await window.agentsDashboard.saveRunCompletionSynthProfile({ label: parsed.label, tones: parsed.tones });
+            return { succeeded: true, id, error: null, adjustments: describeSynthAdjustments(parsed.tones) };
+        } catch (error) {
+            return { succeeded: false, id: null, error: error?.message || "The profile could not be imported." };
+        }
+    };
+
+    window.agentsDashboard.deleteRunCompletionAudioProfile = async function (profileId) {
+        const record = await getUserProfileRecordAsync(profileId);
+        await runUserProfileTransaction("readwrite", store => store.delete(record.id));
+        userProfiles.get(record.id)?.urls.forEach(url => URL.revokeObjectURL(url));
+        userProfiles.delete(record.id);
+        settingsInfo = null;
+        postToTabs({ type: "profiles" });
+    };
 })();
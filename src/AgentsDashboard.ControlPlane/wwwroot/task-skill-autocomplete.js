@@ -1,9 +1,33 @@
 window.agentsDashboardSkillAutocomplete = window.agentsDashboardSkillAutocomplete || {};
 
 (function () {
-    let providerRegistered = false;
-    let providerDisposable = null;
     const editorBindings = new Map();
+    const editorIdsByModelUri = new Map();
+    const languageRegistrations = new Map();
+    const supportedEditorLanguages = new Set(["markdown", "plaintext", "yaml"]);
+    const defaultEditorLanguage = "markdown";
+    const textareaBindings = new Map();
+    const slashTriggerPattern = /(^|\s)\/([a-z0-9:-]*)$/i;
+    const mentionTriggerPattern = /(^|\s)@([^\s@]*)$/;
+    const maxEditorMentionSuggestions = 50;
+    const skillTokenPattern = /(^|\s)\/([a-z0-9-]+(?::[a-z0-9-]+)*)(?=\s|$)/gi;
+    const skillMarkerOwner = "agents-dashboard-skills";
+    const skillSettingsPath = "/settings/skills";
+    const skillDiagnosticsDelayMs = 250;
+    const skillHoverPreviewLines = 12;
+    const recencyHalfLifeDays = 7;
+    const dayMs = 24 * 60 * 60 * 1000;
+    const maxTextareaSuggestions = 8;
+    const snippetNamePattern = /^[_a-zA-Z][_a-zA-Z0-9]*/;
+    const snippetNumberPattern = /^\d+/;
+    const snippetFinalStopKey = "$end";
+    const caretMovementKeys = new Set(["ArrowLeft", "ArrowRight", "Home", "End"]);
+    const caretMirrorProperties = [
+        "boxSizing", "width", "paddingTop", "paddingRight", "paddingBottom", "paddingLeft",
+        "borderTopWidth", "borderRightWidth", "borderBottomWidth", "borderLeftWidth",
+        "fontFamily", "fontSize", "fontWeight", "fontStyle", "letterSpacing", "lineHeight",
+        "textTransform", "wordSpacing", "tabSize"
+    ];
 
     function getEditor(editorId) {
         if (!window.blazorMonaco?.editor?.getEditor) {
@@ -25,6 +49,10 @@ window.agentsDashboardSkillAutocomplete = window.agentsDashboardSkillAutocomplet
     }
 
     function normalizeSkills(skills) {
+        return normalizeSkillEntries(skills).filter((skill) => skill.enabled);
+    }
+
+    function normalizeSkillEntries(skills) {
         if (!Array.isArray(skills)) {
             return [];
         }
@@ -40,38 +68,781 @@ window.agentsDashboardSkillAutocomplete = window.agentsDashboardSkillAutocomplet
                     scopePriority: Number.isFinite(Number(skill?.scopePriority))
                         ? Number(skill.scopePriority)
                         : 99,
-                    enabled: Boolean(skill?.enabled ?? true)
+                    enabled: Boolean(skill?.enabled ?? true),
+                    usageCount: Math.max(0, Number(skill?.usageCount) || 0),
+                    lastUsedAt: Date.parse(skill?.lastUsedAtUtc ?? "") || 0,
+                    editUrl: String(skill?.editUrl ?? "")
                 };
             })
-            .filter((skill) => skill.trigger.length > 0 && skill.content.length > 0 && skill.enabled);
+            .filter((skill) => skill.trigger.length > 0 && skill.content.length > 0);
     }
 
-    function ensureProvider() {
-        if (providerRegistered) {
-            return true;
+    // Subsequence match. Runs of consecutive characters and characters that start a word or a
+    // namespace segment ("review:security") score higher; skipped characters cost a little.
+    function fuzzyMatch(query, text) {
+        if (!query) {
+            return { score: 0, positions: [] };
         }
 
-        if (!window.monaco?.languages?.registerCompletionItemProvider) {
-            return false;
+        const haystack = text.toLowerCase();
+        const positions = [];
+        let score = 0;
+        let searchFrom = 0;
+        let previous = -2;
+
+        for (const character of query) {
+            const index = haystack.indexOf(character, searchFrom);
+            if (index < 0) {
+                return null;
+            }
+
+            score += 1;
+            if (index === previous + 1) {
+                score += 4;
+            }
+
+            if (index === 0 || /[\s:\-_/.]/.test(haystack[index - 1])) {
+                score += 6;
+            }
+
+            score -= Math.min(index - searchFrom, 8) * 0.4;
+            positions.push(index);
+            previous = index;
+            searchFrom = index + 1;
         }
 
-        providerDisposable = window.monaco.languages.registerCompletionItemProvider("markdown", {
-            triggerCharacters: ["/"],
-            provideCompletionItems: (model, position) => {
-                const modelUri = model?.uri?.toString();
-                if (!modelUri) {
-                    return { suggestions: [] };
+        if (haystack.startsWith(query)) {
+            score += 12;
+        }
+
+        if (haystack === query) {
+            score += 8;
+        }
+
+        return { score: score, positions: positions };
+    }
+
+    function getUsageScore(skill, now) {
+        const frequency = Math.log2(1 + skill.usageCount) * 2;
+        const recency = skill.lastUsedAt > 0
+            ? 6 * Math.pow(0.5, Math.max(0, now - skill.lastUsedAt) / (recencyHalfLifeDays * dayMs))
+            : 0;
+
+        return frequency + recency;
+    }
+
+    function rankSkills(skills, partial) {
+        const query = partial.toLowerCase();
+        const now = Date.now();
+        const results = [];
+
+        for (const skill of skills) {
+            const triggerMatch = fuzzyMatch(query, skill.trigger);
+            const descriptionMatch = triggerMatch ? null : fuzzyMatch(query, skill.description);
+            if (!triggerMatch && (!descriptionMatch || !skill.description)) {
+                continue;
+            }
+
+            const matchScore = triggerMatch ? triggerMatch.score : descriptionMatch.score * 0.5;
+            results.push({
+                skill: skill,
+                score: matchScore + getUsageScore(skill, now) - skill.scopePriority * 2,
+                triggerPositions: triggerMatch?.positions ?? [],
+                descriptionPositions: descriptionMatch?.positions ?? []
+            });
+        }
+
+        return results.sort((left, right) =>
+            right.score - left.score
+            || left.skill.scopePriority - right.skill.scopePriority
+            || left.skill.trigger.localeCompare(right.skill.trigger));
+    }
+
+    function recordSkillUsage(binding, skill) {
+        skill.usageCount += 1;
+        skill.lastUsedAt = Date.now();
+
+        if (binding.dotNetRef) {
+            binding.dotNetRef.invokeMethodAsync("OnPromptSkillUsedFromJs", skill.trigger).catch(() => { });
+        }
+    }
+
+    function highlightMarkdown(text, positions) {
+        const matched = new Set(positions);
+        let output = "";
+        for (let index = 0; index < text.length; index++) {
+            const character = text[index].replace(/[\\`*_{}\[\]()#+\-.!|<>]/g, "\\$&");
+            output += matched.has(index) ? `**${character}**` : character;
+        }
+
+        return output.replace(/\*\*\*\*/g, "");
+    }
+
+    function appendHighlightedText(container, text, positions) {
+        const matched = new Set(positions);
+        let index = 0;
+        while (index < text.length) {
+            const isMatched = matched.has(index);
+            let end = index;
+            while (end < text.length && matched.has(end) === isMatched) {
+                end++;
+            }
+
+            const segment = text.slice(index, end);
+            if (isMatched) {
+                const mark = document.createElement("mark");
+                mark.textContent = segment;
+                container.appendChild(mark);
+            } else {
+                container.appendChild(document.createTextNode(segment));
+            }
+
+            index = end;
+        }
+    }
+
+    function buildMentionIndex(paths) {
+        const files = Array.from(new Set((Array.isArray(paths) ? paths : [])
+            .map((path) => String(path ?? "").trim().replace(/\\/g, "/").replace(/^\/+/, ""))
+            .filter((path) => path.length > 0 && !path.endsWith("/"))));
+        const directories = new Set();
+        for (const path of files) {
+            for (let index = path.indexOf("/"); index > 0; index = path.indexOf("/", index + 1)) {
+                directories.add(path.slice(0, index + 1));
+            }
+        }
+
+        const entries = Array.from(directories)
+            .map((path) => ({ path: path, isDirectory: true }))
+            .concat(files.map((path) => ({ path: path, isDirectory: false })));
+
+        for (const entry of entries) {
+            const trimmed = entry.isDirectory ? entry.path.slice(0, -1) : entry.path;
+            entry.nameStart = trimmed.lastIndexOf("/") + 1;
+            entry.parent = entry.path.slice(0, entry.nameStart).toLowerCase();
+        }
+
+        return {
+            entries: entries,
+            directoryKeys: new Set(Array.from(directories, (path) => path.toLowerCase()))
+        };
+    }
+
+    function compareMentionEntries(left, right) {
+        return Number(right.isDirectory) - Number(left.isDirectory) || left.path.localeCompare(right.path);
+    }
+
+    // A query ending in a known directory ("src/app/") lists that directory's children so paths
+    // can be drilled into; anything else is fuzzy-matched against the whole path, with a bonus
+    // when the file name itself matches.
+    function rankMentions(index, query, limit) {
+        const lowered = query.toLowerCase();
+        const slashIndex = lowered.lastIndexOf("/");
+        const directory = lowered.slice(0, slashIndex + 1);
+        const rest = lowered.slice(slashIndex + 1);
+        const results = [];
+
+        if (lowered.length === 0 || (directory && index.directoryKeys.has(directory))) {
+            for (const entry of index.entries) {
+                if (entry.parent !== directory) {
+                    continue;
+                }
+
+                const match = fuzzyMatch(rest, entry.path.slice(entry.nameStart));
+                if (match) {
+                    results.push({
+                        entry: entry,
+                        score: match.score,
+                        positions: match.positions.map((position) => position + entry.nameStart)
+                    });
+                }
+            }
+        } else {
+            for (const entry of index.entries) {
+                const pathMatch = fuzzyMatch(lowered, entry.path);
+                if (!pathMatch) {
+                    continue;
+                }
+
+                const nameMatch = fuzzyMatch(lowered, entry.path.slice(entry.nameStart));
+                const useName = nameMatch && nameMatch.score + 10 > pathMatch.score;
+                results.push({
+                    entry: entry,
+                    score: (useName ? nameMatch.score + 10 - (entry.path.length - entry.nameStart) * 0.05 : pathMatch.score)
+                        - entry.path.length * 0.01
+                        - (entry.isDirectory ? 1 : 0),
+                    positions: useName
+                        ? nameMatch.positions.map((position) => position + entry.nameStart)
+                        : pathMatch.positions
+                });
+            }
+        }
+
+        return results
+            .sort((left, right) => right.score - left.score || compareMentionEntries(left.entry, right.entry))
+            .slice(0, limit);
+    }
+
+    function describeMentionDirectory(index, entry) {
+        const parent = entry.path.toLowerCase();
+        const children = index.entries
+            .filter((candidate) => candidate.parent === parent)
+            .sort(compareMentionEntries)
+            .map((candidate) => candidate.path.slice(candidate.nameStart));
+
+        return children.length > 0 ? children.join("\n") : "Empty directory.";
+    }
+
+    function loadMentionPreview(binding, path) {
+        if (!binding.dotNetRef) {
+            return Promise.resolve(null);
+        }
+
+        let preview = binding.mentionPreviews.get(path);
+        if (!preview) {
+            preview = binding.dotNetRef.invokeMethodAsync("GetRepositoryFilePreviewFromJs", path).catch(() => null);
+            binding.mentionPreviews.set(path, preview);
+        }
+
+        return preview;
+    }
+
+    // Parses the snippet subset skills may use: $1, ${1:default}, ${1|one,two|}, $NAME and
+    // ${NAME:default}. Anything that does not parse is kept as literal text.
+    function parseSnippet(source) {
+        let position = 0;
+
+        const readPattern = (pattern) => {
+            const match = pattern.exec(source.slice(position));
+            if (!match) {
+                return null;
+            }
+
+            position += match[0].length;
+            return match[0];
+        };
+
+        const readChoices = () => {
+            const choices = [];
+            let current = "";
+            while (position < source.length) {
+                const character = source[position];
+                if (character === "\\" && ",|\\$}".includes(source[position + 1] ?? "")) {
+                    current += source[position + 1];
+                    position += 2;
+                } else if (character === ",") {
+                    choices.push(current);
+                    current = "";
+                    position++;
+                } else if (character === "|" && source[position + 1] === "}") {
+                    choices.push(current);
+                    position += 2;
+                    return choices;
+                } else {
+                    current += character;
+                    position++;
+                }
+            }
+
+            return null;
+        };
+
+        const parseDollar = () => {
+            const start = position;
+            position++;
+
+            if (source[position] !== "{") {
+                const number = readPattern(snippetNumberPattern);
+                if (number !== null) {
+                    return { type: "tabstop", index: Number(number), children: [], choices: null };
+                }
+
+                const name = readPattern(snippetNamePattern);
+                if (name !== null) {
+                    return { type: "variable", name: name, children: null };
+                }
+
+                position = start;
+                return null;
+            }
+
+            position++;
+            const number = readPattern(snippetNumberPattern);
+            const name = number === null ? readPattern(snippetNamePattern) : null;
+            if (number === null && name === null) {
+                position = start;
+                return null;
+            }
+
+            const node = number !== null
+                ? { type: "tabstop", index: Number(number), children: [], choices: null }
+                : { type: "variable", name: name, children: null };
+
+            if (source[position] === "}") {
+                position++;
+                return node;
+            }
+
+            if (source[position] === ":") {
+                position++;
+                node.children = parseNodes(true);
+                if (source[position] === "}") {
+                    position++;
+                    return node;
+                }
+            } else if (source[position] === "|" && node.type === "tabstop") {
+                position++;
+                const choices = readChoices();
+                if (choices && choices.length > 0) {
+                    node.choices = choices;
+                    node.children = [{ type: "text", value: choices[0] }];
+                    return node;
+                }
+            }
+
+            position = start;
+            return null;
+        };
+
+        const parseNodes = (insidePlaceholder) => {
+            const nodes = [];
+            let text = "";
+            while (position < source.length) {
+                const character = source[position];
+                if (character === "\\" && "$}\\".includes(source[position + 1] ?? "")) {
+                    text += source[position + 1];
+                    position += 2;
+                    continue;
+                }
+
+                if (insidePlaceholder && character === "}") {
+                    break;
+                }
+
+                const node = character === "$" ? parseDollar() : null;
+                if (!node) {
+                    text += character;
+                    position++;
+                    continue;
+                }
+
+                if (text) {
+                    nodes.push({ type: "text", value: text });
+                    text = "";
+                }
+
+                nodes.push(node);
+            }
+
+            if (text) {
+                nodes.push({ type: "text", value: text });
+            }
+
+            return nodes;
+        };
+
+        return parseNodes(false);
+    }
+
+    function escapeSnippetText(text, insideChoice) {
+        return String(text).replace(insideChoice ? /[\\$}|,]/g : /[\\$}]/g, "\\$&");
+    }
+
+    function normalizeVariables(variables) {
+        const now = new Date();
+        const normalized = {
+            TODAY: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-${String(now.getDate()).padStart(2, "0")}`
+        };
+
+        for (const [name, value] of Object.entries(variables ?? {})) {
+            normalized[name] = String(value ?? "");
+        }
+
+        return normalized;
+    }
+
+    async function resolveSkillVariables(binding) {
+        let variables = null;
+        if (binding.dotNetRef) {
+            try {
+                variables = await binding.dotNetRef.invokeMethodAsync("GetPromptSkillVariablesFromJs");
+            } catch {
+            }
+        }
+
+        return normalizeVariables(variables);
+    }
+
+    function resolveVariable(variables, node) {
+        const value = Object.hasOwn(variables, node.name) ? variables[node.name] : undefined;
+        return value || (value !== undefined && !node.children) ? value : undefined;
+    }
+
+    // Dashboard variables are substituted up front; other names are left for Monaco, which
+    // resolves its own (CURRENT_YEAR, CLIPBOARD, ...) and turns the rest into placeholders.
+    function toMonacoSnippet(nodes, variables) {
+        return nodes.map((node) => {
+            if (node.type === "text") {
+                return escapeSnippetText(node.value);
+            }
+
+            if (node.type === "variable") {
+                const value = resolveVariable(variables, node);
+                if (value !== undefined) {
+                    return escapeSnippetText(value);
+                }
+
+                if (Object.hasOwn(variables, node.name)) {
+                    return toMonacoSnippet(node.children, variables);
+                }
+
+                return node.children
+                    ? `\${${node.name}:${toMonacoSnippet(node.children, variables)}}`
+                    : `\${${node.name}}`;
+            }
+
+            if (node.choices) {
+                return `\${${node.index}|${node.choices.map((choice) => escapeSnippetText(choice, true)).join(",")}|}`;
+            }
+
+            return node.children.length > 0
+                ? `\${${node.index}:${toMonacoSnippet(node.children, variables)}}`
+                : `\$${node.index}`;
+        }).join("");
+    }
+
+    function isSnippetAncestor(range, candidate) {
+        for (let parent = candidate.parent; parent; parent = parent.parent) {
+            if (parent === range) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Applies a length change at the end of `edited` to the other ranges: enclosing placeholders
+    // grow with it and everything after it moves along.
+    function shiftSnippetRanges(ranges, edited, oldEnd, delta) {
+        for (const range of ranges) {
+            if (range === edited) {
+                continue;
+            }
+
+            if (isSnippetAncestor(range, edited)) {
+                range.end += delta;
+            } else if (range.start >= oldEnd) {
+                range.start += delta;
+                range.end += delta;
+            }
+        }
+
+        edited.end = oldEnd + delta;
+    }
+
+    // Expands a snippet to plain text for the composer textarea and the skill editor preview.
+    // Tab stops come back as ranges in visiting order; repeated stops are mirrors of the first
+    // occurrence that carries a default, like Monaco does.
+    function expandSnippet(nodes, variables) {
+        const ranges = [];
+        const variableKeys = [];
+        let text = "";
+
+        const render = (children, parent) => {
+            for (const node of children) {
+                if (node.type === "text") {
+                    text += node.value;
+                    continue;
+                }
+
+                if (node.type === "variable") {
+                    const value = resolveVariable(variables, node);
+                    if (value !== undefined) {
+                        text += value;
+                    } else if (node.children) {
+                        render(node.children, parent);
+                    } else {
+                        const key = `var:${node.name}`;
+                        if (!variableKeys.includes(key)) {
+                            variableKeys.push(key);
+                        }
+
+                        ranges.push({ key: key, label: node.name, start: text.length, end: text.length + node.name.length, choices: null, parent: parent });
+                        text += node.name;
+                    }
+
+                    continue;
+                }
+
+                const range = { key: String(node.index), label: String(node.index), start: text.length, end: text.length, choices: node.choices, parent: parent };
+                ranges.push(range);
+                render(node.children, range);
+                range.end = text.length;
+            }
+        };
+
+        render(nodes, null);
+
+        const numberedKeys = Array.from(new Set(ranges.filter((range) => !range.key.startsWith("var:")).map((range) => range.key)))
+            .sort((left, right) => Number(left) - Number(right));
+        const order = numberedKeys.filter((key) => key !== "0").concat(variableKeys);
+
+        if (numberedKeys.includes("0")) {
+            order.push("0");
+        } else {
+            ranges.push({ key: snippetFinalStopKey, label: "", start: text.length, end: text.length, choices: null, parent: null });
+            order.push(snippetFinalStopKey);
+        }
+
+        for (const key of order) {
+            const occurrences = ranges.filter((range) => range.key === key);
+            const primary = occurrences.find((range) => range.end > range.start || range.choices) ?? occurrences[0];
+            const primaryText = text.slice(primary.start, primary.end);
+            for (const range of occurrences) {
+                range.mirror = range !== primary;
+            }
+
+            for (const mirror of occurrences.filter((range) => range.mirror).sort((left, right) => right.start - left.start)) {
+                const oldEnd = mirror.end;
+                text = text.slice(0, mirror.start) + primaryText + text.slice(oldEnd);
+                shiftSnippetRanges(ranges, mirror, oldEnd, mirror.start + primaryText.length - oldEnd);
+            }
+        }
+
+        return { text: text, ranges: ranges, order: order };
+    }
+
+    function toPreviewSegments(expansion) {
+        const segments = [];
+        const topLevel = expansion.ranges
+            .filter((range) => range.parent === null && range.key !== snippetFinalStopKey)
+            .sort((left, right) => left.start - right.start);
+        let offset = 0;
+
+        for (const range of topLevel) {
+            if (range.start < offset) {
+                continue;
+            }
+
+            if (range.start > offset) {
+                segments.push({ text: expansion.text.slice(offset, range.start), tabStop: null });
+            }
+
+            segments.push({ text: expansion.text.slice(range.start, range.end), tabStop: range.label });
+            offset = range.end;
+        }
+
+        if (offset < expansion.text.length) {
+            segments.push({ text: expansion.text.slice(offset), tabStop: null });
+        }
+
+        return segments;
+    }
+
+    // Tokens are "/trigger" words outside fenced code blocks; paths such as "/usr/bin" do not
+    // qualify because the trigger must be followed by whitespace or the end of the line.
+    function findSkillTokens(model) {
+        const tokens = [];
+        let insideFence = false;
+
+        for (let lineNumber = 1; lineNumber <= model.getLineCount(); lineNumber++) {
+            const line = model.getLineContent(lineNumber);
+            if (/^\s*(```|~~~)/.test(line)) {
+                insideFence = !insideFence;
+                continue;
+            }
+
+            if (insideFence) {
+                continue;
+            }
+
+            skillTokenPattern.lastIndex = 0;
+            for (let match = skillTokenPattern.exec(line); match; match = skillTokenPattern.exec(line)) {
+                const startColumn = match.index + match[1].length + 1;
+                tokens.push({
+                    trigger: match[2].toLowerCase(),
+                    lineNumber: lineNumber,
+                    startColumn: startColumn,
+                    endColumn: startColumn + match[2].length + 1
+                });
+            }
+        }
+
+        return tokens;
+    }
+
+    function resolveSkillToken(binding, trigger) {
+        const skill = binding.skills.find((candidate) => candidate.trigger === trigger);
+        if (skill) {
+            return { status: "enabled", skill: skill };
+        }
+
+        const disabled = binding.disabledSkills.find((candidate) => candidate.trigger === trigger);
+        return disabled ? { status: "disabled", skill: disabled } : { status: "unknown", skill: null };
+    }
+
+    function getSkillSettingsUrl(resolution, trigger) {
+        return resolution.skill?.editUrl || `${skillSettingsPath}?trigger=${encodeURIComponent(trigger)}`;
+    }
+
+    function updateSkillDiagnostics(binding) {
+        const model = binding.editor.getModel();
+        if (!model || model.uri.toString() !== binding.modelUri || !window.monaco?.editor?.setModelMarkers) {
+            return;
+        }
+
+        // The trigger under the caret is still being typed, so it is left alone until the caret moves on.
+        const caret = binding.editor.getPosition();
+        const markers = [];
+
+        for (const token of findSkillTokens(model)) {
+            if (caret && caret.lineNumber === token.lineNumber && caret.column === token.endColumn) {
+                continue;
+            }
+
+            const resolution = resolveSkillToken(binding, token.trigger);
+            if (resolution.status === "enabled") {
+                continue;
+            }
+
+            markers.push({
+                severity: window.monaco.MarkerSeverity.Warning,
+                message: resolution.status === "disabled"
+                    ? `Skill /${token.trigger} is disabled and will be sent as plain text.`
+                    : `Unknown skill /${token.trigger}.`,
+                code: resolution.status,
+                source: "Prompt skills",
+                startLineNumber: token.lineNumber,
+                startColumn: token.startColumn,
+                endLineNumber: token.lineNumber,
+                endColumn: token.endColumn
+            });
+        }
+
+        window.monaco.editor.setModelMarkers(model, skillMarkerOwner, markers);
+    }
+
+    function scheduleSkillDiagnostics(binding) {
+        clearTimeout(binding.diagnosticsTimer);
+        if (!binding.diagnostics) {
+            return;
+        }
+
+        binding.diagnosticsTimer = setTimeout(() => updateSkillDiagnostics(binding), skillDiagnosticsDelayMs);
+    }
+
+    function clearSkillDiagnostics(binding) {
+        clearTimeout(binding.diagnosticsTimer);
+        const model = binding.editor?.getModel();
+        if (model && window.monaco?.editor?.setModelMarkers) {
+            window.monaco.editor.setModelMarkers(model, skillMarkerOwner, []);
+        }
+    }
+
+    function navigateToSkillSettings(url) {
+        if (window.Blazor?.navigateTo) {
+            window.Blazor.navigateTo(url);
+        } else {
+            window.location.assign(url);
+        }
+    }
+
+    function describeSkillHover(resolution, trigger) {
+        if (resolution.status === "unknown") {
+            return [
+                { value: `**/${trigger}** · unknown skill` },
+                { value: "No enabled or disabled skill uses this trigger. Use the quick fix to create it." }
+            ];
+        }
+
+        const skill = resolution.skill;
+        const lines = skill.content.split("\n");
+        const preview = lines.slice(0, skillHoverPreviewLines).join("\n").replace(/```/g, "` ` `");
+        return [
+            { value: `**/${skill.trigger}** · ${skill.scopeLabel}${resolution.status === "disabled" ? " · disabled" : ""}` },
+            skill.description ? { value: skill.description } : null,
+            { value: "```markdown\n" + preview + (lines.length > skillHoverPreviewLines ? "\n…" : "") + "\n```" }
+        ].filter(Boolean);
+    }
+
+    function findEditorBinding(model) {
+        const modelUri = model?.uri?.toString();
+        const editorId = modelUri ? editorIdsByModelUri.get(modelUri) : null;
+        return editorId ? editorBindings.get(editorId) ?? null : null;
+    }
+
+    function resolveEditorLanguages(model, languages) {
+        const resolved = new Set([model.getLanguageId?.() ?? defaultEditorLanguage]);
+        if (Array.isArray(languages)) {
+            for (const language of languages) {
+                resolved.add(String(language ?? "").toLowerCase());
+            }
+        }
+
+        const supported = Array.from(resolved).filter((language) => supportedEditorLanguages.has(language));
+        return supported.length > 0 ? supported : [defaultEditorLanguage];
+    }
+
+    // Providers are shared per language and reference counted by editor, so the last editor to
+    // unbind (or have its model disposed) takes the registrations with it.
+    function acquireLanguages(editorId, languages) {
+        for (const language of languages) {
+            let registration = languageRegistrations.get(language);
+            if (!registration) {
+                registration = { editorIds: new Set(), disposables: registerLanguageProviders(language) };
+                languageRegistrations.set(language, registration);
+            }
+
+            registration.editorIds.add(editorId);
+        }
+    }
+
+    function releaseLanguages(editorId, languages) {
+        for (const language of languages) {
+            const registration = languageRegistrations.get(language);
+            if (!registration) {
+                continue;
+            }
+
+            registration.editorIds.delete(editorId);
+            if (registration.editorIds.size === 0) {
+                for (const disposable of registration.disposables) {
+                    disposable?.dispose?.();
                 }
 
-                const binding = Array.from(editorBindings.values())
-                    .find((entry) => entry.modelUri === modelUri);
+                languageRegistrations.delete(language);
+            }
+        }
+    }
+
+    function releaseEditorBinding(editorId, binding) {
+        for (const disposable of binding.disposables) {
+            disposable?.dispose?.();
+        }
+
+        clearSkillDiagnostics(binding);
+        releaseLanguages(editorId, binding.languages);
+        if (editorIdsByModelUri.get(binding.modelUri) === editorId) {
+            editorIdsByModelUri.delete(binding.modelUri);
+        }
+
+        if (editorBindings.get(editorId) === binding) {
+            editorBindings.delete(editorId);
+        }
+    }
+
+    function registerLanguageProviders(language) {
+        const completionProvider = window.monaco.languages.registerCompletionItemProvider(language, {
+            triggerCharacters: ["/"],
+            provideCompletionItems: async (model, position) => {
+                const binding = findEditorBinding(model);
                 if (!binding || !Array.isArray(binding.skills) || binding.skills.length === 0) {
                     return { suggestions: [] };
                 }
 
                 const lineText = model.getLineContent(position.lineNumber);
                 const beforeCursor = lineText.slice(0, position.column - 1);
-                const match = /(^|\s)\/([a-z0-9-]*)$/i.exec(beforeCursor);
+                const match = slashTriggerPattern.exec(beforeCursor);
                 if (!match) {
                     return { suggestions: [] };
                 }
@@ -91,40 +862,707 @@ window.agentsDashboardSkillAutocomplete = window.agentsDashboardSkillAutocomplet
                     endColumn
                 );
 
-                const suggestions = binding.skills
-                    .filter((skill) => skill.trigger.startsWith(partial))
-                    .sort((left, right) => {
-                        if (left.scopePriority !== right.scopePriority) {
-                            return left.scopePriority - right.scopePriority;
-                        }
-
-                        return left.trigger.localeCompare(right.trigger);
-                    })
-                    .map((skill, index) => ({
-                        label: `/${skill.trigger}`,
+                // Every item shares the typed text as filterText so Monaco keeps our ranking
+                // instead of re-scoring labels with its own prefix matcher.
+                const typedText = `/${partial}`;
+                const variables = await resolveSkillVariables(binding);
+                const suggestions = rankSkills(binding.skills, partial)
+                    .map((result, index) => ({
+                        label: { label: `/${result.skill.trigger}`, description: result.skill.scopeLabel },
                         kind: window.monaco.languages.CompletionItemKind.Snippet,
-                        insertText: skill.content,
+                        insertText: toMonacoSnippet(parseSnippet(result.skill.content), variables),
+                        insertTextRules: window.monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
                         range: range,
-                        detail: skill.scopeLabel,
-                        documentation: skill.description || undefined,
-                        sortText: `${String(skill.scopePriority).padStart(2, "0")}-${skill.trigger}-${String(index).padStart(4, "0")}`
+                        filterText: typedText,
+                        detail: result.skill.scopeLabel,
+                        documentation: {
+                            value: [
+                                `/${highlightMarkdown(result.skill.trigger, result.triggerPositions)}`,
+                                result.skill.description ? highlightMarkdown(result.skill.description, result.descriptionPositions) : ""
+                            ].filter(Boolean).join("\n\n")
+                        },
+                        sortText: String(index).padStart(4, "0"),
+                        command: binding.usageCommandId
+                            ? { id: binding.usageCommandId, title: "Record skill usage", arguments: [result.skill.trigger] }
+                            : undefined
                     }));
 
-                return { suggestions: suggestions };
+                // Incomplete so every keystroke re-ranks instead of Monaco filtering the stale list.
+                return { suggestions: suggestions, incomplete: true };
             }
         });
 
-        providerRegistered = true;
-        return true;
+        const mentionProvider = window.monaco.languages.registerCompletionItemProvider(language, {
+            triggerCharacters: ["@", "/"],
+            provideCompletionItems: (model, position) => {
+                const binding = findEditorBinding(model);
+                if (!binding || binding.mentions.entries.length === 0) {
+                    return { suggestions: [] };
+                }
+
+                const beforeCursor = model.getLineContent(position.lineNumber).slice(0, position.column - 1);
+                const match = mentionTriggerPattern.exec(beforeCursor);
+                if (!match) {
+                    return { suggestions: [] };
+                }
+
+                const query = match[2] ?? "";
+                const range = new window.monaco.Range(
+                    position.lineNumber,
+                    position.column - query.length - 1,
+                    position.lineNumber,
+                    position.column
+                );
+                const kinds = window.monaco.languages.CompletionItemKind;
+
+                const suggestions = rankMentions(binding.mentions, query, maxEditorMentionSuggestions)
+                    .map((result, index) => ({
+                        label: result.entry.path,
+                        kind: result.entry.isDirectory ? kinds.Folder : kinds.File,
+                        insertText: result.entry.isDirectory ? `@${result.entry.path}` : `@${result.entry.path} `,
+                        range: range,
+                        filterText: `@${query}`,
+                        sortText: String(index).padStart(4, "0"),
+                        documentation: result.entry.isDirectory
+                            ? { value: "```\n" + describeMentionDirectory(binding.mentions, result.entry) + "\n```" }
+                            : undefined,
+                        command: result.entry.isDirectory
+                            ? { id: "editor.action.triggerSuggest", title: "Browse directory" }
+                            : undefined,
+                        mentionPreview: result.entry.isDirectory ? null : { binding: binding, path: result.entry.path }
+                    }));
+
+                return { suggestions: suggestions, incomplete: true };
+            },
+            resolveCompletionItem: async (item) => {
+                if (!item.mentionPreview) {
+                    return item;
+                }
+
+                const content = await loadMentionPreview(item.mentionPreview.binding, item.mentionPreview.path);
+                const extension = /\.([a-z0-9]+)$/i.exec(item.mentionPreview.path)?.[1]?.toLowerCase() ?? "";
+                item.documentation = content
+                    ? { value: "```" + extension + "\n" + content.replace(/```/g, "` ` `") + "\n```" }
+                    : "No preview available.";
+                return item;
+            }
+        });
+
+        const hoverProvider = window.monaco.languages.registerHoverProvider(language, {
+            provideHover: (model, position) => {
+                const binding = findEditorBinding(model);
+                if (!binding) {
+                    return null;
+                }
+
+                const token = findSkillTokens(model).find((candidate) =>
+                    candidate.lineNumber === position.lineNumber
+                    && position.column >= candidate.startColumn
+                    && position.column <= candidate.endColumn);
+                if (!token) {
+                    return null;
+                }
+
+                return {
+                    range: new window.monaco.Range(token.lineNumber, token.startColumn, token.lineNumber, token.endColumn),
+                    contents: describeSkillHover(resolveSkillToken(binding, token.trigger), token.trigger)
+                };
+            }
+        });
+
+        const codeActionProvider = window.monaco.languages.registerCodeActionProvider(language, {
+            provideCodeActions: (model, range, context) => {
+                const binding = findEditorBinding(model);
+                if (!binding?.openSkillCommandId) {
+                    return { actions: [], dispose: () => { } };
+                }
+
+                const actions = [];
+                for (const token of findSkillTokens(model)) {
+                    const tokenRange = new window.monaco.Range(token.lineNumber, token.startColumn, token.lineNumber, token.endColumn);
+                    if (!window.monaco.Range.areIntersectingOrTouching(tokenRange, range)) {
+                        continue;
+                    }
+
+                    const resolution = resolveSkillToken(binding, token.trigger);
+                    const title = resolution.status === "unknown"
+                        ? `Create skill /${token.trigger} in settings`
+                        : `Open skill /${token.trigger} in settings`;
+                    actions.push({
+                        title: title,
+                        kind: "quickfix",
+                        isPreferred: resolution.status !== "enabled",
+                        diagnostics: context.markers.filter((marker) =>
+                            marker.owner === skillMarkerOwner
+                            && window.monaco.Range.areIntersectingOrTouching(marker, tokenRange)),
+                        command: {
+                            id: binding.openSkillCommandId,
+                            title: title,
+                            arguments: [getSkillSettingsUrl(resolution, token.trigger)]
+                        }
+                    });
+                }
+
+                return { actions: actions, dispose: () => { } };
+            }
+        });
+
+        return [completionProvider, mentionProvider, hoverProvider, codeActionProvider];
     }
 
-    window.agentsDashboardSkillAutocomplete.bindTaskPromptEditor = function (editorId, skills) {
-        const editor = getEditor(editorId);
-        if (!editor) {
+    function findTextareaTrigger(element) {
+        if (element.selectionStart !== element.selectionEnd) {
+            return null;
+        }
+
+        const caret = element.selectionStart;
+        const beforeCursor = element.value.slice(0, caret);
+        const line = beforeCursor.slice(beforeCursor.lastIndexOf("\n") + 1);
+        const skillMatch = slashTriggerPattern.exec(line);
+        const mentionMatch = skillMatch ? null : mentionTriggerPattern.exec(line);
+        if (!skillMatch && !mentionMatch) {
+            return null;
+        }
+
+        const partial = skillMatch ? (skillMatch[2] ?? "").toLowerCase() : (mentionMatch[2] ?? "");
+        return {
+            kind: skillMatch ? "skill" : "mention",
+            partial: partial,
+            start: caret - partial.length - 1,
+            end: caret
+        };
+    }
+
+    function getCaretClientRect(element, position) {
+        const style = window.getComputedStyle(element);
+        const mirror = document.createElement("div");
+        for (const property of caretMirrorProperties) {
+            mirror.style[property] = style[property];
+        }
+
+        mirror.style.position = "absolute";
+        mirror.style.visibility = "hidden";
+        mirror.style.whiteSpace = "pre-wrap";
+        mirror.style.overflowWrap = "break-word";
+        mirror.style.top = "0";
+        mirror.style.left = "-9999px";
+        mirror.textContent = element.value.slice(0, position);
+
+        const marker = document.createElement("span");
+        marker.textContent = "\u200b";
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const rect = element.getBoundingClientRect();
+        const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.4 || 18;
+        const caretRect = {
+            left: rect.left + marker.offsetLeft - element.scrollLeft,
+            top: rect.top + marker.offsetTop - element.scrollTop,
+            height: lineHeight
+        };
+
+        mirror.remove();
+        return caretRect;
+    }
+
+    function closeTextareaPopup(binding) {
+        binding.popup?.remove();
+        binding.popup = null;
+        binding.matches = [];
+        binding.choices = null;
+        binding.trigger = null;
+        binding.activeIndex = 0;
+        binding.variablesPromise = null;
+    }
+
+    function ensureTextareaPopup(binding) {
+        if (binding.popup) {
+            return;
+        }
+
+        binding.popup = document.createElement("div");
+        binding.popup.className = "skill-autocomplete-popup";
+        binding.popup.setAttribute("role", "listbox");
+        binding.popup.setAttribute("data-testid", "workspace-composer-skill-popup");
+        binding.popup.addEventListener("mousedown", (event) => event.preventDefault());
+        document.body.appendChild(binding.popup);
+    }
+
+    function positionTextareaPopup(binding, offset) {
+        const caret = getCaretClientRect(binding.element, offset);
+        const popup = binding.popup;
+        const popupHeight = popup.offsetHeight;
+        const spaceBelow = window.innerHeight - (caret.top + caret.height);
+        const top = spaceBelow >= popupHeight + 8 || caret.top < popupHeight + 8
+            ? caret.top + caret.height + 4
+            : caret.top - popupHeight - 4;
+        const left = Math.min(caret.left, window.innerWidth - popup.offsetWidth - 8);
+
+        popup.style.top = `${Math.max(8, top)}px`;
+        popup.style.left = `${Math.max(8, left)}px`;
+    }
+
+    function refreshTextareaPopup(binding) {
+        const element = binding.element;
+        const trigger = document.activeElement === element ? findTextareaTrigger(element) : null;
+        const matches = !trigger
+            ? []
+            : trigger.kind === "mention"
+                ? rankMentions(binding.mentions, trigger.partial, maxTextareaSuggestions)
+                : rankSkills(binding.skills, trigger.partial).slice(0, maxTextareaSuggestions);
+        if (!trigger || matches.length === 0) {
+            closeTextareaPopup(binding);
+            return;
+        }
+
+        const previousKey = getMatchKey(binding.matches[binding.activeIndex]);
+        binding.trigger = trigger;
+        binding.matches = matches;
+        binding.choices = null;
+        binding.activeIndex = Math.max(0, matches.findIndex((result) => getMatchKey(result) === previousKey));
+        if (trigger.kind === "skill") {
+            binding.variablesPromise ??= resolveSkillVariables(binding);
+        }
+
+        ensureTextareaPopup(binding);
+        renderTextareaPopup(binding);
+        positionTextareaPopup(binding, trigger.start);
+    }
+
+    function getMatchKey(result) {
+        return result?.skill ? `skill:${result.skill.trigger}` : result?.entry ? `mention:${result.entry.path}` : null;
+    }
+
+    function createPopupItem(binding, index) {
+        const item = document.createElement("div");
+        item.className = "skill-autocomplete-item";
+        item.setAttribute("role", "option");
+        item.setAttribute("aria-selected", index === binding.activeIndex ? "true" : "false");
+        if (index === binding.activeIndex) {
+            item.classList.add("skill-autocomplete-item-active");
+        }
+
+        item.addEventListener("mouseenter", () => setTextareaActiveIndex(binding, index));
+        return item;
+    }
+
+    function renderTextareaPopup(binding) {
+        const popup = binding.popup;
+        popup.replaceChildren();
+
+        if (binding.choices) {
+            binding.choices.forEach((choice, index) => {
+                const item = createPopupItem(binding, index);
+                const label = document.createElement("span");
+                label.className = "skill-autocomplete-item-trigger";
+                label.textContent = choice;
+                item.appendChild(label);
+                item.addEventListener("click", () => acceptSnippetChoice(binding, choice, false));
+                popup.appendChild(item);
+            });
+
+            return;
+        }
+
+        if (binding.trigger?.kind === "mention") {
+            binding.matches.forEach((result, index) => {
+                const item = createPopupItem(binding, index);
+                const header = document.createElement("div");
+                header.className = "skill-autocomplete-item-header";
+
+                const path = document.createElement("span");
+                path.className = "skill-autocomplete-item-trigger";
+                appendHighlightedText(path, result.entry.path, result.positions);
+
+                const kind = document.createElement("span");
+                kind.className = "skill-autocomplete-item-scope";
+                kind.textContent = result.entry.isDirectory ? "Folder" : "File";
+
+                header.append(path, kind);
+                item.appendChild(header);
+                item.addEventListener("click", () => acceptTextareaMention(binding, result.entry));
+                popup.appendChild(item);
+            });
+
+            const preview = document.createElement("pre");
+            preview.className = "skill-autocomplete-preview";
+            preview.setAttribute("data-testid", "workspace-composer-mention-preview");
+            popup.appendChild(preview);
+            updateMentionPreview(binding);
+            return;
+        }
+
+        binding.matches.forEach((result, index) => {
+            const skill = result.skill;
+            const item = createPopupItem(binding, index);
+
+            const header = document.createElement("div");
+            header.className = "skill-autocomplete-item-header";
+
+            const trigger = document.createElement("span");
+            trigger.className = "skill-autocomplete-item-trigger";
+            trigger.append("/");
+            appendHighlightedText(trigger, skill.trigger, result.triggerPositions);
+
+            const scope = document.createElement("span");
+            scope.className = "skill-autocomplete-item-scope";
+            scope.textContent = skill.scopeLabel;
+
+            header.append(trigger, scope);
+            item.appendChild(header);
+
+            if (skill.description) {
+                const description = document.createElement("div");
+                description.className = "skill-autocomplete-item-description";
+                appendHighlightedText(description, skill.description, result.descriptionPositions);
+                item.appendChild(description);
+            }
+
+            item.addEventListener("click", () => acceptTextareaSkill(binding, skill));
+            popup.appendChild(item);
+        });
+    }
+
+    function setTextareaActiveIndex(binding, index) {
+        const count = (binding.choices ?? binding.matches).length;
+        if (count === 0 || !binding.popup) {
+            return;
+        }
+
+        binding.activeIndex = ((index % count) + count) % count;
+        binding.popup.querySelectorAll(".skill-autocomplete-item").forEach((item, itemIndex) => {
+            const active = itemIndex === binding.activeIndex;
+            item.classList.toggle("skill-autocomplete-item-active", active);
+            item.setAttribute("aria-selected", active ? "true" : "false");
+            if (active) {
+                item.scrollIntoView({ block: "nearest" });
+            }
+        });
+
+        if (!binding.choices && binding.trigger?.kind === "mention") {
+            updateMentionPreview(binding);
+        }
+    }
+
+    function updateMentionPreview(binding) {
+        const preview = binding.popup?.querySelector(".skill-autocomplete-preview");
+        const result = binding.matches[binding.activeIndex];
+        if (!preview || !result) {
+            return;
+        }
+
+        if (result.entry.isDirectory) {
+            preview.textContent = describeMentionDirectory(binding.mentions, result.entry);
+            return;
+        }
+
+        preview.textContent = "Loading preview…";
+        loadMentionPreview(binding, result.entry.path).then((content) => {
+            if (preview.isConnected && binding.matches[binding.activeIndex] === result) {
+                preview.textContent = content || "No preview available.";
+            }
+        });
+    }
+
+    function acceptTextareaMention(binding, entry) {
+        const trigger = binding.trigger;
+        closeTextareaPopup(binding);
+        if (!trigger || !entry) {
+            return;
+        }
+
+        // Directories keep the trigger open so the next input event lists their children.
+        const element = binding.element;
+        element.focus();
+        element.setRangeText(entry.isDirectory ? `@${entry.path}` : `@${entry.path} `, trigger.start, trigger.end, "end");
+        element.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+
+    async function acceptTextareaSkill(binding, skill) {
+        const trigger = binding.trigger;
+        const variablesPromise = binding.variablesPromise;
+        closeTextareaPopup(binding);
+        if (!trigger || !skill) {
+            return;
+        }
+
+        const element = binding.element;
+        const typedText = element.value.slice(trigger.start, trigger.end);
+        const variables = await (variablesPromise ?? resolveSkillVariables(binding));
+        if (element.value.slice(trigger.start, trigger.end) !== typedText) {
+            return;
+        }
+
+        const expansion = expandSnippet(parseSnippet(skill.content), variables);
+        endSnippetSession(binding);
+        element.focus();
+        element.setRangeText(expansion.text, trigger.start, trigger.end, "end");
+        element.dispatchEvent(new Event("input", { bubbles: true }));
+        recordSkillUsage(binding, skill);
+        startSnippetSession(binding, trigger.start, expansion);
+    }
+
+    function startSnippetSession(binding, offset, expansion) {
+        for (const range of expansion.ranges) {
+            range.start += offset;
+            range.end += offset;
+        }
+
+        binding.snippet = {
+            ranges: expansion.ranges,
+            order: expansion.order,
+            position: -1,
+            valueLength: binding.element.value.length
+        };
+
+        moveSnippetStop(binding, 1);
+    }
+
+    function endSnippetSession(binding) {
+        binding.snippet = null;
+    }
+
+    function getSnippetRange(session, position) {
+        const key = session.order[position];
+        return session.ranges.find((range) => range.key === key && !range.mirror) ?? null;
+    }
+
+    function moveSnippetStop(binding, direction) {
+        const session = binding.snippet;
+        syncSnippetMirrors(binding);
+        closeTextareaPopup(binding);
+
+        const last = session.order.length - 1;
+        let position = session.position + direction;
+        while (position > 0 && position < last && !getSnippetRange(session, position)) {
+            position += direction;
+        }
+
+        const range = position >= 0 ? getSnippetRange(session, position) : null;
+        if (!range) {
+            return;
+        }
+
+        session.position = position;
+        binding.element.setSelectionRange(range.start, range.end);
+        if (position === last) {
+            endSnippetSession(binding);
+            return;
+        }
+
+        if (range.choices && range.choices.length > 1) {
+            binding.choices = range.choices;
+            binding.activeIndex = Math.max(0, range.choices.indexOf(binding.element.value.slice(range.start, range.end)));
+            ensureTextareaPopup(binding);
+            renderTextareaPopup(binding);
+            positionTextareaPopup(binding, range.start);
+        }
+    }
+
+    function syncSnippetMirrors(binding) {
+        const session = binding.snippet;
+        const active = session.position >= 0 ? getSnippetRange(session, session.position) : null;
+        if (!active) {
+            return;
+        }
+
+        const element = binding.element;
+        const value = element.value.slice(active.start, active.end);
+        const mirrors = session.ranges
+            .filter((range) => range.mirror && range.key === active.key)
+            .sort((left, right) => right.start - left.start);
+        let changed = false;
+
+        for (const mirror of mirrors) {
+            if (element.value.slice(mirror.start, mirror.end) === value) {
+                continue;
+            }
+
+            const oldEnd = mirror.end;
+            element.setRangeText(value, mirror.start, oldEnd);
+            shiftSnippetRanges(session.ranges, mirror, oldEnd, mirror.start + value.length - oldEnd);
+            changed = true;
+        }
+
+        if (changed) {
+            session.valueLength = element.value.length;
+            session.applying = true;
+            element.dispatchEvent(new Event("input", { bubbles: true }));
+            session.applying = false;
+        }
+    }
+
+    // Edits inside the active stop resize it; anything else ends the snippet session.
+    function trackSnippetEdit(binding) {
+        const session = binding.snippet;
+        if (!session || session.applying) {
+            return;
+        }
+
+        const element = binding.element;
+        const delta = element.value.length - session.valueLength;
+        const active = getSnippetRange(session, session.position);
+        if (!active
+            || element.selectionStart < active.start
+            || element.selectionEnd < active.start
+            || element.selectionEnd > active.end + delta) {
+            endSnippetSession(binding);
+            return;
+        }
+
+        const oldEnd = active.end;
+        session.ranges = session.ranges.filter((range) => !isSnippetAncestor(active, range));
+        shiftSnippetRanges(session.ranges, active, oldEnd, delta);
+        session.valueLength = element.value.length;
+    }
+
+    function acceptSnippetChoice(binding, choice, advance) {
+        const session = binding.snippet;
+        const range = session ? getSnippetRange(session, session.position) : null;
+        closeTextareaPopup(binding);
+        if (!range) {
+            return;
+        }
+
+        binding.element.setRangeText(choice, range.start, range.end, "select");
+        binding.element.dispatchEvent(new Event("input", { bubbles: true }));
+        if (advance && binding.snippet) {
+            moveSnippetStop(binding, 1);
+        }
+    }
+
+    function handlePopupKey(binding, event) {
+        switch (event.key) {
+            case "ArrowDown":
+            case "ArrowUp":
+                setTextareaActiveIndex(binding, binding.activeIndex + (event.key === "ArrowDown" ? 1 : -1));
+                return true;
+            case "Enter":
+            case "Tab":
+                if (event.shiftKey) {
+                    return false;
+                }
+
+                if (binding.choices) {
+                    acceptSnippetChoice(binding, binding.choices[binding.activeIndex], event.key === "Tab");
+                } else if (binding.trigger?.kind === "mention") {
+                    acceptTextareaMention(binding, binding.matches[binding.activeIndex]?.entry);
+                } else {
+                    acceptTextareaSkill(binding, binding.matches[binding.activeIndex]?.skill);
+                }
+
+                return true;
+            case "Escape":
+                closeTextareaPopup(binding);
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    function handleSnippetKey(binding, event) {
+        if (event.key === "Tab" && !event.ctrlKey && !event.altKey && !event.metaKey) {
+            moveSnippetStop(binding, event.shiftKey ? -1 : 1);
+            return true;
+        }
+
+        if (event.key === "Escape") {
+            endSnippetSession(binding);
+            return true;
+        }
+
+        return false;
+    }
+
+    // Registered in the capture phase so the popup and snippet tab stops see navigation keys
+    // before the composer key bridge turns Enter into a submit or Tab into a ghost accept.
+    function handleTextareaKeyDown(binding, event) {
+        if (event.isComposing) {
+            return;
+        }
+
+        const handled = binding.popup
+            ? handlePopupKey(binding, event)
+            : binding.snippet !== null && handleSnippetKey(binding, event);
+        if (!handled) {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopImmediatePropagation();
+    }
+
+    window.agentsDashboardSkillAutocomplete.bindComposerTextarea = function (elementId, skills, dotNetRef) {
+        const element = document.getElementById(elementId);
+        if (!element) {
             return false;
         }
 
-        if (!ensureProvider()) {
+        const existing = textareaBindings.get(elementId);
+        if (existing?.element === element) {
+            existing.skills = normalizeSkills(skills);
+            existing.dotNetRef = dotNetRef ?? existing.dotNetRef;
+            return true;
+        }
+
+        window.agentsDashboardSkillAutocomplete.unbindComposerTextarea(elementId);
+
+        const binding = {
+            element: element,
+            skills: normalizeSkills(skills),
+            dotNetRef: dotNetRef ?? null,
+            popup: null,
+            matches: [],
+            choices: null,
+            trigger: null,
+            activeIndex: 0,
+            variablesPromise: null,
+            snippet: null,
+            mentions: buildMentionIndex([]),
+            mentionPreviews: new Map()
+        };
+
+        binding.keydownHandler = (event) => handleTextareaKeyDown(binding, event);
+        binding.inputHandler = () => {
+            trackSnippetEdit(binding);
+            refreshTextareaPopup(binding);
+        };
+        binding.refreshHandler = () => refreshTextareaPopup(binding);
+        binding.keyupHandler = (event) => {
+            if (caretMovementKeys.has(event.key)) {
+                refreshTextareaPopup(binding);
+            }
+        };
+        binding.blurHandler = () => closeTextareaPopup(binding);
+
+        element.addEventListener("keydown", binding.keydownHandler, true);
+        element.addEventListener("keyup", binding.keyupHandler);
+        element.addEventListener("input", binding.inputHandler);
+        element.addEventListener("click", binding.refreshHandler);
+        element.addEventListener("blur", binding.blurHandler);
+        textareaBindings.set(elementId, binding);
+        return true;
+    };
+
+    window.agentsDashboardSkillAutocomplete.unbindComposerTextarea = function (elementId) {
+        const binding = textareaBindings.get(elementId);
+        if (!binding) {
+            return;
+        }
+
+        closeTextareaPopup(binding);
+        endSnippetSession(binding);
+        binding.element.removeEventListener("keydown", binding.keydownHandler, true);
+        binding.element.removeEventListener("keyup", binding.keyupHandler);
+        binding.element.removeEventListener("input", binding.inputHandler);
+        binding.element.removeEventListener("click", binding.refreshHandler);
+        binding.element.removeEventListener("blur", binding.blurHandler);
+        textareaBindings.delete(elementId);
+    };
+
+    window.agentsDashboardSkillAutocomplete.bindTaskPromptEditor = function (editorId, skills, dotNetRef, disabledSkills, options) {
+        const editor = getEditor(editorId);
+        if (!editor || !window.monaco?.languages?.registerCompletionItemProvider) {
             return false;
         }
 
@@ -133,11 +1571,78 @@ window.agentsDashboardSkillAutocomplete = window.agentsDashboardSkillAutocomplet
             return false;
         }
 
-        editorBindings.set(editorId, {
-            modelUri: model.uri.toString(),
-            skills: normalizeSkills(skills)
+        const modelUri = model.uri.toString();
+        const existing = editorBindings.get(editorId);
+        const sameModel = existing?.modelUri === modelUri && existing.editor === editor;
+        if (existing && !sameModel) {
+            releaseEditorBinding(editorId, existing);
+        } else if (existing) {
+            clearTimeout(existing.diagnosticsTimer);
+        }
+
+        const previousOwnerId = editorIdsByModelUri.get(modelUri);
+        if (previousOwnerId && previousOwnerId !== editorId && editorBindings.has(previousOwnerId)) {
+            releaseEditorBinding(previousOwnerId, editorBindings.get(previousOwnerId));
+        }
+
+        const requestedLanguages = options?.languages ?? (sameModel ? existing.requestedLanguages : null);
+        const diagnostics = options?.diagnostics ?? (sameModel ? existing.diagnostics : true);
+        const binding = {
+            editor: editor,
+            modelUri: modelUri,
+            requestedLanguages: requestedLanguages,
+            languages: resolveEditorLanguages(model, requestedLanguages),
+            diagnostics: diagnostics !== false,
+            skills: normalizeSkills(skills),
+            disabledSkills: normalizeSkillEntries(disabledSkills ?? existing?.disabledSkills),
+            dotNetRef: dotNetRef ?? existing?.dotNetRef ?? null,
+            mentions: existing?.mentions ?? buildMentionIndex([]),
+            mentionPreviews: existing?.mentionPreviews ?? new Map(),
+            usageCommandId: sameModel ? existing.usageCommandId : null,
+            openSkillCommandId: sameModel ? existing.openSkillCommandId : null,
+            disposables: sameModel ? existing.disposables : [],
+            diagnosticsTimer: 0
+        };
+
+        acquireLanguages(editorId, binding.languages);
+        if (sameModel) {
+            releaseLanguages(editorId, existing.languages.filter((language) => !binding.languages.includes(language)));
+        }
+
+        // Completion items run this command after insertion so usage feeds back into ranking.
+        binding.usageCommandId ??= editor.addCommand(0, (_accessor, trigger) => {
+            const current = editorBindings.get(editorId);
+            const skill = current?.skills.find((candidate) => candidate.trigger === trigger);
+            if (skill) {
+                recordSkillUsage(current, skill);
+            }
         });
 
+        binding.openSkillCommandId ??= editor.addCommand(0, (_accessor, url) => navigateToSkillSettings(url));
+
+        if (!sameModel) {
+            const releaseIfCurrent = () => {
+                const current = editorBindings.get(editorId);
+                if (current?.editor === editor && current.modelUri === modelUri) {
+                    releaseEditorBinding(editorId, current);
+                }
+            };
+
+            binding.disposables.push(
+                editor.onDidChangeModelContent(() => {
+                    const current = editorBindings.get(editorId);
+                    if (current?.editor === editor) {
+                        scheduleSkillDiagnostics(current);
+                    }
+                }),
+                model.onWillDispose(releaseIfCurrent),
+                editor.onDidChangeModel(releaseIfCurrent),
+                editor.onDidDispose(releaseIfCurrent));
+        }
+
+        editorBindings.set(editorId, binding);
+        editorIdsByModelUri.set(modelUri, editorId);
+        scheduleSkillDiagnostics(binding);
         return true;
     };
 
@@ -148,21 +1653,55 @@ window.agentsDashboardSkillAutocomplete = window.agentsDashboardSkillAutocomplet
 
         const binding = editorBindings.get(editorId);
         binding.skills = normalizeSkills(skills);
-        editorBindings.set(editorId, binding);
+        scheduleSkillDiagnostics(binding);
         return true;
     };
 
     window.agentsDashboardSkillAutocomplete.unbindTaskPromptEditor = function (editorId) {
-        editorBindings.delete(editorId);
+        const binding = editorBindings.get(editorId);
+        if (binding) {
+            releaseEditorBinding(editorId, binding);
+        }
+    };
+
+    window.agentsDashboardSkillAutocomplete.setMentionFiles = function (bindingIds, paths) {
+        const bindings = (Array.isArray(bindingIds) ? bindingIds : [bindingIds])
+            .map((bindingId) => textareaBindings.get(bindingId) ?? editorBindings.get(bindingId))
+            .filter(Boolean);
+        if (bindings.length === 0) {
+            return false;
+        }
+
+        // Editors of the same repository share one index instead of rebuilding it per editor.
+        const mentions = buildMentionIndex(paths);
+        for (const binding of bindings) {
+            binding.mentions = mentions;
+            binding.mentionPreviews = new Map();
+        }
+
+        return true;
+    };
+
+    window.agentsDashboardSkillAutocomplete.previewSkillSnippet = function (content, variables) {
+        return toPreviewSegments(expandSnippet(parseSnippet(String(content ?? "")), normalizeVariables(variables)));
     };
 
     window.agentsDashboardSkillAutocomplete.dispose = function () {
-        editorBindings.clear();
-        if (providerDisposable?.dispose) {
-            providerDisposable.dispose();
+        for (const editorId of Array.from(editorBindings.keys())) {
+            window.agentsDashboardSkillAutocomplete.unbindTaskPromptEditor(editorId);
+        }
+
+        for (const elementId of Array.from(textareaBindings.keys())) {
+            window.agentsDashboardSkillAutocomplete.unbindComposerTextarea(elementId);
+        }
+
+        for (const registration of languageRegistrations.values()) {
+            for (const disposable of registration.disposables) {
+                disposable?.dispose?.();
+            }
         }
 
-        providerDisposable = null;
-        providerRegistered = false;
+        languageRegistrations.clear();
+        editorIdsByModelUri.clear();
     };
 })();
@@ -0,0 +1,530 @@
+import { getComposerKeyBindings, scrollAllChatsToLatest } from "./workspace.js";
+
+const palettes = new Map();
+let paletteCounter = 0;
+
+const maxPaletteResults = 50;
+const isMacPlatform = /mac|iphone|ipad/i.test(navigator.userAgentData?.platform || navigator.platform || "");
+
+const paletteActions = [
+    { id: "new-task", title: "New task", group: "Actions", key: "n" },
+    { id: "refresh-runs", title: "Refresh runs and logs", group: "Actions", key: "r" },
+    { id: "toggle-plan-mode", title: "Toggle plan mode", group: "Actions", key: "p" },
+    { id: "toggle-advanced", title: "Toggle advanced drawer", group: "Actions", key: "a" },
+    { id: "scroll-latest", title: "Scroll chat to latest", group: "Actions", key: "l" },
+    { id: "focus-composer", title: "Focus composer", group: "Actions", key: "/" },
+    { id: "next-task", title: "Next task", group: "Navigation", key: "j" },
+    { id: "previous-task", title: "Previous task", group: "Navigation", key: "k" },
+    { id: "toggle-left-rail", title: "Toggle thread rail", group: "Navigation", key: "t" },
+    { id: "show-shortcuts", title: "Show keyboard shortcuts", group: "Help", key: "?" },
+    { id: "repository-filter:all", title: "Repositories: show all", group: "Filters" },
+    { id: "repository-filter:attention", title: "Repositories: needs attention", group: "Filters" },
+    { id: "repository-filter:healthy", title: "Repositories: healthy", group: "Filters" },
+    { id: "task-filter:all", title: "Tasks: show all", group: "Filters" },
+    { id: "task-filter:running", title: "Tasks: running or queued", group: "Filters" },
+    { id: "task-filter:failed", title: "Tasks: failed", group: "Filters" },
+    { id: "task-filter:succeeded", title: "Tasks: succeeded", group: "Filters" },
+    { id: "task-filter:enabled", title: "Tasks: enabled only", group: "Filters" }
+];
+
+const modifierKeyLabel = isMacPlatform ? "Cmd" : "Ctrl";
+
+// Every shortcut the workspace handles, in the order the help overlay lists them. Single keys come from the
+// palette actions and composer chords from the saved keymap, so the overlay follows both without edits here.
+const shortcutSections = [
+    {
+        title: "Global",
+        getBindings: () => [
+            { label: "Open command palette", chords: [`${modifierKeyLabel}+K`] },
+            { label: "Find in chat", chords: [`${modifierKeyLabel}+F`] },
+            ...paletteActions
+                .filter(action => action.key)
+                .map(action => ({ label: action.title, chords: [action.key] }))
+        ]
+    },
+    { title: "Composer", getBindings: getComposerKeyBindings },
+    {
+        title: "Find in chat",
+        getBindings: () => [
+            { label: "Next match", chords: ["Enter"] },
+            { label: "Previous match", chords: ["Shift+Enter"] },
+            { label: "Close", chords: ["Escape"] }
+        ]
+    },
+    {
+        title: "Command palette",
+        getBindings: () => [
+            { label: "Move selection", chords: ["ArrowUp", "ArrowDown"] },
+            { label: "Run selected command", chords: ["Enter"] },
+            { label: "Close", chords: ["Escape"] }
+        ]
+    }
+];
+
+export function registerCommandPalette(dotNetRef, options) {
+    if (!dotNetRef) {
+        return null;
+    }
+
+    const id = `command-palette-${++paletteCounter}`;
+    const entry = {
+        dotNetRef,
+        composerInputId: options?.composerInputId || "",
+        palette: null,
+        help: null,
+        handler: null
+    };
+
+    entry.handler = event => handleGlobalKeyDown(entry, event);
+    document.addEventListener("keydown", entry.handler);
+    palettes.set(id, entry);
+
+    return id;
+}
+
+export function unregisterCommandPalette(id) {
+    const entry = palettes.get(id);
+    if (!entry) {
+        return;
+    }
+
+    document.removeEventListener("keydown", entry.handler);
+    closePalette(entry);
+    closeShortcutHelp(entry);
+    palettes.delete(id);
+}
+
+export function openCommandPalette(id) {
+    const entry = palettes.get(id);
+    if (entry) {
+        void openPalette(entry);
+    }
+}
+
+function handleGlobalKeyDown(entry, event) {
+    if (event.defaultPrevented || event.isComposing) {
+        return;
+    }
+
+    if ((event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey && event.key.toLowerCase() === "k") {
+        event.preventDefault();
+        if (entry.palette) {
+            closePalette(entry);
+        } else {
+            void openPalette(entry);
+        }
+
+        return;
+    }
+
+    if (entry.palette || event.ctrlKey || event.metaKey || event.altKey) {
+        return;
+    }
+
+    if (event.key === "Escape" && entry.help) {
+        event.preventDefault();
+        closeShortcutHelp(entry);
+        return;
+    }
+
+    if (isEditableTarget(event.target) || document.querySelector(".mud-dialog-container, .mud-popover-open")) {
+        return;
+    }
+
+    const action = paletteActions.find(item => item.key && item.key === event.key);
+    if (!action) {
+        return;
+    }
+
+    event.preventDefault();
+    void runAction(entry, action.id);
+}
+
+function isEditableTarget(target) {
+    if (!(target instanceof HTMLElement)) {
+        return false;
+    }
+
+    if (target.isContentEditable) {
+        return true;
+    }
+
+    const tagName = target.tagName;
+    return tagName === "INPUT" || tagName === "TEXTAREA" || tagName === "SELECT" || target.closest(".monaco-editor") !== null;
+}
+
+async function runAction(entry, actionId) {
+    switch (actionId) {
+        case "scroll-latest":
+            scrollAllChatsToLatest();
+            return;
+        case "focus-composer":
+            document.getElementById(entry.composerInputId)?.focus();
+            return;
+        case "show-shortcuts":
+            toggleShortcutHelp(entry);
+            return;
+        default:
+            try {
+                await entry.dotNetRef.invokeMethodAsync("InvokeWorkspaceCommandFromJs", actionId);
+            } catch {
+            }
+    }
+}
+
+async function openPalette(entry) {
+    closeShortcutHelp(entry);
+
+    const backdrop = document.createElement("div");
+    backdrop.className = "workspace-command-palette-backdrop";
+    backdrop.setAttribute("data-testid", "workspace-command-palette");
+
+    const panel = document.createElement("div");
+    panel.className = "workspace-command-palette";
+    panel.setAttribute("role", "dialog");
+    panel.setAttribute("aria-label", "Command palette");
+
+    const input = document.createElement("input");
+    input.className = "workspace-command-palette-input";
+    input.type = "text";
+    input.placeholder = "Search actions, repositories and tasks";
+    input.setAttribute("aria-label", "Command");
+    input.autocomplete = "off";
+    input.spellcheck = false;
+
+    const list = document.createElement("ul");
+    list.className = "workspace-command-palette-list";
+    list.setAttribute("role", "listbox");
+
+    panel.append(input, list);
+    backdrop.append(panel);
+    document.body.append(backdrop);
+
+    const palette = {
+        backdrop,
+        input,
+        list,
+        items: paletteActions.map(action => ({
+            id: action.id,
+            kind: "action",
+            title: action.title,
+            subtitle: action.group,
+            shortcut: action.key ?? ""
+        })),
+        results: [],
+        activeIndex: 0,
+        previousFocus: document.activeElement
+    };
+    entry.palette = palette;
+
+    input.addEventListener("input", () => renderPaletteResults(entry));
+    input.addEventListener("keydown", event => handlePaletteKeyDown(entry, event));
+    backdrop.addEventListener("mousedown", event => {
+        if (event.target === backdrop) {
+            event.preventDefault();
+            closePalette(entry);
+        }
+    });
+
+    renderPaletteResults(entry);
+    input.focus();
+
+    try {
+        const targets = await entry.dotNetRef.invokeMethodAsync("GetWorkspaceCommandTargetsFromJs");
+        if (entry.palette === palette && Array.isArray(targets)) {
+            palette.items = [...palette.items, ...targets.filter(target => target?.id && target?.title)];
+            renderPaletteResults(entry);
+        }
+    } catch {
+    }
+}
+
+function closePalette(entry) {
+    const palette = entry.palette;
+    if (!palette) {
+        return;
+    }
+
+    entry.palette = null;
+    palette.backdrop.remove();
+    if (palette.previousFocus instanceof HTMLElement && palette.previousFocus.isConnected) {
+        palette.previousFocus.focus();
+    }
+}
+
+function handlePaletteKeyDown(entry, event) {
+    const palette = entry.palette;
+    if (!palette) {
+        return;
+    }
+
+    switch (event.key) {
+        case "ArrowDown":
+            event.preventDefault();
+            setActiveResult(entry, palette.activeIndex + 1);
+            break;
+        case "ArrowUp":
+            event.preventDefault();
+            setActiveResult(entry, palette.activeIndex - 1);
+            break;
+        case "Enter":
+            event.preventDefault();
+            void choosePaletteResult(entry, palette.results[palette.activeIndex]);
+            break;
+        case "Escape":
+            event.preventDefault();
+            event.stopPropagation();
+            closePalette(entry);
+            break;
+    }
+}
+
+function setActiveResult(entry, index) {
+    const palette = entry.palette;
+    if (!palette || palette.results.length === 0) {
+        return;
+    }
+
+    const count = palette.results.length;
+    palette.activeIndex = ((index % count) + count) % count;
+    const options = palette.list.children;
+    for (let optionIndex = 0; optionIndex < options.length; optionIndex++) {
+        options[optionIndex].classList.toggle("workspace-command-palette-item-active", optionIndex === palette.activeIndex);
+        options[optionIndex].setAttribute("aria-selected", optionIndex === palette.activeIndex ? "true" : "false");
+    }
+
+    options[palette.activeIndex]?.scrollIntoView({ block: "nearest" });
+}
+
+async function choosePaletteResult(entry, result) {
+    if (!result) {
+        return;
+    }
+
+    closePalette(entry);
+    await runAction(entry, result.item.id);
+}
+
+function renderPaletteResults(entry) {
+    const palette = entry.palette;
+    if (!palette) {
+        return;
+    }
+
+    const query = palette.input.value.trim();
+    palette.results = rankPaletteItems(palette.items, query);
+    palette.activeIndex = 0;
+    palette.list.replaceChildren();
+
+    if (palette.results.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "workspace-command-palette-empty";
+        empty.textContent = "No matching commands";
+        palette.list.append(empty);
+        return;
+    }
+
+    palette.results.forEach((result, index) => {
+        const option = document.createElement("li");
+        option.className = "workspace-command-palette-item";
+        option.setAttribute("role", "option");
+
+        const title = document.createElement("span");
+        title.className = "workspace-command-palette-item-title";
+        appendHighlightedText(title, result.item.title, result.positions);
+
+        const subtitle = document.createElement("span");
+        subtitle.className = "workspace-command-palette-item-subtitle";
+        subtitle.textContent = result.item.subtitle || "";
+
+        option.append(title, subtitle);
+
+        if (result.item.shortcut) {
+            const shortcut = document.createElement("kbd");
+            shortcut.className = "workspace-command-palette-item-shortcut";
+            shortcut.textContent = result.item.shortcut;
+            option.append(shortcut);
+        }
+
+        option.addEventListener("mousemove", () => {
+            if (palette.activeIndex !== index) {
+                setActiveResult(entry, index);
+            }
+        });
+        option.addEventListener("mousedown", event => {
+            event.preventDefault();
+            void choosePaletteResult(entry, result);
+        });
+
+        palette.list.append(option);
+    });
+
+    setActiveResult(entry, 0);
+}
+
+function rankPaletteItems(items, query) {
+    if (!query) {
+        return items.slice(0, maxPaletteResults).map(item => ({ item, score: 0, positions: [] }));
+    }
+
+    const results = [];
+    for (const item of items) {
+        const titleMatch = fuzzyMatch(query, item.title);
+        const subtitleMatch = item.subtitle ? fuzzyMatch(query, item.subtitle) : null;
+        if (!titleMatch && !subtitleMatch) {
+            continue;
+        }
+
+        const score = Math.max(titleMatch?.score ?? -Infinity, (subtitleMatch?.score ?? -Infinity) - 10);
+        results.push({ item, score, positions: titleMatch?.positions ?? [] });
+    }
+
+    return results
+        .sort((left, right) => right.score - left.score || left.item.title.length - right.item.title.length)
+        .slice(0, maxPaletteResults);
+}
+
+// Subsequence match: every query character must appear in order. Consecutive runs and
+// characters at word starts score higher, gaps cost a little.
+function fuzzyMatch(query, text) {
+    const needle = query.toLowerCase();
+    const haystack = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let searchFrom = 0;
+    let previous = -2;
+
+    for (const character of needle) {
+        if (character === " ") {
+            continue;
+        }
+
+        const index = haystack.indexOf(character, searchFrom);
+        if (index < 0) {
+            return null;
+        }
+
+        score += 1;
+        if (index === previous + 1) {
+            score += 5;
+        }
+
+        if (index === 0 || /[\s\-_/:.]/.test(haystack[index - 1])) {
+            score += 8;
+        }
+
+        score -= Math.min(index - searchFrom, 10) * 0.5;
+        positions.push(index);
+        previous = index;
+        searchFrom = index + 1;
+    }
+
+    if (haystack.startsWith(needle)) {
+        score += 15;
+    }
+
+    return { score, positions };
+}
+
+function appendHighlightedText(container, text, positions) {
+    const matched = new Set(positions);
+    let buffer = "";
+    let bufferMatched = false;
+
+    const flush = () => {
+        if (!buffer) {
+            return;
+        }
+
+        if (bufferMatched) {
+            const mark = document.createElement("mark");
+            mark.textContent = buffer;
+            container.append(mark);
+        } else {
+            container.append(document.createTextNode(buffer));
+        }
+
+        buffer = "";
+    };
+
+    for (let index = 0; index < text.length; index++) {
+        const isMatched = matched.has(index);
+        if (isMatched !== bufferMatched) {
+            flush();
+            bufferMatched = isMatched;
+        }
+
+        buffer += text[index];
+    }
+
+    flush();
+}
+
+function toggleShortcutHelp(entry) {
+    if (entry.help) {
+        closeShortcutHelp(entry);
+        return;
+    }
+
+    const backdrop = document.createElement("div");
+    backdrop.className = "workspace-command-palette-backdrop";
+    backdrop.setAttribute("data-testid", "workspace-shortcut-help");
+
+    const panel = document.createElement("div");
+    panel.className = "workspace-command-palette workspace-shortcut-help";
+    panel.setAttribute("role", "dialog");
+    panel.setAttribute("aria-label", "Keyboard shortcuts");
+
+    const heading = document.createElement("h2");
+    heading.className = "workspace-shortcut-help-title";
+    heading.textContent = "Keyboard shortcuts";
+    panel.append(heading);
+
+    for (const section of shortcutSections) {
+        appendShortcutSection(panel, section.title, section.getBindings());
+    }
+
+    backdrop.append(panel);
+    backdrop.addEventListener("mousedown", event => {
+        if (event.target === backdrop) {
+            closeShortcutHelp(entry);
+        }
+    });
+
+    document.body.append(backdrop);
+    entry.help = backdrop;
+}
+
+function appendShortcutSection(panel, title, bindings) {
+    const heading = document.createElement("h3");
+    heading.className = "workspace-shortcut-help-section";
+    heading.textContent = title;
+
+    const list = document.createElement("dl");
+    list.className = "workspace-shortcut-help-list";
+
+    for (const binding of bindings) {
+        const label = document.createElement("dt");
+        label.textContent = binding.label;
+
+        const keys = document.createElement("dd");
+        if (binding.chords.length === 0) {
+            keys.textContent = "Unbound";
+        }
+
+        for (const chord of binding.chords) {
+            const key = document.createElement("kbd");
+            key.textContent = chord;
+            keys.append(key);
+        }
+
+        list.append(label, keys);
+    }
+
+    panel.append(heading, list);
+}
+
+function closeShortcutHelp(entry) {
+    entry.help?.remove();
+    entry.help = null;
+}
@@ -1,12 +1,109 @@
 const viewportListeners = new Map();
 const composerBridges = new Map();
-const composerImagePasteBridges = new Map();
+const composerAttachmentBridges = new Map();
 const chatAutoScrollControllers = new Map();
+const chatThreadMemory = new Map();
+const chatThreadMemoryLimit = 50;
 
 let viewportCounter = 0;
 let composerCounter = 0;
-let composerImagePasteCounter = 0;
+let composerAttachmentCounter = 0;
 let chatAutoScrollCounter = 0;
+const chatWindowOverscanPx = 1200;
+const chatWindowEstimatedHeightPx = 96;
+const chatFindMatchHighlight = "workspace-chat-find-match";
+const chatFindActiveHighlight = "workspace-chat-find-active";
+
+const composerDraftDatabaseName = "agentsDashboard.workspace";
+const composerDraftStoreName = "composerDrafts";
+const composerDraftSaveDelayMs = 400;
+const defaultComposerDraftTtlMinutes = 7 * 24 * 60;
+const pendingComposerDraftWrites = new Map();
+let composerDraftDatabasePromise = null;
+
+const composerKeymapStorageKey = "agentsDashboard.composerKeymap";
+const defaultComposerKeymapPreset = "enter-submits";
+const composerKeymapActions = [
+    { id: "submit", label: "Send prompt", description: "Submit the composer." },
+    { id: "newline", label: "Insert new line", description: "Insert a line break at the caret." },
+    { id: "acceptSuggestion", label: "Accept suggestion", description: "Accept the ghost completion when the caret is at the end." },
+    { id: "historyPrevious", label: "Previous prompt", description: "Recall an earlier prompt from this task." },
+    { id: "historyNext", label: "Next prompt", description: "Step forward through recalled prompts." },
+    { id: "reverseSearch", label: "Search history", description: "Reverse search prompts across the repository." }
+];
+const composerKeymapPresets = {
+    "enter-submits": {
+        label: "Enter submits",
+        description: "Enter sends, Shift+Enter inserts a new line.",
+        bindings: {
+            submit: ["Enter"],
+            newline: ["Shift+Enter"],
+            acceptSuggestion: ["Tab", "ArrowRight"],
+            historyPrevious: ["ArrowUp"],
+            historyNext: ["ArrowDown"],
+            reverseSearch: ["Ctrl+R"]
+        }
+    },
+    "mod-enter-submits": {
+        label: "Ctrl/Cmd+Enter submits",
+        description: "Enter inserts a new line, Ctrl+Enter (Cmd+Enter on macOS) sends.",
+        bindings: {
+            submit: ["Mod+Enter"],
+            newline: ["Enter", "Shift+Enter"],
+            acceptSuggestion: ["Tab"],
+            historyPrevious: ["ArrowUp"],
+            historyNext: ["ArrowDown"],
+            reverseSearch: ["Ctrl+R"]
+        }
+    },
+    emacs: {
+        label: "Emacs-ish",
+        description: "Enter sends, Ctrl+J inserts a new line, Ctrl+P/Ctrl+N walk history.",
+        bindings: {
+            submit: ["Enter"],
+            newline: ["Ctrl+J", "Shift+Enter"],
+            acceptSuggestion: ["Ctrl+E", "Tab"],
+            historyPrevious: ["Ctrl+P", "ArrowUp"],
+            historyNext: ["Ctrl+N", "ArrowDown"],
+            reverseSearch: ["Ctrl+R"]
+        }
+    }
+};
+const chordModifierOrder = ["Mod", "Ctrl", "Alt", "Shift", "Meta"];
+const chordModifierAliases = {
+    mod: "Mod",
+    ctrl: "Ctrl",
+    control: "Ctrl",
+    alt: "Alt",
+    option: "Alt",
+    shift: "Shift",
+    meta: "Meta",
+    cmd: "Meta",
+    command: "Meta"
+};
+const chordKeyAliases = {
+    esc: "Escape",
+    return: "Enter",
+    space: "Space",
+    up: "ArrowUp",
+    down: "ArrowDown",
+    left: "ArrowLeft",
+    right: "ArrowRight"
+};
+const isMacPlatform = /mac|iphone|ipad/i.test(navigator.userAgentData?.platform || navigator.platform || "");
+let composerKeymapCache = null;
+
+window.addEventListener("pagehide", () => flushAllComposerDrafts());
+window.addEventListener("storage", event => {
+    if (event.key === composerKeymapStorageKey) {
+        composerKeymapCache = null;
+    }
+});
+document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+        flushAllComposerDrafts();
+    }
+});
 
 export function getViewportHeight() {
     return window.innerHeight || document.documentElement.clientHeight || 0;
@@ -98,18 +195,63 @@ export function registerComposerKeyBridge(elementId, dotNetRef) {
     }
 
     const id = `composer-${++composerCounter}`;
+    const entry = {
+        element,
+        handler: null,
+        inputHandler: null,
+        blurHandler: null,
+        taskPrompts: [],
+        repositoryPrompts: [],
+        historyIndex: -1,
+        historyStash: "",
+        historyValue: null,
+        search: null
+    };
+
     const handler = async event => {
         if (event.isComposing) {
             return;
         }
 
-        if (event.key === "Tab" || event.key === "ArrowRight") {
+        if (entry.search) {
+            handleReverseSearchKey(entry, event);
+            return;
+        }
+
+        const action = resolveComposerKeyAction(event);
+        if (action === "reverseSearch") {
+            event.preventDefault();
+            beginReverseSearch(entry);
+            return;
+        }
+
+        if (action === "historyPrevious" || action === "historyNext") {
+            const navigated = tryNavigatePromptHistory(entry, action === "historyPrevious" ? 1 : -1);
+            if (navigated || hasCommandModifier(event)) {
+                event.preventDefault();
+            }
+
+            return;
+        }
+
+        if (action === "newline") {
+            if (!isNativeNewlineChord(event)) {
+                event.preventDefault();
+                insertComposerText(element, "\n");
+            }
+
+            return;
+        }
+
+        if (action === "acceptSuggestion") {
             const selectionStart = typeof element.selectionStart === "number" ? element.selectionStart : element.value.length;
             const selectionEnd = typeof element.selectionEnd === "number" ? element.selectionEnd : element.value.length;
+            if (hasCommandModifier(event)) {
+                event.preventDefault();
+            }
 
             const accepted = await dotNetRef.invokeMethodAsync(
                 "TryAcceptGhostSuggestionFromJs",
-                event.key,
                 selectionStart,
                 selectionEnd);
 
@@ -120,132 +262,484 @@ export function registerComposerKeyBridge(elementId, dotNetRef) {
             return;
         }
 
-        if ((event.key === "Enter" || event.key === "NumpadEnter") && !event.shiftKey) {
+        if (action === "submit") {
             event.preventDefault();
             event.stopPropagation();
+            const prompt = element.value.trim();
             const submitted = await dotNetRef.invokeMethodAsync("TrySubmitComposerFromJs");
             if (submitted) {
+                rememberSubmittedPrompt(entry, prompt);
                 return;
             }
         }
     };
 
+    entry.handler = handler;
+    entry.inputHandler = () => {
+        if (entry.historyIndex >= 0 && element.value !== entry.historyValue) {
+            resetPromptHistoryNavigation(entry);
+        }
+    };
+    entry.blurHandler = () => {
+        if (entry.search) {
+            endReverseSearch(entry, true);
+        }
+    };
+
     element.addEventListener("keydown", handler);
-    composerBridges.set(id, { element, handler });
+    element.addEventListener("input", entry.inputHandler);
+    element.addEventListener("blur", entry.blurHandler);
+    composerBridges.set(id, entry);
 
     return id;
 }
 
+export function setComposerPromptHistory(id, taskPrompts, repositoryPrompts) {
+    const entry = composerBridges.get(id);
+    if (!entry) {
+        return;
+    }
+
+    entry.taskPrompts = normalizePromptHistory(taskPrompts);
+    entry.repositoryPrompts = normalizePromptHistory(repositoryPrompts);
+    resetPromptHistoryNavigation(entry);
+}
+
 export function unregisterComposerKeyBridge(id) {
     const entry = composerBridges.get(id);
     if (!entry) {
         return;
     }
 
+    endReverseSearch(entry, false);
     entry.element.removeEventListener("keydown", entry.handler);
+    entry.element.removeEventListener("input", entry.inputHandler);
+    entry.element.removeEventListener("blur", entry.blurHandler);
     composerBridges.delete(id);
 }
 
-export function registerComposerImagePasteBridge(elementId, dotNetRef, bridgeKey) {
-    if (!elementId || !dotNetRef) {
+export function getComposerKeymapOptions() {
+    return {
+        defaultPreset: defaultComposerKeymapPreset,
+        isMac: isMacPlatform,
+        actions: composerKeymapActions.map(action => ({ ...action })),
+        presets: Object.entries(composerKeymapPresets).map(([id, preset]) => ({
+            id,
+            label: preset.label,
+            description: preset.description,
+            bindings: cloneKeymapBindings(preset.bindings)
+        }))
+    };
+}
+
+export function getComposerKeymap() {
+    const keymap = loadComposerKeymap();
+    return {
+        preset: keymap.preset,
+        overrides: cloneKeymapBindings(keymap.overrides)
+    };
+}
+
+export function setComposerKeymap(keymap) {
+    const normalized = normalizeComposerKeymap(keymap);
+    try {
+        localStorage.setItem(composerKeymapStorageKey, JSON.stringify(normalized));
+    } catch {
+    }
+
+    composerKeymapCache = normalized;
+    return getComposerKeymap();
+}
+
+export function normalizeKeyChords(chords) {
+    return normalizeChordList(chords);
+}
+
+export function describeComposerKeymap() {
+    const bindings = loadComposerKeymap().bindings;
+    const first = action => (bindings[action] ?? [])[0];
+    const parts = [];
+
+    if (first("submit")) {
+        parts.push(`${formatKeyChord(first("submit"))} to send.`);
+    }
+
+    if (first("newline")) {
+        parts.push(`${formatKeyChord(first("newline"))} inserts a new line.`);
+    }
+
+    const history = [];
+    if (first("historyPrevious")) {
+        history.push(`${formatKeyChord(first("historyPrevious"))} recalls earlier prompts`);
+    }
+
+    if (first("reverseSearch")) {
+        history.push(`${formatKeyChord(first("reverseSearch"))} searches history`);
+    }
+
+    if (history.length > 0) {
+        parts.push(`${history.join(", ")}.`);
+    }
+
+    return parts.join(" ");
+}
+
+export function getComposerKeyBindings() {
+    const bindings = loadComposerKeymap().bindings;
+    return composerKeymapActions.map(action => ({
+        id: action.id,
+        label: action.label,
+        chords: (bindings[action.id] ?? []).map(formatKeyChord)
+    }));
+}
+
+function loadComposerKeymap() {
+    if (composerKeymapCache) {
+        return composerKeymapCache;
+    }
+
+    let stored = null;
+    try {
+        const serialized = localStorage.getItem(composerKeymapStorageKey);
+        stored = serialized ? JSON.parse(serialized) : null;
+    } catch {
+        stored = null;
+    }
+
+    composerKeymapCache = normalizeComposerKeymap(stored);
+    return composerKeymapCache;
+}
+
+function normalizeComposerKeymap(keymap) {
+    const preset = Object.hasOwn(composerKeymapPresets, keymap?.preset) ? keymap.preset : defaultComposerKeymapPreset;
+    const presetBindings = composerKeymapPresets[preset].bindings;
+    const overrides = {};
+    const bindings = {};
+
+    for (const { id } of composerKeymapActions) {
+        const override = keymap?.overrides?.[id];
+        if (Array.isArray(override)) {
+            overrides[id] = normalizeChordList(override);
+        }
+
+        bindings[id] = overrides[id] ?? normalizeChordList(presetBindings[id]);
+    }
+
+    return { preset, overrides, bindings };
+}
+
+function cloneKeymapBindings(bindings) {
+    return Object.fromEntries(Object.entries(bindings ?? {}).map(([action, chords]) => [action, [...chords]]));
+}
+
+function normalizeChordList(chords) {
+    const normalized = [];
+    for (const chord of Array.isArray(chords) ? chords : []) {
+        const value = normalizeKeyChord(chord);
+        if (value && !normalized.includes(value)) {
+            normalized.push(value);
+        }
+    }
+
+    return normalized;
+}
+
+function normalizeKeyChord(chord) {
+    if (typeof chord !== "string") {
         return null;
     }
 
-    const element = document.getElementById(elementId);
-    if (!element) {
+    const parts = chord.split("+").map(part => part.trim());
+    let key = parts.pop();
+    if (key === "" && parts.length > 0 && parts[parts.length - 1] === "") {
+        parts.pop();
+        key = "+";
+    }
+
+    if (!key) {
         return null;
     }
 
-    const id = `composer-image-paste-${++composerImagePasteCounter}`;
-    const handler = async event => {
-        const clipboard = event.clipboardData;
-        if (!clipboard?.items) {
-            return;
+    const modifiers = new Set();
+    for (const part of parts) {
+        const modifier = chordModifierAliases[part.toLowerCase()];
+        if (!modifier) {
+            return null;
         }
 
-        const files = [];
-        const seen = new Set();
+        modifiers.add(modifier);
+    }
 
-        const addImageFile = file => {
-            if (!file) {
-                return;
-            }
+    const alias = chordKeyAliases[key.toLowerCase()];
+    if (alias) {
+        key = alias;
+    } else if (key.length === 1) {
+        key = key.toUpperCase();
+    } else {
+        key = key[0].toUpperCase() + key.slice(1);
+    }
 
-            if (!isLikelyImageFile(file)) {
-                return;
-            }
+    return [...chordModifierOrder.filter(modifier => modifiers.has(modifier)), key].join("+");
+}
 
-            const key = `${file.name || ""}:${file.type || ""}:${file.size || 0}`;
-            if (seen.has(key)) {
-                return;
-            }
+function formatKeyChord(chord) {
+    return chord.replace("Mod", isMacPlatform ? "Cmd" : "Ctrl").replace("Meta", isMacPlatform ? "Cmd" : "Meta");
+}
 
-            seen.add(key);
-            files.push(file);
-        };
+function resolveComposerKeyAction(event) {
+    const bindings = loadComposerKeymap().bindings;
+    for (const { id } of composerKeymapActions) {
+        if ((bindings[id] ?? []).some(chord => eventMatchesChord(event, chord))) {
+            return id;
+        }
+    }
 
-        for (const item of clipboard.items) {
-            if (item.kind !== "file") {
-                continue;
-            }
+    return null;
+}
 
-            const file = item.getAsFile();
-            addImageFile(file);
-        }
+function eventMatchesChord(event, chord) {
+    const parts = chord.split("+");
+    const key = parts.pop() || "+";
+    const modifiers = new Set(parts);
+    const wantsCtrl = modifiers.has("Ctrl") || (modifiers.has("Mod") && !isMacPlatform);
+    const wantsMeta = modifiers.has("Meta") || (modifiers.has("Mod") && isMacPlatform);
 
-        if (clipboard.files) {
-            for (const file of clipboard.files) {
-                addImageFile(file);
-            }
+    if (event.ctrlKey !== wantsCtrl || event.metaKey !== wantsMeta || event.altKey !== modifiers.has("Alt")) {
+        return false;
+    }
+
+    if (event.shiftKey !== modifiers.has("Shift") && !(key.length === 1 && !/[A-Z]/.test(key))) {
+        return false;
+    }
+
+    const eventKey = event.key === " " ? "Space" : event.key === "NumpadEnter" ? "Enter" : event.key;
+    return eventKey.length === 1 ? eventKey.toUpperCase() === key : eventKey === key;
+}
+
+function hasCommandModifier(event) {
+    return event.ctrlKey || event.metaKey || event.altKey;
+}
+
+function isNativeNewlineChord(event) {
+    return event.key === "Enter" && !event.ctrlKey && !event.metaKey && !event.altKey;
+}
+
+function insertComposerText(element, text) {
+    const start = typeof element.selectionStart === "number" ? element.selectionStart : element.value.length;
+    const end = typeof element.selectionEnd === "number" ? element.selectionEnd : start;
+    element.setRangeText(text, start, end, "end");
+    element.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+function normalizePromptHistory(prompts) {
+    if (!Array.isArray(prompts)) {
+        return [];
+    }
+
+    const seen = new Set();
+    const normalized = [];
+    for (const prompt of prompts) {
+        const text = typeof prompt === "string" ? prompt : prompt?.text;
+        if (typeof text !== "string" || text.trim().length === 0 || seen.has(text)) {
+            continue;
         }
 
-        if (files.length === 0) {
-            return;
+        seen.add(text);
+        normalized.push({
+            text,
+            label: typeof prompt?.label === "string" ? prompt.label : ""
+        });
+    }
+
+    return normalized;
+}
+
+function rememberSubmittedPrompt(entry, prompt) {
+    resetPromptHistoryNavigation(entry);
+    if (!prompt) {
+        return;
+    }
+
+    entry.taskPrompts = [{ text: prompt, label: "" }, ...entry.taskPrompts.filter(item => item.text !== prompt)];
+    const label = entry.repositoryPrompts.find(item => item.text === prompt)?.label ?? "";
+    entry.repositoryPrompts = [{ text: prompt, label }, ...entry.repositoryPrompts.filter(item => item.text !== prompt)];
+}
+
+function resetPromptHistoryNavigation(entry) {
+    entry.historyIndex = -1;
+    entry.historyStash = "";
+    entry.historyValue = null;
+}
+
+// ArrowUp only enters history from an empty composer or a caret at the very start, so normal
+// multi-line cursor movement keeps working. Once navigating, the arrows keep cycling until the
+// recalled text is edited.
+function tryNavigatePromptHistory(entry, direction) {
+    const { element } = entry;
+    const history = entry.taskPrompts;
+    if (history.length === 0) {
+        return false;
+    }
+
+    if (entry.historyIndex < 0) {
+        const caretAtStart = element.selectionStart === 0 && element.selectionEnd === 0;
+        if (direction < 0 || (element.value.length > 0 && !caretAtStart)) {
+            return false;
         }
 
+        entry.historyStash = element.value;
+    }
+
+    const nextIndex = entry.historyIndex + direction;
+    if (nextIndex >= history.length) {
+        return true;
+    }
+
+    if (nextIndex < 0) {
+        const stash = entry.historyStash;
+        resetPromptHistoryNavigation(entry);
+        applyComposerText(element, stash);
+        return true;
+    }
+
+    entry.historyIndex = nextIndex;
+    entry.historyValue = history[nextIndex].text;
+    applyComposerText(element, entry.historyValue);
+    return true;
+}
+
+function applyComposerText(element, text) {
+    element.value = text;
+    element.setSelectionRange(text.length, text.length);
+    element.dispatchEvent(new Event("input", { bubbles: true }));
+}
+
+function beginReverseSearch(entry) {
+    if (entry.repositoryPrompts.length === 0) {
+        return;
+    }
+
+    const status = document.createElement("div");
+    status.className = "workspace-composer-history-search";
+    status.setAttribute("role", "status");
+    status.setAttribute("data-testid", "workspace-composer-history-search");
+    entry.element.parentElement?.appendChild(status);
+
+    resetPromptHistoryNavigation(entry);
+    entry.search = {
+        query: "",
+        matchIndex: -1,
+        original: entry.element.value,
+        status,
+        failed: false
+    };
+
+    renderReverseSearch(entry);
+}
+
+function handleReverseSearchKey(entry, event) {
+    const search = entry.search;
+    const key = event.key;
+
+    if (resolveComposerKeyAction(event) === "reverseSearch") {
         event.preventDefault();
+        findReverseSearchMatch(entry, search.matchIndex + 1);
+        return;
+    }
 
-        const images = [];
-        for (const file of files) {
-            try {
-                images.push(await readClipboardImage(file));
-            } catch {
-            }
-        }
+    if (key === "Escape" || (event.ctrlKey && key.toLowerCase() === "g")) {
+        event.preventDefault();
+        event.stopPropagation();
+        endReverseSearch(entry, true);
+        return;
+    }
+
+    if (key === "Enter" || key === "NumpadEnter" || key === "Tab" || key === "ArrowLeft" || key === "ArrowRight") {
+        event.preventDefault();
+        event.stopPropagation();
+        endReverseSearch(entry, false);
+        return;
+    }
+
+    if (key === "Backspace") {
+        event.preventDefault();
+        search.query = search.query.slice(0, -1);
+        findReverseSearchMatch(entry, 0);
+        return;
+    }
+
+    if (key.length === 1 && !event.ctrlKey && !event.altKey && !event.metaKey) {
+        event.preventDefault();
+        search.query += key;
+        findReverseSearchMatch(entry, Math.max(0, search.matchIndex));
+        return;
+    }
+
+    if (key === "Shift" || key === "Control" || key === "Alt" || key === "Meta") {
+        return;
+    }
+
+    endReverseSearch(entry, false);
+}
 
-        if (images.length === 0) {
+function findReverseSearchMatch(entry, fromIndex) {
+    const search = entry.search;
+    const query = search.query.toLowerCase();
+    const history = entry.repositoryPrompts;
+
+    if (query.length === 0) {
+        search.matchIndex = -1;
+        search.failed = false;
+        applyComposerText(entry.element, search.original);
+        renderReverseSearch(entry);
+        return;
+    }
+
+    for (let index = fromIndex; index < history.length; index++) {
+        if (history[index].text.toLowerCase().includes(query)) {
+            search.matchIndex = index;
+            search.failed = false;
+            const text = history[index].text;
+            applyComposerText(entry.element, text);
+            const matchStart = text.toLowerCase().indexOf(query);
+            entry.element.setSelectionRange(matchStart, matchStart + query.length);
+            renderReverseSearch(entry);
             return;
         }
+    }
 
-        await dotNetRef.invokeMethodAsync("OnComposerImagesPastedFromJs", bridgeKey || "", images);
-    };
+    search.failed = true;
+    renderReverseSearch(entry);
+}
 
-    element.addEventListener("paste", handler);
-    composerImagePasteBridges.set(id, { element, handler });
-    return id;
+function renderReverseSearch(entry) {
+    const search = entry.search;
+    const match = search.matchIndex >= 0 ? entry.repositoryPrompts[search.matchIndex] : null;
+    const prefix = search.failed ? "failing reverse-i-search" : "reverse-i-search";
+    const source = match?.label ? ` · ${match.label}` : "";
+    search.status.textContent = `(${prefix})\`${search.query}'${source}`;
+    search.status.classList.toggle("workspace-composer-history-search-failed", search.failed);
 }
 
-function isLikelyImageFile(file) {
-    const mimeType = (file.type || "").trim().toLowerCase();
-    if (mimeType.startsWith("image/")) {
-        return true;
+function endReverseSearch(entry, restoreOriginal) {
+    const search = entry.search;
+    if (!search) {
+        return;
     }
 
-    const name = (file.name || "").trim().toLowerCase();
-    return name.endsWith(".png") || name.endsWith(".jpg") || name.endsWith(".jpeg") || name.endsWith(".gif") || name.endsWith(".webp");
-}
+    entry.search = null;
+    search.status.remove();
 
-export function unregisterComposerImagePasteBridge(id) {
-    const entry = composerImagePasteBridges.get(id);
-    if (!entry) {
+    if (restoreOriginal) {
+        applyComposerText(entry.element, search.original);
         return;
     }
 
-    entry.element.removeEventListener("paste", entry.handler);
-    composerImagePasteBridges.delete(id);
+    const length = entry.element.value.length;
+    entry.element.setSelectionRange(length, length);
 }
 
-export function registerChatAutoScroll(elementId, dotNetRef) {
+export function registerComposerAttachmentBridge(elementId, dotNetRef, bridgeKey, options) {
     if (!elementId || !dotNetRef) {
         return null;
     }
@@ -255,53 +749,657 @@ export function registerChatAutoScroll(elementId, dotNetRef) {
         return null;
     }
 
-    const id = `chat-autoscroll-${++chatAutoScrollCounter}`;
-    const prefersReducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
-    const state = {
-        sticky: true,
-        pending: 0,
-        animationFrame: 0,
-        suppressScrollEvent: false
+    const id = `composer-attachments-${++composerAttachmentCounter}`;
+    const imageOptions = normalizeImageOptimizationOptions(options);
+    const entry = {
+        element,
+        dragDepth: 0,
+        pasteHandler: null,
+        dragEnterHandler: null,
+        dragOverHandler: null,
+        dragLeaveHandler: null,
+        dropHandler: null,
+        transfers: new Map(),
+        dotNetRef,
+        bridgeKey: bridgeKey || ""
     };
 
-    const atBottomThreshold = 72;
+    const setDragActive = active => {
+        element.classList.toggle("workspace-composer-input-dragover", active);
+    };
 
-    const cancelAnimation = () => {
-        if (state.animationFrame !== 0) {
-            window.cancelAnimationFrame(state.animationFrame);
-            state.animationFrame = 0;
+    const publish = async files => {
+        const attachments = [];
+        const rejected = [];
+        for (const file of files) {
+            try {
+                const attachment = await readComposerAttachment(file, imageOptions);
+                if (attachment) {
+                    attachments.push(attachment);
+                } else {
+                    rejected.push(file.name || "unnamed file");
+                }
+            } catch {
+                rejected.push(file.name || "unnamed file");
+            }
         }
-    };
 
-    const distanceFromBottom = () => Math.max(0, element.scrollHeight - element.clientHeight - element.scrollTop);
-    const isNearBottom = () => distanceFromBottom() <= atBottomThreshold;
+        if (rejected.length > 0) {
+            await invokeWithReconnectRetry(() =>
+                dotNetRef.invokeMethodAsync("OnComposerAttachmentsRejectedFromJs", bridgeKey || "", rejected));
+        }
 
-    const notify = () => {
-        dotNetRef
-            .invokeMethodAsync("OnChatAutoScrollStateChanged", state.sticky, state.pending)
-            .catch(() => {});
+        await Promise.all(attachments.map(attachment =>
+            transferComposerAttachment(entry, dotNetRef, bridgeKey || "", attachment).catch(() => {})));
     };
 
-    const setSticky = sticky => {
-        if (state.sticky === sticky) {
+    entry.pasteHandler = async event => {
+        const files = collectTransferFiles(event.clipboardData);
+        if (files.length === 0) {
             return;
         }
 
-        state.sticky = sticky;
-        notify();
+        event.preventDefault();
+        await publish(files);
     };
 
-    const setPending = pending => {
-        if (state.pending === pending) {
+    entry.dragEnterHandler = event => {
+        if (!hasTransferFiles(event.dataTransfer)) {
             return;
         }
 
-        state.pending = pending;
-        notify();
+        event.preventDefault();
+        entry.dragDepth++;
+        setDragActive(true);
     };
 
-    const easeOutCubic = value => 1 - Math.pow(1 - value, 3);
-
+    entry.dragOverHandler = event => {
+        if (!hasTransferFiles(event.dataTransfer)) {
+            return;
+        }
+
+        event.preventDefault();
+        event.dataTransfer.dropEffect = "copy";
+    };
+
+    entry.dragLeaveHandler = () => {
+        entry.dragDepth = Math.max(0, entry.dragDepth - 1);
+        if (entry.dragDepth === 0) {
+            setDragActive(false);
+        }
+    };
+
+    entry.dropHandler = async event => {
+        entry.dragDepth = 0;
+        setDragActive(false);
+
+        const files = collectTransferFiles(event.dataTransfer);
+        if (files.length === 0) {
+            return;
+        }
+
+        event.preventDefault();
+        await publish(files);
+    };
+
+    element.addEventListener("paste", entry.pasteHandler);
+    element.addEventListener("dragenter", entry.dragEnterHandler);
+    element.addEventListener("dragover", entry.dragOverHandler);
+    element.addEventListener("dragleave", entry.dragLeaveHandler);
+    element.addEventListener("drop", entry.dropHandler);
+    composerAttachmentBridges.set(id, entry);
+    return id;
+}
+
+export function unregisterComposerAttachmentBridge(id) {
+    const entry = composerAttachmentBridges.get(id);
+    if (!entry) {
+        return;
+    }
+
+    entry.element.removeEventListener("paste", entry.pasteHandler);
+    entry.element.removeEventListener("dragenter", entry.dragEnterHandler);
+    entry.element.removeEventListener("dragover", entry.dragOverHandler);
+    entry.element.removeEventListener("dragleave", entry.dragLeaveHandler);
+    entry.element.removeEventListener("drop", entry.dropHandler);
+    entry.element.classList.remove("workspace-composer-input-dragover");
+    for (const transfer of entry.transfers.values()) {
+        transfer.cancelled = true;
+    }
+
+    entry.transfers.clear();
+    composerAttachmentBridges.delete(id);
+}
+
+export function cancelComposerAttachmentTransfer(transferId) {
+    for (const entry of composerAttachmentBridges.values()) {
+        const transfer = entry.transfers.get(transferId);
+        if (transfer) {
+            transfer.cancelled = true;
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// Attachments travel as a begin/append/complete sequence so no single interop message
+// exceeds the SignalR receive limit. Each .NET call returns the next chunk index it
+// expects, which lets a retried call after a reconnect resume without duplicating data.
+async function transferComposerAttachment(entry, dotNetRef, bridgeKey, attachment) {
+    const { content, ...descriptor } = attachment;
+    const boundaries = buildAttachmentChunkBoundaries(content);
+    const totalChunks = boundaries.length - 1;
+    const transfer = { id: attachment.id, cancelled: false };
+    entry.transfers.set(transfer.id, transfer);
+
+    try {
+        let nextChunk = await invokeWithReconnectRetry(() => dotNetRef.invokeMethodAsync(
+            "BeginComposerAttachmentTransferFromJs",
+            bridgeKey,
+            { ...descriptor, contentLength: content.length, totalChunks }));
+
+        while (nextChunk >= 0 && nextChunk < totalChunks) {
+            if (transfer.cancelled) {
+                await invokeWithReconnectRetry(() =>
+                    dotNetRef.invokeMethodAsync("CancelComposerAttachmentTransferFromJs", transfer.id));
+                return;
+            }
+
+            const chunkIndex = nextChunk;
+            const chunk = content.slice(boundaries[chunkIndex], boundaries[chunkIndex + 1]);
+            nextChunk = await invokeWithReconnectRetry(() => dotNetRef.invokeMethodAsync(
+                "AppendComposerAttachmentChunkFromJs",
+                transfer.id,
+                chunkIndex,
+                chunk));
+        }
+
+        if (nextChunk === totalChunks) {
+            await invokeWithReconnectRetry(() =>
+                dotNetRef.invokeMethodAsync("CompleteComposerAttachmentTransferFromJs", transfer.id));
+        }
+    } catch {
+        if (!transfer.cancelled) {
+            try {
+                await dotNetRef.invokeMethodAsync("FailComposerAttachmentTransferFromJs", transfer.id, descriptor.fileName || "");
+            } catch {
+            }
+        }
+    } finally {
+        entry.transfers.delete(transfer.id);
+    }
+}
+
+// Chunks end on code point boundaries: a lone surrogate is not valid JSON text for .NET.
+function buildAttachmentChunkBoundaries(content) {
+    const boundaries = [0];
+    let offset = 0;
+    while (offset < content.length) {
+        let end = Math.min(content.length, offset + attachmentChunkLength);
+        const lastCode = content.charCodeAt(end - 1);
+        if (end < content.length && lastCode >= 0xD800 && lastCode <= 0xDBFF) {
+            end--;
+        }
+
+        boundaries.push(end);
+        offset = end;
+    }
+
+    if (boundaries.length === 1) {
+        boundaries.push(0);
+    }
+
+    return boundaries;
+}
+
+async function invokeWithReconnectRetry(invoke) {
+    let delayMs = 500;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await invoke();
+        } catch (error) {
+            if (attempt >= attachmentTransferMaxAttempts || !isDisconnectedInteropError(error)) {
+                throw error;
+            }
+
+            await new Promise(resolve => window.setTimeout(resolve, delayMs));
+            delayMs = Math.min(delayMs * 2, 8000);
+        }
+    }
+}
+
+// Only a dropped circuit connection is worth waiting out; an exception thrown by .NET
+// fails the same way on every retry.
+function isDisconnectedInteropError(error) {
+    const message = String(error?.message || error || "");
+    return disconnectedInteropErrorPattern.test(message);
+}
+
+function hasTransferFiles(dataTransfer) {
+    if (!dataTransfer?.types) {
+        return false;
+    }
+
+    return Array.from(dataTransfer.types).includes("Files");
+}
+
+function collectTransferFiles(dataTransfer) {
+    const files = [];
+    if (!dataTransfer) {
+        return files;
+    }
+
+    const seen = new Set();
+    const addFile = file => {
+        if (!file) {
+            return;
+        }
+
+        const key = `${file.name || ""}:${file.type || ""}:${file.size || 0}`;
+        if (seen.has(key)) {
+            return;
+        }
+
+        seen.add(key);
+        files.push(file);
+    };
+
+    if (dataTransfer.items) {
+        for (const item of dataTransfer.items) {
+            if (item.kind !== "file") {
+                continue;
+            }
+
+            addFile(item.getAsFile());
+        }
+    }
+
+    if (dataTransfer.files) {
+        for (const file of dataTransfer.files) {
+            addFile(file);
+        }
+    }
+
+    return files;
+}
+
+async function readComposerAttachment(file, imageOptions) {
+    if (isLikelyImageFile(file)) {
+        const image = await readClipboardImage(file, imageOptions);
+        return {
+            id: image.id,
+            kind: "image",
+            fileName: image.fileName,
+            mimeType: image.mimeType,
+            sizeBytes: image.sizeBytes,
+            originalSizeBytes: image.originalSizeBytes,
+            content: image.dataUrl,
+            width: image.width,
+            height: image.height
+        };
+    }
+
+    if (!isLikelyTextFile(file) || (file.size || 0) > maxTextAttachmentBytes) {
+        return null;
+    }
+
+    const content = await file.text();
+    if (content.includes("\u0000")) {
+        return null;
+    }
+
+    return {
+        id: createImageId(),
+        kind: "text",
+        fileName: file.name || "attachment.txt",
+        mimeType: normalizeTextMimeType(file.type, file.name),
+        sizeBytes: file.size || 0,
+        originalSizeBytes: file.size || 0,
+        content,
+        width: null,
+        height: null
+    };
+}
+
+function isLikelyImageFile(file) {
+    const mimeType = (file.type || "").trim().toLowerCase();
+    if (mimeType.startsWith("image/")) {
+        return true;
+    }
+
+    const name = (file.name || "").trim().toLowerCase();
+    return name.endsWith(".png") || name.endsWith(".jpg") || name.endsWith(".jpeg") || name.endsWith(".gif") || name.endsWith(".webp");
+}
+
+function isLikelyTextFile(file) {
+    const mimeType = (file.type || "").trim().toLowerCase();
+    if (mimeType.startsWith("text/") || textMimeTypes.has(mimeType)) {
+        return true;
+    }
+
+    const extension = extractFileExtension(file.name || "").toLowerCase();
+    return Object.prototype.hasOwnProperty.call(textExtensionToMimeType, extension);
+}
+
+function normalizeTextMimeType(rawMimeType, fileName) {
+    const mimeType = (rawMimeType || "").trim().toLowerCase();
+    if (mimeType.startsWith("text/") || textMimeTypes.has(mimeType)) {
+        return mimeType;
+    }
+
+    const extension = extractFileExtension(fileName || "").toLowerCase();
+    return textExtensionToMimeType[extension] || "text/plain";
+}
+
+export function saveComposerDraft(repositoryId, taskId, patch, ttlMinutes) {
+    if (!repositoryId || !patch) {
+        return;
+    }
+
+    const key = composerDraftKey(repositoryId, taskId);
+    const pending = pendingComposerDraftWrites.get(key) || {
+        repositoryId,
+        taskId: taskId || "",
+        patch: {},
+        ttlMinutes: defaultComposerDraftTtlMinutes,
+        timer: 0
+    };
+
+    Object.assign(pending.patch, patch);
+    if (Number.isFinite(ttlMinutes) && ttlMinutes > 0) {
+        pending.ttlMinutes = ttlMinutes;
+    }
+
+    if (pending.timer !== 0) {
+        window.clearTimeout(pending.timer);
+    }
+
+    pending.timer = window.setTimeout(() => {
+        flushComposerDraft(key).catch(() => {});
+    }, composerDraftSaveDelayMs);
+    pendingComposerDraftWrites.set(key, pending);
+}
+
+export async function restoreComposerDraft(repositoryId, taskId, elementId) {
+    if (!repositoryId) {
+        return null;
+    }
+
+    const key = composerDraftKey(repositoryId, taskId);
+    try {
+        await flushComposerDraft(key);
+        const draft = await composerDraftRequest("readonly", store => store.get(key));
+        if (!draft) {
+            return null;
+        }
+
+        if (draft.expiresAt <= Date.now()) {
+            await composerDraftRequest("readwrite", store => store.delete(key));
+            return null;
+        }
+
+        const attachments = [
+            ...(draft.images || []).map(image => ({
+                id: createImageId(),
+                kind: "image",
+                fileName: image.fileName,
+                mimeType: image.mimeType,
+                sizeBytes: image.sizeBytes,
+                originalSizeBytes: image.originalSizeBytes || image.sizeBytes,
+                content: image.dataUrl,
+                width: image.width ?? null,
+                height: image.height ?? null
+            })),
+            ...(draft.textAttachments || []).map(attachment => ({
+                id: createImageId(),
+                kind: "text",
+                fileName: attachment.fileName,
+                mimeType: attachment.mimeType,
+                sizeBytes: attachment.sizeBytes,
+                originalSizeBytes: attachment.sizeBytes,
+                content: attachment.content,
+                width: null,
+                height: null
+            }))
+        ];
+
+        if (attachments.length > 0) {
+            restoreComposerDraftAttachments(elementId, attachments).catch(() => {});
+        }
+
+        return {
+            text: draft.text || "",
+            attachmentCount: attachments.length,
+            savedAtUtc: new Date(draft.savedAt).toISOString()
+        };
+    } catch {
+        return null;
+    }
+}
+
+export async function clearComposerDraft(repositoryId, taskId) {
+    if (!repositoryId) {
+        return;
+    }
+
+    const key = composerDraftKey(repositoryId, taskId);
+    const pending = pendingComposerDraftWrites.get(key);
+    if (pending) {
+        window.clearTimeout(pending.timer);
+        pendingComposerDraftWrites.delete(key);
+    }
+
+    try {
+        await composerDraftRequest("readwrite", store => store.delete(key));
+    } catch {
+    }
+}
+
+export async function pruneComposerDrafts() {
+    try {
+        const database = await openComposerDraftDatabase();
+        await new Promise((resolve, reject) => {
+            const transaction = database.transaction(composerDraftStoreName, "readwrite");
+            const request = transaction.objectStore(composerDraftStoreName).openCursor();
+            const now = Date.now();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    return;
+                }
+
+                if (!cursor.value?.expiresAt || cursor.value.expiresAt <= now) {
+                    cursor.delete();
+                }
+
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch {
+    }
+}
+
+function composerDraftKey(repositoryId, taskId) {
+    return `${repositoryId}::${taskId || "new"}`;
+}
+
+async function flushComposerDraft(key) {
+    const pending = pendingComposerDraftWrites.get(key);
+    if (!pending) {
+        return;
+    }
+
+    window.clearTimeout(pending.timer);
+    pendingComposerDraftWrites.delete(key);
+
+    const existing = await composerDraftRequest("readonly", store => store.get(key));
+    const now = Date.now();
+    const draft = {
+        text: "",
+        images: [],
+        textAttachments: [],
+        ...(existing && existing.expiresAt > now ? existing : {}),
+        ...pending.patch,
+        key,
+        repositoryId: pending.repositoryId,
+        taskId: pending.taskId,
+        savedAt: now,
+        expiresAt: now + (pending.ttlMinutes * 60 * 1000)
+    };
+
+    const isEmpty = !draft.text?.trim() && draft.images.length === 0 && draft.textAttachments.length === 0;
+    await composerDraftRequest("readwrite", store => isEmpty ? store.delete(key) : store.put(draft));
+}
+
+function flushAllComposerDrafts() {
+    for (const key of Array.from(pendingComposerDraftWrites.keys())) {
+        flushComposerDraft(key).catch(() => {});
+    }
+}
+
+async function restoreComposerDraftAttachments(elementId, attachments) {
+    let bridge = null;
+    for (let attempt = 0; attempt < 20 && !bridge; attempt++) {
+        bridge = Array.from(composerAttachmentBridges.values()).find(entry => entry.element.id === elementId) || null;
+        if (!bridge) {
+            await new Promise(resolve => window.setTimeout(resolve, 100));
+        }
+    }
+
+    if (!bridge) {
+        return;
+    }
+
+    await Promise.all(attachments.map(attachment =>
+        transferComposerAttachment(bridge, bridge.dotNetRef, bridge.bridgeKey, attachment).catch(() => {})));
+}
+
+function openComposerDraftDatabase() {
+    if (composerDraftDatabasePromise) {
+        return composerDraftDatabasePromise;
+    }
+
+    composerDraftDatabasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+            reject(new Error("IndexedDB is not available"));
+            return;
+        }
+
+        const request = indexedDB.open(composerDraftDatabaseName, 1);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(composerDraftStoreName)) {
+                request.result.createObjectStore(composerDraftStoreName, { keyPath: "key" });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    composerDraftDatabasePromise.catch(() => {
+        composerDraftDatabasePromise = null;
+    });
+
+    return composerDraftDatabasePromise;
+}
+
+async function composerDraftRequest(mode, createRequest) {
+    const database = await openComposerDraftDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(composerDraftStoreName, mode);
+        const request = createRequest(transaction.objectStore(composerDraftStoreName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export function registerChatAutoScroll(elementId, dotNetRef) {
+    if (!elementId || !dotNetRef) {
+        return null;
+    }
+
+    const element = document.getElementById(elementId);
+    if (!element) {
+        return null;
+    }
+
+    const id = `chat-autoscroll-${++chatAutoScrollCounter}`;
+    const prefersReducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+    const state = {
+        sticky: true,
+        pending: 0,
+        animationFrame: 0,
+        layoutFrame: 0,
+        contentChanged: false,
+        suppressScrollEvent: false,
+        count: 0,
+        firstId: null,
+        heights: [],
+        estimate: chatWindowEstimatedHeightPx,
+        window: { start: 0, end: 0, followsTail: true },
+        threadKey: null,
+        lastSeenIndex: -1,
+        lastSeenId: null,
+        dividerIndex: -1,
+        restore: null,
+        find: null,
+        findReveal: false,
+        pauseSticky: false
+    };
+
+    const atBottomThreshold = 72;
+    const topSpacer = element.querySelector(":scope > [data-chat-spacer='top']");
+    const bottomSpacer = element.querySelector(":scope > [data-chat-spacer='bottom']");
+
+    const cancelAnimation = () => {
+        if (state.animationFrame !== 0) {
+            window.cancelAnimationFrame(state.animationFrame);
+            state.animationFrame = 0;
+        }
+    };
+
+    const distanceFromBottom = () => Math.max(0, element.scrollHeight - element.clientHeight - element.scrollTop);
+    const isNearBottom = () => distanceFromBottom() <= atBottomThreshold;
+
+    const notify = () => {
+        dotNetRef
+            .invokeMethodAsync("OnChatAutoScrollStateChanged", state.sticky, state.pending, state.threadKey, state.lastSeenId)
+            .catch(() => {});
+    };
+
+    const setDivider = index => {
+        if (state.dividerIndex === index) {
+            return;
+        }
+
+        state.dividerIndex = index;
+        dotNetRef
+            .invokeMethodAsync("OnChatUnreadDividerChanged", index)
+            .catch(() => {});
+    };
+
+    const setSticky = sticky => {
+        if (state.sticky === sticky) {
+            return;
+        }
+
+        state.sticky = sticky;
+        notify();
+    };
+
+    const setPending = pending => {
+        if (state.pending === pending) {
+            return;
+        }
+
+        state.pending = pending;
+        notify();
+    };
+
+    const easeOutCubic = value => 1 - Math.pow(1 - value, 3);
+
     const animateToBottom = force => {
         const target = Math.max(0, element.scrollHeight - element.clientHeight);
         const start = element.scrollTop;
@@ -311,44 +1409,292 @@ export function registerChatAutoScroll(elementId, dotNetRef) {
             return;
         }
 
-        if (prefersReducedMotion) {
-            element.scrollTop = target;
+        if (prefersReducedMotion) {
+            element.scrollTop = target;
+            return;
+        }
+
+        cancelAnimation();
+        const duration = force
+            ? Math.min(220, Math.max(140, Math.abs(distance) * 0.12))
+            : Math.min(180, Math.max(120, Math.abs(distance) * 0.1));
+        const startTime = performance.now();
+        state.suppressScrollEvent = true;
+
+        const step = now => {
+            const elapsed = now - startTime;
+            const progress = Math.min(1, elapsed / duration);
+            const eased = easeOutCubic(progress);
+            element.scrollTop = start + (distance * eased);
+            if (progress >= 1) {
+                state.animationFrame = 0;
+                state.suppressScrollEvent = false;
+                return;
+            }
+
+            state.animationFrame = window.requestAnimationFrame(step);
+        };
+
+        state.animationFrame = window.requestAnimationFrame(step);
+    };
+
+    // Only a window of messages is mounted; the spacers stand in for the rest using measured
+    // heights where known and the running average elsewhere.
+    const getMountedItems = () => Array.from(element.querySelectorAll(":scope > [data-chat-index]"));
+    const heightAt = index => state.heights[index] ?? state.estimate;
+    const sumHeights = (from, to) => {
+        let total = 0;
+        for (let index = from; index < to; index++) {
+            total += heightAt(index);
+        }
+
+        return total;
+    };
+
+    const measureMountedItems = items => {
+        const gap = parseFloat(window.getComputedStyle(element).rowGap) || 0;
+        for (const item of items) {
+            state.heights[Number(item.dataset.chatIndex)] = item.offsetHeight + gap;
+        }
+
+        const measured = state.heights.filter(height => height !== undefined);
+        if (measured.length > 0) {
+            state.estimate = measured.reduce((total, height) => total + height, 0) / measured.length;
+        }
+    };
+
+    const computeWindow = () => {
+        const span = element.clientHeight + chatWindowOverscanPx;
+        if (state.sticky) {
+            let start = state.count;
+            let covered = 0;
+            while (start > 0 && covered < span) {
+                start--;
+                covered += heightAt(start);
+            }
+
+            return { start, end: state.count, followsTail: true };
+        }
+
+        const top = element.scrollTop - chatWindowOverscanPx - (topSpacer ? topSpacer.offsetTop : 0);
+        const bottom = element.scrollTop + span;
+        let offset = 0;
+        let start = 0;
+        while (start < state.count && offset + heightAt(start) < top) {
+            offset += heightAt(start);
+            start++;
+        }
+
+        let end = start;
+        while (end < state.count && offset < bottom) {
+            offset += heightAt(end);
+            end++;
+        }
+
+        return { start, end, followsTail: end >= state.count };
+    };
+
+    const updateWindow = () => {
+        const next = computeWindow();
+        const current = state.window;
+        if (next.start === current.start && next.end === current.end && next.followsTail === current.followsTail) {
+            return;
+        }
+
+        state.window = next;
+        dotNetRef
+            .invokeMethodAsync("OnChatWindowChanged", next.start, next.end, next.followsTail)
+            .catch(() => {});
+    };
+
+    const findFirstVisibleItem = items => items.find(item => item.offsetTop + item.offsetHeight > element.scrollTop) ?? null;
+
+    // Unread is everything after the newest message whose top edge has entered the viewport.
+    const updateSeen = items => {
+        const viewportBottom = element.scrollTop + element.clientHeight;
+        const seen = state.sticky
+            ? items[items.length - 1]
+            : items.filter(item => item.offsetTop < viewportBottom).pop();
+        const seenIndex = seen ? Number(seen.dataset.chatIndex) : -1;
+        const previousSeenId = state.lastSeenId;
+        if (seen && seenIndex >= state.lastSeenIndex) {
+            state.lastSeenIndex = seenIndex;
+            state.lastSeenId = seen.dataset.chatMessageId ?? null;
+        }
+
+        const pending = state.sticky ? 0 : Math.max(0, state.count - 1 - state.lastSeenIndex);
+        if (pending !== state.pending) {
+            setPending(pending);
+        } else if (state.lastSeenId !== previousSeenId) {
+            notify();
+        }
+    };
+
+    const restoreScrollPosition = items => {
+        const restore = state.restore;
+        const target = items.find(item => Number(item.dataset.chatIndex) === restore.index);
+        if (target) {
+            element.scrollTop = target.offsetTop - restore.offset;
+            state.restore = null;
+            return;
+        }
+
+        // Estimate the offset so the window moves to the remembered message; the exact position is
+        // applied once it is mounted.
+        element.scrollTop = (topSpacer ? topSpacer.offsetTop : 0) + sumHeights(0, restore.index) - restore.offset;
+    };
+
+    // The component searches the messages and sends how many matches each one has; this only
+    // paints them in the mounted window. Each message's text nodes are searched as one string so
+    // matches split by formatting elements are still painted, and a message never shows more
+    // matches than were counted for it. Highlights use the CSS Custom Highlight API so the
+    // Blazor-owned DOM is never modified.
+    const applyFindHighlights = items => {
+        const find = state.find;
+        if (!find?.regex || !window.CSS?.highlights || typeof window.Highlight === "undefined") {
+            return;
+        }
+
+        const matchRanges = [];
+        const activeRanges = [];
+        for (const item of items) {
+            const index = Number(item.dataset.chatIndex);
+            const limit = find.messages.get(index) ?? 0;
+            const ranges = [];
+            for (const container of limit > 0 ? item.querySelectorAll("[data-chat-content]") : []) {
+                const nodes = [];
+                let text = "";
+                const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+                for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                    nodes.push({ node, start: text.length });
+                    text += node.data;
+                }
+
+                find.regex.lastIndex = 0;
+                for (let match = find.regex.exec(text); match && ranges.length < limit; match = find.regex.exec(text)) {
+                    if (match[0].length === 0) {
+                        find.regex.lastIndex++;
+                        continue;
+                    }
+
+                    ranges.push(createChatFindRange(nodes, match.index, match.index + match[0].length));
+                }
+            }
+
+            // Markdown syntax can match the source but not the rendered text; the last painted
+            // occurrence then stands in for the active one.
+            const activeOccurrence = index === find.activeMessageIndex ? Math.min(find.activeOccurrence, ranges.length - 1) : -1;
+            ranges.forEach((range, occurrence) => (occurrence === activeOccurrence ? activeRanges : matchRanges).push(range));
+        }
+
+        window.CSS.highlights.set(chatFindMatchHighlight, new window.Highlight(...matchRanges));
+        window.CSS.highlights.set(chatFindActiveHighlight, new window.Highlight(...activeRanges));
+
+        const activeItem = items.find(item => Number(item.dataset.chatIndex) === find.activeMessageIndex);
+        if (!state.findReveal || state.restore || !activeItem) {
+            return;
+        }
+
+        state.findReveal = false;
+        const rangeRect = (activeRanges[0] ?? activeItem).getBoundingClientRect();
+        const viewportRect = element.getBoundingClientRect();
+        if (rangeRect.top < viewportRect.top || rangeRect.bottom > viewportRect.bottom) {
+            element.scrollTop += rangeRect.top - viewportRect.top - Math.round(element.clientHeight / 3);
+        }
+    };
+
+    const setFind = find => {
+        if (!find) {
+            state.find = null;
+            state.findReveal = false;
+            state.pauseSticky = false;
+            clearChatFindHighlights();
             return;
         }
 
-        cancelAnimation();
-        const duration = force
-            ? Math.min(220, Math.max(140, Math.abs(distance) * 0.12))
-            : Math.min(180, Math.max(120, Math.abs(distance) * 0.1));
-        const startTime = performance.now();
-        state.suppressScrollEvent = true;
+        let regex = null;
+        try {
+            const source = find.isRegex ? String(find.pattern ?? "") : escapeChatFindPattern(find.pattern);
+            regex = source ? new RegExp(source, find.caseSensitive ? "gm" : "gim") : null;
+        } catch {
+            regex = null;
+        }
 
-        const step = now => {
-            const elapsed = now - startTime;
-            const progress = Math.min(1, elapsed / duration);
-            const eased = easeOutCubic(progress);
-            element.scrollTop = start + (distance * eased);
-            if (progress >= 1) {
-                state.animationFrame = 0;
-                state.suppressScrollEvent = false;
-                return;
+        state.find = {
+            regex,
+            messages: new Map((Array.isArray(find.messages) ? find.messages : []).map(entry => [entry.index, entry.count])),
+            activeMessageIndex: Number.isInteger(find.activeMessageIndex) ? find.activeMessageIndex : -1,
+            activeOccurrence: Number(find.activeOccurrence) || 0
+        };
+
+        if (!regex) {
+            clearChatFindHighlights();
+        }
+
+        // Revealing moves the window to the active message first; the match is scrolled into view
+        // once that message is mounted.
+        if (find.reveal && state.find.activeMessageIndex >= 0) {
+            cancelAnimation();
+            state.pauseSticky = true;
+            state.findReveal = true;
+            const mounted = getMountedItems().some(item => Number(item.dataset.chatIndex) === state.find.activeMessageIndex);
+            if (!mounted) {
+                state.restore = { index: state.find.activeMessageIndex, offset: Math.round(element.clientHeight / 3) };
             }
 
-            state.animationFrame = window.requestAnimationFrame(step);
-        };
+            setSticky(false);
+        }
 
-        state.animationFrame = window.requestAnimationFrame(step);
+        scheduleLayout();
+    };
+
+    const syncLayout = () => {
+        state.layoutFrame = 0;
+        const items = getMountedItems();
+        const anchor = state.sticky || state.restore
+            ? null
+            : findFirstVisibleItem(items);
+        const anchorOffset = anchor ? anchor.offsetTop - element.scrollTop : 0;
+
+        measureMountedItems(items);
+        const mountedStart = items.length > 0 ? Number(items[0].dataset.chatIndex) : state.window.start;
+        const mountedEnd = items.length > 0 ? Number(items[items.length - 1].dataset.chatIndex) + 1 : state.window.start;
+        if (topSpacer) {
+            topSpacer.style.height = `${sumHeights(0, mountedStart)}px`;
+        }
+
+        if (bottomSpacer) {
+            bottomSpacer.style.height = `${sumHeights(mountedEnd, state.count)}px`;
+        }
+
+        if (state.restore) {
+            restoreScrollPosition(items);
+        } else if (state.sticky && state.contentChanged) {
+            animateToBottom(false);
+        } else if (anchor && anchor.isConnected) {
+            element.scrollTop = anchor.offsetTop - anchorOffset;
+        }
+
+        state.contentChanged = false;
+        updateSeen(items);
+        applyFindHighlights(items);
+        updateWindow();
+    };
+
+    const scheduleLayout = () => {
+        if (state.layoutFrame === 0) {
+            state.layoutFrame = window.requestAnimationFrame(syncLayout);
+        }
     };
 
     const onContentChanged = () => {
-        if (state.sticky || isNearBottom()) {
+        if (!state.sticky && !state.pauseSticky && isNearBottom()) {
             setSticky(true);
             setPending(0);
-            animateToBottom(false);
-            return;
         }
 
-        setPending(state.pending + 1);
+        state.contentChanged = true;
+        scheduleLayout();
     };
 
     const onScroll = () => {
@@ -356,13 +1702,32 @@ export function registerChatAutoScroll(elementId, dotNetRef) {
             return;
         }
 
-        if (isNearBottom()) {
+        if (isNearBottom() && !state.pauseSticky) {
             setSticky(true);
             setPending(0);
+        } else {
+            setSticky(false);
+        }
+
+        scheduleLayout();
+    };
+
+    // Find navigation pauses stickiness until the reader scrolls by hand or jumps to the latest.
+    const resumeSticky = () => {
+        state.pauseSticky = false;
+    };
+
+    const onFindShortcut = event => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key.toLowerCase() !== "f") {
+            return;
+        }
+
+        if (!element.isConnected || element.offsetParent === null || event.target?.closest?.(".monaco-editor")) {
             return;
         }
 
-        setSticky(false);
+        event.preventDefault();
+        dotNetRef.invokeMethodAsync("OnChatFindRequested").catch(() => {});
     };
 
     const mutationObserver = new MutationObserver(onContentChanged);
@@ -372,22 +1737,120 @@ export function registerChatAutoScroll(elementId, dotNetRef) {
     resizeObserver.observe(element);
 
     element.addEventListener("scroll", onScroll, { passive: true });
+    element.addEventListener("wheel", resumeSticky, { passive: true });
+    element.addEventListener("touchmove", resumeSticky, { passive: true });
+    document.addEventListener("keydown", onFindShortcut, true);
 
     const jumpToLatest = () => {
+        state.restore = null;
+        state.pauseSticky = false;
+        state.lastSeenIndex = Math.max(state.lastSeenIndex, state.count - 1);
         setSticky(true);
         setPending(0);
+        updateWindow();
         animateToBottom(true);
     };
 
+    const saveThreadMemory = () => {
+        if (!state.threadKey) {
+            return;
+        }
+
+        const anchor = findFirstVisibleItem(getMountedItems());
+        chatThreadMemory.delete(state.threadKey);
+        chatThreadMemory.set(state.threadKey, {
+            anchorId: anchor?.dataset.chatMessageId ?? null,
+            anchorOffset: anchor ? anchor.offsetTop - element.scrollTop : 0,
+            lastSeenId: state.lastSeenId,
+            sticky: state.sticky
+        });
+
+        // Maps iterate in insertion order, so the first key is the thread left longest ago.
+        while (chatThreadMemory.size > chatThreadMemoryLimit) {
+            chatThreadMemory.delete(chatThreadMemory.keys().next().value);
+        }
+    };
+
+    // Coming back to a thread restores the remembered reading position and marks everything after
+    // the last message seen with the divider. The server tracks the last message seen for every
+    // thread, so it wins over the local memory. Threads never visited before open at the tail.
+    const switchThread = (threadKey, count, messageIds, lastSeenId) => {
+        saveThreadMemory();
+        state.threadKey = threadKey;
+        state.heights = [];
+        state.window = { start: -1, end: -1, followsTail: true };
+        state.restore = null;
+        cancelAnimation();
+
+        const memory = threadKey ? chatThreadMemory.get(threadKey) : null;
+        const ids = Array.isArray(messageIds) ? messageIds : [];
+        const rememberedSeenId = lastSeenId || memory?.lastSeenId || null;
+        const lastSeenIndex = rememberedSeenId ? ids.lastIndexOf(rememberedSeenId) : -1;
+        const anchorIndex = memory?.anchorId ? ids.indexOf(memory.anchorId) : -1;
+        if (lastSeenIndex < 0) {
+            state.lastSeenIndex = count - 1;
+            state.lastSeenId = ids[count - 1] ?? null;
+            state.sticky = true;
+            state.pending = 0;
+            setDivider(-1);
+            return;
+        }
+
+        state.lastSeenIndex = lastSeenIndex;
+        state.lastSeenId = rememberedSeenId;
+        const hasUnread = lastSeenIndex < count - 1;
+        setDivider(hasUnread ? lastSeenIndex + 1 : -1);
+        if (anchorIndex >= 0 && (hasUnread || memory?.sticky === false)) {
+            state.sticky = false;
+            state.restore = { index: anchorIndex, offset: memory.anchorOffset };
+        } else {
+            state.sticky = true;
+        }
+
+        state.pending = state.sticky ? 0 : Math.max(0, count - 1 - lastSeenIndex);
+    };
+
+    // A different first message within the same thread means the history was rewritten (for
+    // example by an edit and rerun), so measurements start over.
+    const syncMessages = (count, firstId, threadKey, messageIds, lastSeenId) => {
+        const nextCount = Math.max(0, Number(count) || 0);
+        const nextThreadKey = threadKey ?? null;
+        if (nextThreadKey !== state.threadKey) {
+            switchThread(nextThreadKey, nextCount, messageIds, lastSeenId);
+            notify();
+        } else if (firstId !== state.firstId || nextCount < state.count) {
+            state.heights = [];
+            state.window = { start: -1, end: -1, followsTail: true };
+            state.lastSeenIndex = Math.min(state.lastSeenIndex, nextCount - 1);
+        }
+
+        state.count = nextCount;
+        state.firstId = firstId ?? null;
+        state.contentChanged = true;
+        scheduleLayout();
+    };
+
     const controller = {
         element,
         mutationObserver,
         resizeObserver,
         onScroll,
         jumpToLatest,
+        syncMessages,
+        setFind,
         dispose: () => {
+            saveThreadMemory();
             cancelAnimation();
+            if (state.layoutFrame !== 0) {
+                window.cancelAnimationFrame(state.layoutFrame);
+                state.layoutFrame = 0;
+            }
+
             element.removeEventListener("scroll", onScroll);
+            element.removeEventListener("wheel", resumeSticky);
+            element.removeEventListener("touchmove", resumeSticky);
+            document.removeEventListener("keydown", onFindShortcut, true);
+            clearChatFindHighlights();
             mutationObserver.disconnect();
             resizeObserver.disconnect();
         }
@@ -400,6 +1863,51 @@ export function registerChatAutoScroll(elementId, dotNetRef) {
     return id;
 }
 
+export function setChatFind(id, find) {
+    const controller = chatAutoScrollControllers.get(id);
+    if (!controller) {
+        return;
+    }
+
+    controller.setFind(find);
+}
+
+function clearChatFindHighlights() {
+    window.CSS?.highlights?.delete(chatFindMatchHighlight);
+    window.CSS?.highlights?.delete(chatFindActiveHighlight);
+}
+
+function createChatFindRange(nodes, start, end) {
+    const locate = (offset, isEnd) => {
+        let index = nodes.length - 1;
+        while (index > 0 && (nodes[index].start > offset || (isEnd && nodes[index].start === offset))) {
+            index--;
+        }
+
+        return { node: nodes[index].node, offset: offset - nodes[index].start };
+    };
+
+    const from = locate(start, false);
+    const to = locate(end, true);
+    const range = new Range();
+    range.setStart(from.node, from.offset);
+    range.setEnd(to.node, to.offset);
+    return range;
+}
+
+function escapeChatFindPattern(value) {
+    return String(value ?? "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function syncChatWindow(id, count, firstId, threadKey, messageIds, lastSeenId) {
+    const controller = chatAutoScrollControllers.get(id);
+    if (!controller) {
+        return;
+    }
+
+    controller.syncMessages(count, firstId, threadKey, messageIds, lastSeenId);
+}
+
 export function unregisterChatAutoScroll(id) {
     const controller = chatAutoScrollControllers.get(id);
     if (!controller) {
@@ -419,7 +1927,312 @@ export function scrollChatToLatest(id) {
     controller.jumpToLatest();
 }
 
-async function readClipboardImage(file) {
+export function scrollAllChatsToLatest() {
+    for (const controller of chatAutoScrollControllers.values()) {
+        controller.jumpToLatest();
+    }
+}
+
+const threadExportFormats = {
+    markdown: { extension: "md", mimeType: "text/markdown;charset=utf-8", render: renderThreadMarkdown },
+    html: { extension: "html", mimeType: "text/html;charset=utf-8", render: renderThreadHtml },
+    json: { extension: "json", mimeType: "application/json;charset=utf-8", render: renderThreadJson }
+};
+
+const threadExportImages = new Map();
+
+// The component streams each image artifact here before asking for the export, keyed by
+// "runId/artifactName", so the export payload itself only carries image metadata.
+export async function addThreadExportImage(exportId, key, mimeType, streamReference) {
+    const buffer = await streamReference.arrayBuffer();
+    if (!threadExportImages.has(exportId)) {
+        threadExportImages.set(exportId, new Map());
+    }
+
+    threadExportImages.get(exportId).set(key, new Blob([buffer], { type: mimeType }));
+}
+
+export async function exportThread(thread, format, exportId) {
+    const images = threadExportImages.get(exportId) ?? new Map();
+    threadExportImages.delete(exportId);
+
+    const exporter = threadExportFormats[format];
+    if (!exporter) {
+        throw new Error(`Unsupported export format '${format}'.`);
+    }
+
+    for (const entry of thread.entries || []) {
+        for (const image of entry.images || []) {
+            const blob = images.get(`${entry.runId}/${image.artifactName}`);
+            if (blob) {
+                image.dataUrl = await readFileAsDataUrl(blob);
+            }
+        }
+    }
+
+    const fileName = `${thread.fileBaseName || "task"}.${exporter.extension}`;
+    downloadText(fileName, exporter.mimeType, exporter.render(thread));
+    return fileName;
+}
+
+function downloadText(fileName, mimeType, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = fileName;
+    anchor.style.display = "none";
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    // Revoking synchronously can cancel the download in some browsers.
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function renderThreadJson(thread) {
+    return JSON.stringify(thread, null, 2);
+}
+
+function buildThreadTimeline(thread) {
+    const items = (thread.entries || []).map(entry => ({ type: "entry", at: entry.timestampUtc, entry }));
+    for (const run of thread.runs || []) {
+        items.push({ type: "run", at: run.endedAtUtc || run.startedAtUtc || run.createdAtUtc, run });
+    }
+
+    return items.sort((left, right) => Date.parse(left.at) - Date.parse(right.at));
+}
+
+function formatExportRole(role) {
+    switch (role) {
+        case "user":
+            return "You";
+        case "assistant":
+            return "Assistant";
+        default:
+            return role ? role.charAt(0).toUpperCase() + role.slice(1) : "System";
+    }
+}
+
+function formatExportTimestamp(value) {
+    if (!value) {
+        return "";
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().replace("T", " ").replace(/\.\d+Z$/, " UTC");
+}
+
+function formatExportBytes(bytes) {
+    if (!bytes) {
+        return "0 B";
+    }
+
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+
+    return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function describeExportImage(image) {
+    const parts = [image.mimeType, formatExportBytes(image.sizeBytes)];
+    if (image.width && image.height) {
+        parts.push(`${image.width}×${image.height}`);
+    }
+
+    return parts.filter(Boolean).join(", ");
+}
+
+function describeExportRun(run) {
+    const parts = [run.state, run.mode];
+    if (run.attempt > 1) {
+        parts.push(`attempt ${run.attempt}`);
+    }
+
+    if (run.failureClass) {
+        parts.push(run.failureClass);
+    }
+
+    return parts.filter(Boolean).join(" · ");
+}
+
+function formatExportPayload(payload) {
+    if (!payload) {
+        return "";
+    }
+
+    try {
+        return JSON.stringify(JSON.parse(payload), null, 2);
+    } catch {
+        return payload;
+    }
+}
+
+function markdownFence(text) {
+    // The fence must be longer than any backtick run inside the block.
+    const longestRun = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    return "`".repeat(longestRun + 1);
+}
+
+function escapeMarkdownAltText(text) {
+    return String(text ?? "").replace(/[\\[\]]/g, "\\$&");
+}
+
+function renderThreadMarkdown(thread) {
+    const task = thread.task || {};
+    const lines = [`# ${task.name || "Task"}`, ""];
+    lines.push(`- Repository: ${task.repository || "unknown"}`);
+    lines.push(`- Harness: ${task.harness || "unknown"}`);
+    lines.push(`- State: ${task.state || "unknown"}`);
+    lines.push(`- Exported: ${formatExportTimestamp(thread.exportedAtUtc)}`);
+    lines.push("");
+
+    for (const item of buildThreadTimeline(thread)) {
+        if (item.type === "entry") {
+            const entry = item.entry;
+            lines.push(`## ${formatExportRole(entry.role)} · ${formatExportTimestamp(entry.timestampUtc)}`, "");
+            lines.push(entry.content || "", "");
+            for (const image of entry.images || []) {
+                const name = image.fileName || image.artifactName;
+                lines.push(image.dataUrl
+                    ? `![${escapeMarkdownAltText(name)}](${image.dataUrl} "${describeExportImage(image)}")`
+                    : `- Image: ${name} (${describeExportImage(image)}) — not included`);
+            }
+
+            if ((entry.images || []).length > 0) {
+                lines.push("");
+            }
+
+            continue;
+        }
+
+        const run = item.run;
+        lines.push(`## Run ${run.id.slice(0, 8)} · ${describeExportRun(run)}`, "");
+        lines.push(`- Started: ${formatExportTimestamp(run.startedAtUtc || run.createdAtUtc)}`);
+        if (run.endedAtUtc) {
+            lines.push(`- Ended: ${formatExportTimestamp(run.endedAtUtc)}`);
+        }
+
+        if (run.pullRequestUrl) {
+            lines.push(`- Pull request: ${run.pullRequestUrl}`);
+        }
+
+        lines.push("");
+        if (run.summary) {
+            lines.push(run.summary, "");
+        }
+
+        for (const tool of run.toolCalls || []) {
+            const payload = formatExportPayload(tool.payload);
+            lines.push(`### Tool: ${tool.toolName || "tool"} (${tool.state || "unknown"})`, "");
+            if (payload) {
+                const fence = markdownFence(payload);
+                lines.push(`${fence}json`, payload, fence, "");
+            }
+        }
+    }
+
+    return `${lines.join("\n").trimEnd()}\n`;
+}
+
+function escapeExportHtml(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Exported files are opened outside the dashboard, so only web links become anchors; anything
+// else (javascript:, data:, relative paths) is kept as text.
+function isHttpUrl(value) {
+    try {
+        const url = new URL(String(value));
+        return url.protocol === "http:" || url.protocol === "https:";
+    } catch {
+        return false;
+    }
+}
+
+const threadExportHtmlStyles = `
+body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; margin: 0 auto; max-width: 960px; padding: 24px; color: #1f2328; background: #f6f8fa; }
+header { margin-bottom: 24px; }
+h1 { margin: 0 0 8px; font-size: 1.6rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; margin: 0; font-size: 0.9rem; }
+dt { color: #57606a; }
+dd { margin: 0; }
+article { background: #fff; border: 1px solid #d0d7de; border-radius: 8px; padding: 12px 16px; margin-bottom: 12px; }
+article.user { border-left: 4px solid #0969da; }
+article.run { border-left: 4px solid #8250df; }
+article.run.failed { border-left-color: #cf222e; }
+article.run.succeeded { border-left-color: #1a7f37; }
+article h2 { margin: 0 0 8px; font-size: 0.95rem; display: flex; justify-content: space-between; gap: 12px; }
+article h2 time { color: #57606a; font-weight: normal; }
+.content { white-space: pre-wrap; word-break: break-word; }
+figure { margin: 8px 0 0; }
+figure img { max-width: 100%; border: 1px solid #d0d7de; border-radius: 4px; }
+figcaption { font-size: 0.8rem; color: #57606a; }
+details { margin-top: 8px; }
+pre { background: #f6f8fa; padding: 8px; border-radius: 4px; overflow: auto; font-size: 0.8rem; }
+`;
+
+function renderThreadHtml(thread) {
+    const task = thread.task || {};
+    const sections = [];
+
+    for (const item of buildThreadTimeline(thread)) {
+        if (item.type === "entry") {
+            const entry = item.entry;
+            const images = (entry.images || []).map(image => {
+                const caption = `${escapeExportHtml(image.fileName || image.artifactName)} (${escapeExportHtml(describeExportImage(image))})`;
+                return image.dataUrl
+                    ? `<figure><img src="${escapeExportHtml(image.dataUrl)}" alt="${escapeExportHtml(image.fileName)}"><figcaption>${caption}</figcaption></figure>`
+                    : `<figure><figcaption>${caption} — not included</figcaption></figure>`;
+            }).join("");
+            sections.push(`<article class="${escapeExportHtml(entry.role)}"><h2><span>${escapeExportHtml(formatExportRole(entry.role))}</span><time>${escapeExportHtml(formatExportTimestamp(entry.timestampUtc))}</time></h2><div class="content">${escapeExportHtml(entry.content)}</div>${images}</article>`);
+            continue;
+        }
+
+        const run = item.run;
+        const tools = (run.toolCalls || []).map(tool => {
+            const payload = formatExportPayload(tool.payload);
+            return `<details><summary>${escapeExportHtml(tool.toolName || "tool")} · ${escapeExportHtml(tool.state)} · ${escapeExportHtml(formatExportTimestamp(tool.timestampUtc))}</summary>${payload ? `<pre>${escapeExportHtml(payload)}</pre>` : ""}</details>`;
+        }).join("");
+        const pullRequest = !run.pullRequestUrl
+            ? ""
+            : isHttpUrl(run.pullRequestUrl)
+                ? `<p>Pull request: <a href="${escapeExportHtml(run.pullRequestUrl)}">${escapeExportHtml(run.pullRequestUrl)}</a></p>`
+                : `<p>Pull request: ${escapeExportHtml(run.pullRequestUrl)}</p>`;
+        sections.push(`<article class="run ${escapeExportHtml(String(run.state).toLowerCase())}"><h2><span>Run ${escapeExportHtml(run.id.slice(0, 8))} · ${escapeExportHtml(describeExportRun(run))}</span><time>${escapeExportHtml(formatExportTimestamp(run.endedAtUtc || run.startedAtUtc || run.createdAtUtc))}</time></h2><div class="content">${escapeExportHtml(run.summary)}</div>${pullRequest}${tools}</article>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeExportHtml(task.name || "Task")}</title>
+<style>${threadExportHtmlStyles}</style>
+</head>
+<body>
+<header>
+<h1>${escapeExportHtml(task.name || "Task")}</h1>
+<dl>
+<dt>Repository</dt><dd>${escapeExportHtml(task.repository)}</dd>
+<dt>Harness</dt><dd>${escapeExportHtml(task.harness)}</dd>
+<dt>State</dt><dd>${escapeExportHtml(task.state)}</dd>
+<dt>Exported</dt><dd>${escapeExportHtml(formatExportTimestamp(thread.exportedAtUtc))}</dd>
+</dl>
+</header>
+<main>
+${sections.join("\n")}
+</main>
+</body>
+</html>
+`;
+}
+
+async function readClipboardImage(file, imageOptions) {
     const dataUrl = await readFileAsDataUrl(file);
     const mimeType = normalizeImageMimeType(file.type, file.name, dataUrl);
     const dimensions = await readImageDimensions(dataUrl);
@@ -428,15 +2241,181 @@ async function readClipboardImage(file) {
         throw new Error("Clipboard image has unsupported MIME type.");
     }
 
-    return {
+    const image = {
         id: createImageId(),
         fileName: file.name || "pasted-image",
         mimeType,
         sizeBytes: file.size || 0,
+        originalSizeBytes: file.size || 0,
         dataUrl,
         width: dimensions.width,
         height: dimensions.height
     };
+
+    try {
+        return await optimizeImage(image, imageOptions || normalizeImageOptimizationOptions(null));
+    } catch {
+        return image;
+    }
+}
+
+const defaultImageOptimizationOptions = {
+    enabled: true,
+    maxDimensionPx: 2048,
+    maxBytes: 1536 * 1024,
+    qualitySteps: [0.92, 0.85, 0.75, 0.65, 0.5],
+    preferredMimeTypes: ["image/webp", "image/jpeg"]
+};
+
+function normalizeImageOptimizationOptions(options) {
+    const maxDimensionPx = Number(options?.maxDimensionPx);
+    const maxBytes = Number(options?.maxBytes);
+    const qualitySteps = Array.isArray(options?.qualitySteps)
+        ? options.qualitySteps.map(Number).filter(value => value > 0 && value <= 1)
+        : [];
+
+    return {
+        enabled: options?.enabled ?? defaultImageOptimizationOptions.enabled,
+        maxDimensionPx: Number.isFinite(maxDimensionPx) && maxDimensionPx > 0
+            ? maxDimensionPx
+            : defaultImageOptimizationOptions.maxDimensionPx,
+        maxBytes: Number.isFinite(maxBytes) && maxBytes > 0
+            ? maxBytes
+            : defaultImageOptimizationOptions.maxBytes,
+        qualitySteps: qualitySteps.length > 0
+            ? qualitySteps
+            : defaultImageOptimizationOptions.qualitySteps,
+        preferredMimeTypes: defaultImageOptimizationOptions.preferredMimeTypes
+    };
+}
+
+// Every image except GIFs (which may be animated) is redrawn through a canvas, even when it already
+// fits the budget, because only the pixels survive: EXIF (camera, location), ICC profiles and
+// other metadata chunks are dropped. PNGs that fit stay lossless PNGs.
+async function optimizeImage(image, options) {
+    if (!options.enabled || image.mimeType === "image/gif" || !image.width || !image.height) {
+        return image;
+    }
+
+    const longestEdge = Math.max(image.width, image.height);
+    const oversized = longestEdge > options.maxDimensionPx;
+    const overBudget = image.sizeBytes > options.maxBytes;
+    const source = await loadImageElement(image.dataUrl);
+
+    if (!oversized && !overBudget && image.mimeType === "image/png") {
+        const canvas = drawImageToCanvas(source, image.width, image.height, "image/png");
+        const blob = canvas ? await canvasToBlob(canvas, "image/png") : null;
+        if (blob && blob.size <= options.maxBytes) {
+            return { ...image, sizeBytes: blob.size, dataUrl: await readFileAsDataUrl(blob) };
+        }
+    }
+
+    const outputMimeType = pickCanvasOutputMimeType(options.preferredMimeTypes);
+    let scale = Math.min(1, options.maxDimensionPx / longestEdge);
+    let best = null;
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+        const canvas = drawImageToCanvas(source, width, height, outputMimeType);
+        if (!canvas) {
+            return image;
+        }
+
+        for (const quality of options.qualitySteps) {
+            const blob = await canvasToBlob(canvas, outputMimeType, quality);
+            if (!blob) {
+                continue;
+            }
+
+            if (!best || blob.size < best.blob.size) {
+                best = { blob, width, height };
+            }
+
+            if (blob.size <= options.maxBytes) {
+                break;
+            }
+        }
+
+        if (best && best.blob.size <= options.maxBytes) {
+            break;
+        }
+
+        scale *= 0.75;
+    }
+
+    if (!best) {
+        return image;
+    }
+
+    return {
+        ...image,
+        fileName: replaceFileExtension(image.fileName, mimeTypeToExtension[best.blob.type] || ".jpg"),
+        mimeType: best.blob.type || outputMimeType,
+        sizeBytes: best.blob.size,
+        dataUrl: await readFileAsDataUrl(best.blob),
+        width: best.width,
+        height: best.height
+    };
+}
+
+function drawImageToCanvas(source, width, height, outputMimeType) {
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+
+    const context = canvas.getContext("2d");
+    if (!context) {
+        return null;
+    }
+
+    if (outputMimeType === "image/jpeg") {
+        context.fillStyle = "#ffffff";
+        context.fillRect(0, 0, width, height);
+    }
+
+    context.imageSmoothingQuality = "high";
+    context.drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+let canvasWebpSupported = null;
+
+function pickCanvasOutputMimeType(preferredMimeTypes) {
+    if (canvasWebpSupported === null) {
+        const probe = document.createElement("canvas");
+        probe.width = 1;
+        probe.height = 1;
+        canvasWebpSupported = probe.toDataURL("image/webp").startsWith("data:image/webp");
+    }
+
+    return preferredMimeTypes.find(mimeType => mimeType !== "image/webp" || canvasWebpSupported) || "image/jpeg";
+}
+
+function canvasToBlob(canvas, mimeType, quality) {
+    return new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+}
+
+function loadImageElement(dataUrl) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error("Failed to decode image"));
+        image.src = dataUrl;
+    });
+}
+
+const mimeTypeToExtension = {
+    "image/webp": ".webp",
+    "image/jpeg": ".jpg",
+    "image/png": ".png"
+};
+
+function replaceFileExtension(fileName, extension) {
+    const name = fileName || "pasted-image";
+    const index = name.lastIndexOf(".");
+    const stem = index > 0 ? name.slice(0, index) : name;
+    return `${stem}${extension}`;
 }
 
 function normalizeImageMimeType(rawMimeType, fileName, dataUrl) {
@@ -484,6 +2463,38 @@ const extensionToMimeType = {
     ".webp": "image/webp"
 };
 
+const maxTextAttachmentBytes = 256 * 1024;
+const attachmentChunkLength = 16 * 1024;
+const attachmentTransferMaxAttempts = 8;
+const disconnectedInteropErrorPattern = /not in the 'Connected' State|connection (?:being |was |is )?(?:closed|disconnected|lost)|circuit (?:is )?(?:not|no longer)|no (?:active )?circuit/i;
+
+const textMimeTypes = new Set([
+    "application/json",
+    "application/xml",
+    "application/x-yaml",
+    "application/yaml",
+    "application/x-patch",
+    "application/x-diff",
+    "application/x-ndjson"
+]);
+
+const textExtensionToMimeType = {
+    ".txt": "text/plain",
+    ".log": "text/plain",
+    ".out": "text/plain",
+    ".md": "text/markdown",
+    ".diff": "text/x-diff",
+    ".patch": "text/x-diff",
+    ".json": "application/json",
+    ".jsonl": "application/x-ndjson",
+    ".ndjson": "application/x-ndjson",
+    ".yaml": "application/yaml",
+    ".yml": "application/yaml",
+    ".xml": "application/xml",
+    ".csv": "text/csv",
+    ".tsv": "text/tab-separated-values"
+};
+
 function extractFileExtension(fileName) {
     const index = (fileName || "").lastIndexOf(".");
     if (index < 0) {
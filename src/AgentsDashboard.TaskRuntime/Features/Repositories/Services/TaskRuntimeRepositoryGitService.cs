@@ -11,6 +11,9 @@ public sealed class TaskRuntimeRepositoryGitService(
     ILogger<TaskRuntimeRepositoryGitService> logger)
 {
     private static readonly Regex s_urlCredentialPattern = new(@"(?<=https?://)[^/\s@]+(?=@)", RegexOptions.Compiled | RegexOptions.IgnoreCase);
+    private const int DefaultMaxRepositoryFiles = 20000;
+    private const int DefaultPreviewLines = 20;
+    private const long MaxPreviewFileBytes = 512 * 1024;
 
     public async Task<RepositoryWorkspaceResult> EnsureRepositoryWorkspaceAsync(
         EnsureRepositoryWorkspaceRequest request,
@@ -85,6 +88,110 @@ public sealed class TaskRuntimeRepositoryGitService(
         return await EnsureRepositoryWorkspaceAsync(ensureRequest, cancellationToken);
     }
 
+    public async Task<ListRepositoryFilesResult> ListRepositoryFilesAsync(
+        ListRepositoryFilesRequest request,
+        CancellationToken cancellationToken)
+    {
+        try
+        {
+            var workspacePath = ResolveClonedWorkspacePath(request.RepositoryId, request.LocalPath, request.GitUrl);
+            var result = await RunGitAsync(
+                ["-C", workspacePath, "ls-files", "-z"],
+                null,
+                cancellationToken,
+                Directory.GetCurrentDirectory());
+            if (result.ExitCode != 0)
+            {
+                throw new InvalidOperationException($"git ls-files failed: {BuildFailureMessage(result)}");
+            }
+
+            var maxFiles = request.MaxFiles > 0 ? request.MaxFiles : DefaultMaxRepositoryFiles;
+            var paths = result.StandardOutput.Split('\0', StringSplitOptions.RemoveEmptyEntries);
+
+            return new ListRepositoryFilesResult
+            {
+                Success = true,
+                ErrorMessage = null,
+                Paths = paths.Take(maxFiles).ToList(),
+                Truncated = paths.Length > maxFiles,
+            };
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(ex, "List repository files failed");
+
+            return new ListRepositoryFilesResult
+            {
+                Success = false,
+                ErrorMessage = SanitizeForLog(ex.Message),
+                Paths = [],
+                Truncated = false,
+            };
+        }
+    }
+
+    // Previews read the index, like the file list, so every listed path can be previewed.
+    public async Task<ReadRepositoryFilePreviewResult> ReadRepositoryFilePreviewAsync(
+        ReadRepositoryFilePreviewRequest request,
+        CancellationToken cancellationToken)
+    {
+        var relativePath = (request.RelativePath ?? string.Empty).Trim().Replace('\\', '/').TrimStart('/');
+        if (relativePath.Length == 0 || relativePath.Split('/').Any(segment => segment == ".."))
+        {
+            return new ReadRepositoryFilePreviewResult { Found = false, Reason = "invalid_path", RelativePath = relativePath };
+        }
+
+        try
+        {
+            var workspacePath = ResolveClonedWorkspacePath(request.RepositoryId, request.LocalPath, request.GitUrl);
+            var sizeResult = await RunGitAsync(
+                ["-C", workspacePath, "cat-file", "-s", $":{relativePath}"],
+                null,
+                cancellationToken,
+                Directory.GetCurrentDirectory());
+            if (sizeResult.ExitCode != 0)
+            {
+                return new ReadRepositoryFilePreviewResult { Found = false, Reason = "not_found", RelativePath = relativePath };
+            }
+
+            if (long.TryParse(sizeResult.StandardOutput.Trim(), out var size) && size > MaxPreviewFileBytes)
+            {
+                return new ReadRepositoryFilePreviewResult { Found = true, Truncated = true, Reason = "too_large", RelativePath = relativePath };
+            }
+
+            var showResult = await RunGitAsync(
+                ["-C", workspacePath, "show", $":{relativePath}"],
+                null,
+                cancellationToken,
+                Directory.GetCurrentDirectory());
+            if (showResult.ExitCode != 0)
+            {
+                return new ReadRepositoryFilePreviewResult { Found = false, Reason = "not_found", RelativePath = relativePath };
+            }
+
+            if (showResult.StandardOutput.Contains('\0'))
+            {
+                return new ReadRepositoryFilePreviewResult { Found = true, IsBinary = true, Reason = "binary", RelativePath = relativePath };
+            }
+
+            var maxLines = request.MaxLines > 0 ? request.MaxLines : DefaultPreviewLines;
+            var lines = showResult.StandardOutput.Split('\n');
+
+            return new ReadRepositoryFilePreviewResult
+            {
+                Found = true,
+                Truncated = lines.Length > maxLines,
+                Content = string.Join('\n', lines.Take(maxLines).Select(line => line.TrimEnd('\r'))),
+                RelativePath = relativePath,
+            };
+        }
+        catch (Exception ex)
+        {
+            logger.LogWarning(ex, "Read repository file preview failed");
+            return new ReadRepositoryFilePreviewResult { Found = false, Reason = SanitizeForLog(ex.Message), RelativePath = relativePath };
+        }
+    }
+
     private async Task<string> EnsureWorkspaceInternalAsync(
         string gitUrl,
         string workspacePath,
@@ -556,6 +663,22 @@ public sealed class TaskRuntimeRepositoryGitService(
         return string.IsNullOrWhiteSpace(output) ? null : output;
     }
 
+    private string ResolveClonedWorkspacePath(string repositoryId, string? localPath, string gitUrl)
+    {
+        if (!TryNormalizeCloneUrl(gitUrl, out var normalizedGitUrl, out var normalizeError))
+        {
+            throw new InvalidOperationException(normalizeError);
+        }
+
+        var workspacePath = BuildRepositoryWorkspacePath(repositoryId, localPath, normalizedGitUrl);
+        if (!Directory.Exists(Path.Combine(workspacePath, ".git")))
+        {
+            throw new InvalidOperationException("Repository workspace has not been cloned yet.");
+        }
+
+        return workspacePath;
+    }
+
     private static string BuildFailureMessage((int ExitCode, string StandardOutput, string StandardError) result)
     {
         var details = string.IsNullOrWhiteSpace(result.StandardError)
@@ -133,6 +133,16 @@ public sealed class TaskRuntimeService(
         return await repositoryGitService.RefreshRepositoryWorkspaceAsync(request, CancellationToken.None);
     }
 
+    public async UnaryResult<ListRepositoryFilesResult> ListRepositoryFilesAsync(ListRepositoryFilesRequest request)
+    {
+        return await repositoryGitService.ListRepositoryFilesAsync(request, CancellationToken.None);
+    }
+
+    public async UnaryResult<ReadRepositoryFilePreviewResult> ReadRepositoryFilePreviewAsync(ReadRepositoryFilePreviewRequest request)
+    {
+        return await repositoryGitService.ReadRepositoryFilePreviewAsync(request, CancellationToken.None);
+    }
+
     public async UnaryResult<StartRuntimeCommandResult> StartCommandAsync(StartRuntimeCommandRequest request)
     {
         return await commandService.StartCommandAsync(request, CancellationToken.None);
@@ -0,0 +1,99 @@
+const { expect } = require('@playwright/test');
+
+async function openDashboardShell(page) {
+  await page.goto('/settings');
+  await expect
+    .poll(() => page.evaluate(() => Boolean(window.agentsDashboard?.playRunCompletedSound && window.agentsDashboardSkillAutocomplete)))
+    .toBe(true);
+}
+
+function createScopedId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
+}
+
+// Registers the workspace composer key bridge on a bare textarea. The .NET side is replaced by a
+// recorder that accepts every submit, so tests can assert on the calls it receives.
+async function mountComposerKeyBridge(page, elementId) {
+  return page.evaluate(async (elementId) => {
+    const workspace = await import('/workspace.js');
+    const host = document.createElement('div');
+    const textarea = document.createElement('textarea');
+    textarea.id = elementId;
+    host.appendChild(textarea);
+    document.body.appendChild(host);
+
+    window.__pwComposerCalls = [];
+    const dotNetRef = {
+      invokeMethodAsync: async (method, ...args) => {
+        window.__pwComposerCalls.push({ method, args });
+        return method === 'TrySubmitComposerFromJs';
+      }
+    };
+
+    return workspace.registerComposerKeyBridge(elementId, dotNetRef);
+  }, elementId);
+}
+
+// Replaces Web Audio with a recorder so tests can see which tones a tab scheduled. Each entry keeps
+// the oscillator frequency, its start time on the fake context clock, which stays at zero, and the
+// peak gain of the envelope it plays through.
+async function installFakeAudio(context) {
+  await context.addInitScript(() => {
+    window.__pwTones = [];
+    class FakeAudioContext {
+      constructor() {
+        this.state = 'running';
+        this.currentTime = 0;
+        this.destination = {};
+      }
+
+      resume() {
+        return Promise.resolve();
+      }
+
+      createOscillator() {
+        const oscillator = {
+          type: 'sine',
+          frequency: { value: 0, setValueAtTime: (value) => { oscillator.frequency.value = value; } },
+          connect: (node) => { oscillator.output = node; },
+          stop() {},
+          start: (at) => window.__pwTones.push({ frequency: oscillator.frequency.value, at, gain: oscillator.output?.peak ?? null })
+        };
+        return oscillator;
+      }
+
+      createGain() {
+        const node = {
+          peak: null,
+          gain: { setValueAtTime() {}, exponentialRampToValueAtTime: (value) => { node.peak ??= value; } },
+          connect() {}
+        };
+        return node;
+      }
+    }
+
+    window.AudioContext = FakeAudioContext;
+    window.webkitAudioContext = FakeAudioContext;
+  });
+}
+
+// Synth profiles only, so every sound goes through the recorded oscillators.
+async function enableRunSounds(page, overrides = {}) {
+  await page.evaluate((overrides) => window.agentsDashboard.setRunCompletionAudioSettings({
+    enabled: true,
+    selectedProfile: 'modern',
+    rules: [],
+    quietHoursEnabled: false,
+    muteWhileFocused: false,
+    batchWindowMs: 0,
+    ...overrides
+  }), overrides);
+}
+
+module.exports = {
+  openDashboardShell,
+  createScopedId,
+  mountComposerKeyBridge,
+  installFakeAudio,
+  enableRunSounds
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell, createScopedId } = require('../helpers/dashboard-script-helpers');
+
+// Stands in for a DotNetStreamReference: the module only ever calls stream() on it.
+const streamRefSource = `
+  window.__pwStreamRef = (text) => ({ stream: async () => new Blob([text]).stream() });
+`;
+
+function readZipEntries(buffer) {
+  const entries = [];
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const flags = buffer.readUInt16LE(offset + 6);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const dataStart = offset + 30 + nameLength;
+    const descriptorOffset = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x07, 0x08]), dataStart);
+    entries.push({
+      name,
+      flags,
+      data: buffer.toString('utf8', dataStart, descriptorOffset),
+      crc: buffer.readUInt32LE(descriptorOffset + 4),
+      compressedSize: buffer.readUInt32LE(descriptorOffset + 8),
+      size: buffer.readUInt32LE(descriptorOffset + 12)
+    });
+    offset = descriptorOffset + 16;
+  }
+
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  return {
+    entries,
+    centralCount: buffer.readUInt16LE(end + 10),
+    centralOffset: buffer.readUInt32LE(end + 16),
+    firstCentralCrc: buffer.readUInt32LE(buffer.readUInt32LE(end + 16) + 16)
+  };
+}
+
+test('zip downloads stream entries with data descriptors and correct checksums', async ({ page }) => {
+  await openDashboardShell(page);
+  await page.evaluate(streamRefSource);
+  const downloadId = createScopedId('pw-zip');
+
+  const downloadPromise = page.waitForEvent('download');
+  const result = await page.evaluate(async (downloadId) => {
+    const module = await import('/file-download.js');
+    module.beginZipDownload(downloadId, null, -1);
+    const first = await module.addZipEntry(downloadId, 'logs/run.txt', window.__pwStreamRef('hello'));
+    const second = await module.addZipEntry(downloadId, 'logs/run.txt', window.__pwStreamRef('The quick brown fox jumps over the lazy dog'));
+    return { first, second, finished: module.finishZipDownload(downloadId, 'artifacts.zip') };
+  }, downloadId);
+
+  expect(result).toEqual({ first: true, second: true, finished: 'completed' });
+  const download = await downloadPromise;
+  expect(download.suggestedFilename()).toBe('artifacts.zip');
+
+  const zip = readZipEntries(fs.readFileSync(await download.path()));
+  expect(zip.entries.map((entry) => entry.name)).toEqual(['logs/run.txt', 'logs/run (2).txt']);
+  expect(zip.entries.every((entry) => (entry.flags & 0x0008) !== 0)).toBe(true);
+  expect(zip.entries[0]).toMatchObject({ data: 'hello', crc: 0x3610a686, size: 5, compressedSize: 5 });
+  expect(zip.entries[1]).toMatchObject({ crc: 0x414fa339, size: 43 });
+  expect(zip.centralCount).toBe(2);
+  expect(zip.firstCentralCrc).toBe(0x3610a686);
+});
+
+test('cancelled zip downloads stop accepting entries and never save', async ({ page }) => {
+  await openDashboardShell(page);
+  await page.evaluate(streamRefSource);
+  const downloadId = createScopedId('pw-zip-cancel');
+
+  const result = await page.evaluate(async (downloadId) => {
+    const module = await import('/file-download.js');
+    module.beginZipDownload(downloadId, null, -1);
+    const before = await module.addZipEntry(downloadId, 'a.txt', window.__pwStreamRef('a'));
+    module.cancelDownload(downloadId);
+    const after = await module.addZipEntry(downloadId, 'b.txt', window.__pwStreamRef('b'));
+    return { before, after, finished: module.finishZipDownload(downloadId, 'artifacts.zip') };
+  }, downloadId);
+
+  expect(result).toEqual({ before: true, after: false, finished: 'cancelled' });
+});
+
+test('a failed stream aborts the file chosen in the save dialog', async ({ page }) => {
+  await openDashboardShell(page);
+  const downloadId = createScopedId('pw-stream-failure');
+
+  const result = await page.evaluate(async (downloadId) => {
+    const module = await import('/file-download.js');
+    const calls = [];
+    window.showSaveFilePicker = async () => ({
+      createWritable: async () => ({
+        write: async () => calls.push('write'),
+        close: async () => calls.push('close'),
+        abort: async () => calls.push('abort')
+      })
+    });
+
+    const failingRef = {
+      stream: async () => new ReadableStream({
+        start(controller) {
+          controller.enqueue(new Uint8Array([1, 2, 3]));
+        },
+        pull(controller) {
+          controller.error(new Error('circuit lost'));
+        }
+      })
+    };
+
+    try {
+      await module.downloadStream(downloadId, 'artifact.bin', 'application/octet-stream', failingRef, 6, null, { saveAs: true });
+      return { error: null, calls };
+    } catch (error) {
+      return { error: error.message, calls };
+    }
+  }, downloadId);
+
+  expect(result.error).toBe('circuit lost');
+  expect(result.calls).toEqual(['write', 'abort']);
+});
@@ -0,0 +1,92 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell } = require('../helpers/dashboard-script-helpers');
+
+// Records the labels drawn on the favicon canvas and lets a test decide whether the tab has focus.
+async function instrumentBadge(page, { focused }) {
+  await page.evaluate((focused) => {
+    window.__pwBadgeLabels = [];
+    const fillText = CanvasRenderingContext2D.prototype.fillText;
+    CanvasRenderingContext2D.prototype.fillText = function (text, ...rest) {
+      window.__pwBadgeLabels.push(String(text));
+      return fillText.call(this, text, ...rest);
+    };
+    window.__pwHasFocus = focused;
+    document.hasFocus = () => window.__pwHasFocus;
+  }, focused);
+}
+
+async function readBadge(page) {
+  return page.evaluate(() => ({
+    title: document.title,
+    icon: document.querySelector("link[rel~='icon']")?.getAttribute('href') ?? '',
+    labels: window.__pwBadgeLabels
+  }));
+}
+
+test('the running count is shown in the title and favicon, capped at 9+ on the icon', async ({ page }) => {
+  await openDashboardShell(page);
+  await instrumentBadge(page, { focused: true });
+  const originalIcon = (await readBadge(page)).icon;
+  const baseTitle = await page.title();
+
+  await page.evaluate(() => window.agentsDashboard.setActivityBadgeRunningCount(3));
+  let badge = await readBadge(page);
+  expect(badge.title).toBe(`(3) ${baseTitle}`);
+  expect(badge.icon).toMatch(/^data:image\/png/);
+  expect(badge.labels).toContain('3');
+
+  await page.evaluate(() => window.agentsDashboard.setActivityBadgeRunningCount(12));
+  badge = await readBadge(page);
+  expect(badge.title).toBe(`(12) ${baseTitle}`);
+  expect(badge.labels[badge.labels.length - 1]).toBe('9+');
+
+  await page.evaluate(() => window.agentsDashboard.setActivityBadgeRunningCount(0));
+  badge = await readBadge(page);
+  expect(badge.title).toBe(baseTitle);
+  expect(badge.icon).toBe(originalIcon);
+});
+
+test('failures and questions are ignored while the tab has focus', async ({ page }) => {
+  await openDashboardShell(page);
+  await instrumentBadge(page, { focused: true });
+  const baseTitle = await page.title();
+
+  await page.evaluate(() => {
+    window.agentsDashboard.markActivityBadge('failed');
+    window.agentsDashboard.markActivityBadge('question');
+  });
+
+  expect((await readBadge(page)).title).toBe(baseTitle);
+});
+
+test('failures and questions marked in the background clear when the tab gets focus', async ({ page }) => {
+  await openDashboardShell(page);
+  await instrumentBadge(page, { focused: false });
+  const baseTitle = await page.title();
+
+  await page.evaluate(() => {
+    window.agentsDashboard.setActivityBadgeRunningCount(1);
+    window.agentsDashboard.markActivityBadge('failed');
+    window.agentsDashboard.markActivityBadge('question');
+  });
+  expect((await readBadge(page)).title).toBe(`(1) ? ! ${baseTitle}`);
+
+  await page.evaluate(() => {
+    window.__pwHasFocus = true;
+    window.dispatchEvent(new Event('focus'));
+  });
+  expect((await readBadge(page)).title).toBe(`(1) ${baseTitle}`);
+});
+
+test('titles set by the page become the new base title', async ({ page }) => {
+  await openDashboardShell(page);
+  await instrumentBadge(page, { focused: true });
+
+  await page.evaluate(() => window.agentsDashboard.setActivityBadgeRunningCount(2));
+  await page.evaluate(() => { document.title = 'Runs - Agents Dashboard'; });
+
+  await expect.poll(() => page.title()).toBe('(2) Runs - Agents Dashboard');
+
+  await page.evaluate(() => window.agentsDashboard.setActivityBadgeRunningCount(0));
+  expect(await page.title()).toBe('Runs - Agents Dashboard');
+});
@@ -0,0 +1,18 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell } = require('../helpers/dashboard-script-helpers');
+
+test('desktop notification settings saved in another tab apply without a reload', async ({ context }) => {
+  const first = await context.newPage();
+  const second = await context.newPage();
+  await openDashboardShell(first);
+  await openDashboardShell(second);
+
+  await first.evaluate(() => window.agentsDashboard.setDesktopNotificationSettings({ enabled: false, notifyFailed: true }));
+  expect(await second.evaluate(() => window.agentsDashboard.getDesktopNotificationSettings().enabled)).toBe(false);
+
+  await first.evaluate(() => window.agentsDashboard.setDesktopNotificationSettings({ enabled: true, notifyFailed: false }));
+
+  await expect
+    .poll(() => second.evaluate(() => window.agentsDashboard.getDesktopNotificationSettings()))
+    .toMatchObject({ enabled: true, notifyFailed: false });
+});
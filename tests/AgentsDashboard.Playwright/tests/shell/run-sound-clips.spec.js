@@ -0,0 +1,62 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell } = require('../helpers/dashboard-script-helpers');
+
+// A tenth of a second of 8 kHz mono silence.
+function createSilentWav() {
+  const sampleCount = 800;
+  const buffer = Buffer.alloc(44 + sampleCount * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + sampleCount * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(8000, 24);
+  buffer.writeUInt32LE(16000, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(sampleCount * 2, 40);
+  return buffer;
+}
+
+async function mountClipInput(page, inputId) {
+  await page.evaluate((inputId) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.id = inputId;
+    document.body.appendChild(input);
+  }, inputId);
+  return page.locator(`#${inputId}`);
+}
+
+test('a clip chosen in the file input is stored without leaving the browser', async ({ page }) => {
+  await openDashboardShell(page);
+  const profileId = await page.evaluate(() => window.agentsDashboard.createRunCompletionAudioProfile('Clip test'));
+  const input = await mountClipInput(page, 'pw-clip-input');
+  await input.setInputFiles({ name: 'done.wav', mimeType: 'audio/wav', buffer: createSilentWav() });
+
+  const result = await page.evaluate((profileId) => window.agentsDashboard.setRunCompletionAudioClipFromInput(profileId, 'succeeded', 'pw-clip-input'), profileId);
+  expect(result).toEqual({ succeeded: true, error: null, fileName: 'done.wav' });
+  expect(await input.inputValue()).toBe('');
+
+  const info = await page.evaluate(() => window.agentsDashboard.getRunCompletionAudioInfo());
+  const profile = info.profiles.find((candidate) => candidate.id === profileId);
+  expect(profile.clips).toEqual([
+    expect.objectContaining({ state: 'succeeded', fileName: 'done.wav', contentType: 'audio/wav', sizeBytes: 1644 })
+  ]);
+
+  await page.evaluate((profileId) => window.agentsDashboard.deleteRunCompletionAudioProfile(profileId), profileId);
+});
+
+test('clips that are not audio are rejected before they are read', async ({ page }) => {
+  await openDashboardShell(page);
+  const profileId = await page.evaluate(() => window.agentsDashboard.createRunCompletionAudioProfile('Clip test'));
+  const input = await mountClipInput(page, 'pw-clip-input');
+  await input.setInputFiles({ name: 'notes.txt', mimeType: 'text/plain', buffer: Buffer.from('not audio') });
+
+  const result = await page.evaluate((profileId) => window.agentsDashboard.setRunCompletionAudioClipFromInput(profileId, 'failed', 'pw-clip-input'), profileId);
+  expect(result).toEqual({ succeeded: false, error: "Unsupported audio type 'text/plain'.", fileName: 'notes.txt' });
+
+  await page.evaluate((profileId) => window.agentsDashboard.deleteRunCompletionAudioProfile(profileId), profileId);
+});
@@ -0,0 +1,189 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell, createScopedId, installFakeAudio, enableRunSounds } = require('../helpers/dashboard-script-helpers');
+
+const modernSucceededTones = 4;
+const modernFailedTones = 3;
+// The last modern failed tone starts at 0.16 s, lasts 0.12 s and decays for 0.13 s.
+const modernFailedEnd = 0.41;
+const batchCountFrequency = 1318.51;
+
+test.use({ timezoneId: 'UTC' });
+
+async function playInTab(page, runId, state = 'succeeded') {
+  await page.evaluate(({ runId, state }) => window.agentsDashboard.playRunCompletedSound(state, { runId }), { runId, state });
+}
+
+async function toneCounts(pages) {
+  return Promise.all(pages.map((page) => page.evaluate(() => window.__pwTones.length)));
+}
+
+test.beforeEach(async ({ context }) => {
+  await installFakeAudio(context);
+});
+
+// Chrome runs timers in a hidden tab about once a minute, so a hidden page here skips its intervals entirely.
+async function throttleWhenHidden(page) {
+  await page.addInitScript(() => {
+    let hidden = false;
+    const setIntervalNative = window.setInterval.bind(window);
+    window.setInterval = (callback, ms) => setIntervalNative(() => { if (!hidden) callback(); }, ms);
+    Object.defineProperty(document, 'visibilityState', { get: () => (hidden ? 'hidden' : 'visible') });
+    document.hasFocus = () => !hidden;
+    window.__pwHide = () => {
+      hidden = true;
+      document.dispatchEvent(new Event('visibilitychange'));
+    };
+  });
+}
+
+async function disableWebLocks(context) {
+  await context.addInitScript(() => {
+    Object.defineProperty(Navigator.prototype, 'locks', { get: () => undefined });
+  });
+}
+
+async function openThrottledTabs(context) {
+  const first = await context.newPage();
+  const second = await context.newPage();
+  await throttleWhenHidden(first);
+  await throttleWhenHidden(second);
+  await openDashboardShell(first);
+  await openDashboardShell(second);
+  await enableRunSounds(first);
+  await second.waitForTimeout(300);
+  return [first, second];
+}
+
+test('a completion seen by every tab is played by exactly one of them', async ({ context }) => {
+  const first = await context.newPage();
+  const second = await context.newPage();
+  await openDashboardShell(first);
+  await openDashboardShell(second);
+  await enableRunSounds(first);
+  await second.waitForTimeout(300);
+
+  const runId = createScopedId('pw-run');
+  await Promise.all([playInTab(first, runId), playInTab(second, runId)]);
+
+  await expect.poll(async () => (await toneCounts([first, second])).reduce((total, count) => total + count, 0), { timeout: 5000 })
+    .toBe(modernSucceededTones);
+  await first.waitForTimeout(2000);
+
+  const counts = await toneCounts([first, second]);
+  expect(counts.reduce((total, count) => total + count, 0)).toBe(modernSucceededTones);
+  expect(counts).toContain(0);
+});
+
+test('a completion only the oldest tab saw is played once, even when reported twice', async ({ context }) => {
+  const first = await context.newPage();
+  const second = await context.newPage();
+  await openDashboardShell(first);
+  await openDashboardShell(second);
+  await enableRunSounds(first);
+  await second.waitForTimeout(300);
+
+  // The first tab is the oldest, so it collects the event and either plays it or hands it to the preferred tab.
+  const runId = createScopedId('pw-run');
+  await playInTab(first, runId);
+  await playInTab(first, runId);
+
+  await expect.poll(async () => (await toneCounts([first, second])).reduce((total, count) => total + count, 0), { timeout: 5000 })
+    .toBe(modernSucceededTones);
+  await first.waitForTimeout(2000);
+
+  const counts = await toneCounts([first, second]);
+  expect(counts.reduce((total, count) => total + count, 0)).toBe(modernSucceededTones);
+  expect(counts).toContain(0);
+});
+
+test('a burst seen by every tab collapses into one sound and a tick per event after it', async ({ context }) => {
+  const first = await context.newPage();
+  const second = await context.newPage();
+  await openDashboardShell(first);
+  await openDashboardShell(second);
+  await enableRunSounds(first, { batchWindowMs: 500 });
+  await second.waitForTimeout(300);
+
+  const burst = [['succeeded', createScopedId('pw-run')], ['failed', createScopedId('pw-run')], ['succeeded', createScopedId('pw-run')]];
+  await Promise.all([first, second].flatMap((page) => burst.map(([state, runId]) => playInTab(page, runId, state))));
+
+  await expect.poll(async () => (await toneCounts([first, second])).reduce((total, count) => total + count, 0), { timeout: 5000 })
+    .toBe(modernFailedTones + burst.length);
+  await first.waitForTimeout(2000);
+
+  const tones = (await Promise.all([first, second].map((page) => page.evaluate(() => window.__pwTones)))).flat();
+  expect(tones).toHaveLength(modernFailedTones + burst.length);
+
+  const ticks = tones.filter((tone) => tone.frequency === batchCountFrequency);
+  const lead = tones.filter((tone) => tone.frequency !== batchCountFrequency);
+  expect(lead.map((tone) => tone.frequency)).toEqual([196.0, 155.56, 130.81]);
+  expect(ticks).toHaveLength(burst.length);
+  expect(Math.min(...ticks.map((tone) => tone.at))).toBeGreaterThan(modernFailedEnd);
+});
+
+for (const webLocks of [true, false]) {
+  test(`a hidden oldest tab leaves the sound to the visible tab ${webLocks ? 'with' : 'without'} Web Locks`, async ({ context }) => {
+    if (!webLocks) {
+      await disableWebLocks(context);
+    }
+
+    const [first, second] = await openThrottledTabs(context);
+    await first.evaluate(() => window.__pwHide());
+    // Long enough for the hidden tab's last heartbeat to expire if nothing refreshed it.
+    await second.waitForTimeout(6000);
+
+    const runId = createScopedId('pw-run');
+    await Promise.all([playInTab(first, runId), playInTab(second, runId)]);
+
+    await expect.poll(() => second.evaluate(() => window.__pwTones.length), { timeout: 5000 }).toBe(modernSucceededTones);
+    await first.waitForTimeout(2000);
+    expect(await toneCounts([first, second])).toEqual([0, modernSucceededTones]);
+  });
+}
+
+test('hidden tabs without Web Locks still agree on one tab to play', async ({ context }) => {
+  await disableWebLocks(context);
+  const [first, second] = await openThrottledTabs(context);
+  await first.evaluate(() => window.__pwHide());
+  await second.evaluate(() => window.__pwHide());
+  await second.waitForTimeout(6000);
+
+  const runId = createScopedId('pw-run');
+  await Promise.all([playInTab(first, runId), playInTab(second, runId)]);
+
+  await expect.poll(async () => (await toneCounts([first, second])).reduce((total, count) => total + count, 0), { timeout: 5000 })
+    .toBe(modernSucceededTones);
+  await first.waitForTimeout(2000);
+  expect(await toneCounts([first, second])).toEqual([modernSucceededTones, 0]);
+});
+
+for (const [time, muted] of [['23:30', true], ['06:59', true], ['07:00', false], ['21:59', false]]) {
+  test(`quiet hours from 22:00 to 07:00 ${muted ? 'mute' : 'allow'} a completion at ${time}`, async ({ page }) => {
+    await page.clock.setFixedTime(new Date(`2026-03-04T${time}:00Z`));
+    await openDashboardShell(page);
+    await enableRunSounds(page, { quietHoursEnabled: true, quietHoursStart: '22:00', quietHoursEnd: '07:00' });
+
+    await playInTab(page, createScopedId('pw-run'));
+
+    if (muted) {
+      await page.waitForTimeout(1000);
+      expect(await page.evaluate(() => window.__pwTones.length)).toBe(0);
+    } else {
+      await expect.poll(() => page.evaluate(() => window.__pwTones.length), { timeout: 5000 }).toBe(modernSucceededTones);
+    }
+  });
+}
+
+test('settings saved in one tab are used by the others', async ({ context }) => {
+  const first = await context.newPage();
+  const second = await context.newPage();
+  await openDashboardShell(first);
+  await openDashboardShell(second);
+
+  await enableRunSounds(first, { enabled: false });
+  await expect.poll(() => second.evaluate(() => window.agentsDashboard.getRunCompletionAudioSettings().enabled)).toBe(false);
+
+  await Promise.all([playInTab(first, createScopedId('pw-run')), playInTab(second, createScopedId('pw-run'))]);
+  await first.waitForTimeout(2000);
+  expect(await toneCounts([first, second])).toEqual([0, 0]);
+});
@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell } = require('../helpers/dashboard-script-helpers');
+
+const profileFormat = 'agents-dashboard-sound-profile';
+
+function profileJson(overrides) {
+  return JSON.stringify({
+    format: profileFormat,
+    version: 1,
+    label: 'Imported',
+    tones: { succeeded: [{ frequency: 880, duration: 0.1, delay: 0, gain: 0.1, attack: 0.005, decay: 0.1, type: 'sine' }] },
+    ...overrides
+  });
+}
+
+async function importProfile(page, json) {
+  return page.evaluate((json) => window.agentsDashboard.importRunCompletionSoundProfile(json), json);
+}
+
+async function deleteProfile(page, profileId) {
+  await page.evaluate((profileId) => window.agentsDashboard.deleteRunCompletionAudioProfile(profileId), profileId);
+}
+
+test('imports reject files that are not exported sound profiles', async ({ page }) => {
+  await openDashboardShell(page);
+
+  const missingFormat = JSON.parse(profileJson({}));
+  delete missingFormat.format;
+
+  expect(await importProfile(page, JSON.stringify(missingFormat))).toEqual({
+    succeeded: false, id: null, error: 'The file is not an exported sound profile.'
+  });
+  expect(await importProfile(page, profileJson({ format: 'other-app-sounds' }))).toEqual({
+    succeeded: false, id: null, error: "Unknown profile format 'other-app-sounds'."
+  });
+  expect(await importProfile(page, profileJson({ version: 2 }))).toEqual({
+    succeeded: false, id: null, error: "Unsupported profile version '2'."
+  });
+});
+
+test('imports reject profiles that point at audio files', async ({ page }) => {
+  await openDashboardShell(page);
+
+  const result = await importProfile(page, profileJson({ tones: { failed: [{ url: 'https://example.com/fail.mp3' }] } }));
+
+  expect(result).toEqual({ succeeded: false, id: null, error: 'Profiles with audio file URLs cannot be imported.' });
+});
+
+test('imports keep the first tones of an oversized event and report every adjustment', async ({ page }) => {
+  await openDashboardShell(page);
+  const maxTones = await page.evaluate(async () => (await window.agentsDashboard.getRunCompletionAudioInfo()).synth.maxTonesPerEvent);
+  const tones = Array.from({ length: maxTones + 4 }, (_, index) => ({
+    frequency: 440 + index, duration: 0.05, delay: index * 0.05, gain: 0.1, attack: 0.005, decay: 0.05, type: 'sine'
+  }));
+  tones[0].frequency = 30000;
+  tones[1].type = 'noise';
+
+  const result = await importProfile(page, profileJson({ tones: { succeeded: tones } }));
+
+  expect(result.succeeded).toBe(true);
+  expect(result.adjustments).toEqual([
+    `succeeded: kept the first ${maxTones} of ${maxTones + 4} tones.`,
+    'succeeded tone 1: frequency 30000 clamped to 20000.',
+    "succeeded tone 2: wave 'noise' replaced with sine."
+  ]);
+
+  const profile = await page.evaluate((profileId) => window.agentsDashboard.getRunCompletionSynthProfile(profileId), result.id);
+  expect(profile.tones.succeeded).toHaveLength(maxTones);
+  expect(profile.tones.succeeded[0].frequency).toBe(20000);
+
+  await deleteProfile(page, result.id);
+});
+
+test('the sound engine reports the synth limits the editor enforces', async ({ page }) => {
+  await openDashboardShell(page);
+
+  const info = await page.evaluate(() => window.agentsDashboard.getRunCompletionAudioInfo());
+
+  expect(info.synth).toEqual({ maxTonesPerEvent: 16, waveTypes: ['sine', 'triangle', 'square', 'sawtooth'] });
+});
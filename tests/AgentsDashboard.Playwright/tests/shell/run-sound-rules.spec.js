@@ -0,0 +1,98 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell, createScopedId, installFakeAudio, enableRunSounds } = require('../helpers/dashboard-script-helpers');
+
+// First tone of each built-in profile's success sound, so a played tone names the profile it came from.
+const succeededFrequency = { modern: 587.33, ambient: 698.46, clean: 659.25 };
+const modernSucceededFirstGain = 0.16;
+const cleanFailedFrequency = 233.08;
+
+// Plays one event in a tab that has no peers, so it is the leader and plays without waiting, and
+// returns the tones it scheduled.
+async function playAndRecord(page, state, context) {
+  await page.evaluate(() => { window.__pwTones = []; });
+  await page.evaluate(({ state, context }) => window.agentsDashboard.playRunCompletedSound(state, context), {
+    state,
+    context: { runId: createRunId(), ...context }
+  });
+  await expect.poll(() => page.evaluate(() => window.__pwTones.length), { timeout: 5000 }).toBeGreaterThan(0);
+  await page.waitForTimeout(200);
+  return page.evaluate(() => window.__pwTones);
+}
+
+function createRunId() {
+  return createScopedId('pw-run');
+}
+
+test.beforeEach(async ({ context }) => {
+  await installFakeAudio(context);
+});
+
+test('the first matching rule decides the profile', async ({ page }) => {
+  await openDashboardShell(page);
+  await enableRunSounds(page, {
+    rules: [
+      { repository: 'dashboard', eventType: 'succeeded', profile: 'ambient' },
+      { repository: 'dashboard', profile: 'clean' },
+      { profile: 'clean' }
+    ]
+  });
+
+  const dashboard = await playAndRecord(page, 'succeeded', { repository: 'Dashboard', repositoryId: 'repo-1' });
+  const dashboardFailed = await playAndRecord(page, 'failed', { repository: 'Dashboard', repositoryId: 'repo-1' });
+  const other = await playAndRecord(page, 'succeeded', { repository: 'other', repositoryId: 'repo-2' });
+
+  expect(dashboard[0].frequency).toBe(succeededFrequency.ambient);
+  expect(dashboardFailed[0].frequency).toBe(cleanFailedFrequency);
+  expect(other[0].frequency).toBe(succeededFrequency.clean);
+});
+
+test('rules match a repository by name or id and a harness in any case', async ({ page }) => {
+  await openDashboardShell(page);
+  await enableRunSounds(page, {
+    rules: [
+      { repository: 'repo-42', profile: 'ambient' },
+      { harness: 'Codex', profile: 'clean' }
+    ]
+  });
+
+  expect(await page.evaluate(() => window.agentsDashboard.getRunCompletionAudioSettings().rules[1].harness)).toBe('codex');
+
+  const byId = await playAndRecord(page, 'succeeded', { repository: 'Dashboard', repositoryId: 'repo-42' });
+  const byHarness = await playAndRecord(page, 'succeeded', { repository: 'Dashboard', repositoryId: 'repo-1', harness: 'CODEX' });
+  const unmatched = await playAndRecord(page, 'succeeded', { repository: 'Dashboard', repositoryId: 'repo-1', harness: 'claude' });
+
+  expect(byId[0].frequency).toBe(succeededFrequency.ambient);
+  expect(byHarness[0].frequency).toBe(succeededFrequency.clean);
+  expect(unmatched[0].frequency).toBe(succeededFrequency.modern);
+});
+
+test('a rule volume replaces the global volume', async ({ page }) => {
+  await openDashboardShell(page);
+  await enableRunSounds(page, {
+    volume: 0.65,
+    rules: [{ repository: 'quiet-repo', volume: 0.5 }]
+  });
+
+  const quiet = await playAndRecord(page, 'succeeded', { repository: 'quiet-repo' });
+  const normal = await playAndRecord(page, 'succeeded', { repository: 'other' });
+
+  expect(quiet[0].frequency).toBe(succeededFrequency.modern);
+  expect(quiet[0].gain).toBeCloseTo(modernSucceededFirstGain * 0.5, 5);
+  expect(normal[0].gain).toBeCloseTo(modernSucceededFirstGain * 0.65, 5);
+});
+
+for (const [eventType, frequencies] of [
+  ['pendingApproval', [523.25, 659.25]],
+  ['question', [880.0, 698.46, 880.0]],
+  ['heartbeatLost', [146.83, 146.83]],
+  ['retryStarted', [392.0, 392.0]]
+]) {
+  test(`a ${eventType} event is played with its own sound`, async ({ page }) => {
+    await openDashboardShell(page);
+    await enableRunSounds(page, { playRetryStarted: true });
+
+    const tones = await playAndRecord(page, eventType, { eventId: `${eventType}:${createRunId()}` });
+
+    expect(tones.map((tone) => tone.frequency)).toEqual(frequencies);
+  });
+}
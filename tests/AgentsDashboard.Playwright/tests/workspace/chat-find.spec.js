@@ -0,0 +1,119 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell, createScopedId } = require('../helpers/dashboard-script-helpers');
+
+// Mounts a chat stream shaped like the rendered message list, with markdown already turned into
+// formatting elements, and registers it with a recorder in place of the .NET component. Only the
+// first three of `count` messages are mounted, like a window the component has not moved yet.
+async function mountChatStream(page, elementId, count) {
+  return page.evaluate(async ({ elementId, count }) => {
+    const workspace = await import('/workspace.js');
+    const stream = document.createElement('div');
+    stream.id = elementId;
+    stream.style.height = '200px';
+    stream.style.overflow = 'auto';
+    stream.innerHTML = `
+      <div data-chat-spacer="top"></div>
+      <div data-chat-index="0" data-chat-message-id="m0">
+        <div data-chat-content>Fix the <strong>Bu</strong>ild and rerun the <code>build</code></div>
+      </div>
+      <div data-chat-index="1" data-chat-message-id="m1">
+        <div data-chat-content><p>The <em>build</em> is green again.</p></div>
+      </div>
+      <div data-chat-index="2" data-chat-message-id="m2">
+        <div data-chat-content>build failed: exit code 2</div>
+      </div>
+      <div data-chat-spacer="bottom"></div>`;
+    document.body.appendChild(stream);
+
+    window.__pwChatWindows = [];
+    const dotNetRef = {
+      invokeMethodAsync: async (method, ...args) => {
+        if (method === 'OnChatWindowChanged') {
+          window.__pwChatWindows.push({ start: args[0], end: args[1] });
+        }
+      }
+    };
+
+    const handle = workspace.registerChatAutoScroll(elementId, dotNetRef);
+    const ids = Array.from({ length: count }, (_, index) => `m${index}`);
+    workspace.syncChatWindow(handle, count, 'm0', 'pw-thread', ids, null);
+    return handle;
+  }, { elementId, count });
+}
+
+async function findAndPaint(page, handle, find) {
+  return page.evaluate(async ({ handle, find }) => {
+    const workspace = await import('/workspace.js');
+    workspace.setChatFind(handle, {
+      pattern: '',
+      isRegex: false,
+      caseSensitive: false,
+      messages: [],
+      activeMessageIndex: -1,
+      activeOccurrence: 0,
+      reveal: false,
+      ...find
+    });
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await new Promise((resolve) => requestAnimationFrame(resolve));
+    }
+
+    const read = (name) => [...(CSS.highlights.get(name) ?? [])].map((range) => range.toString());
+    return { matches: read('workspace-chat-find-match'), active: read('workspace-chat-find-active') };
+  }, { handle, find });
+}
+
+test('chat find paints the counted matches of mounted messages, including matches split by formatting', async ({ page }) => {
+  await openDashboardShell(page);
+  const handle = await mountChatStream(page, createScopedId('pw-chat-find'), 3);
+
+  expect(await findAndPaint(page, handle, {
+    pattern: 'build',
+    messages: [{ index: 0, count: 2 }, { index: 1, count: 1 }, { index: 2, count: 1 }],
+    activeMessageIndex: 0,
+    activeOccurrence: 0
+  })).toEqual({ matches: ['build', 'build', 'build'], active: ['Build'] });
+
+  expect(await findAndPaint(page, handle, {
+    pattern: 'exit code \\d+',
+    isRegex: true,
+    messages: [{ index: 2, count: 1 }],
+    activeMessageIndex: 2,
+    activeOccurrence: 0
+  })).toEqual({ matches: [], active: ['exit code 2'] });
+
+  await page.evaluate(async (handle) => (await import('/workspace.js')).setChatFind(handle, null), handle);
+  expect(await page.evaluate(() => CSS.highlights.has('workspace-chat-find-match'))).toBe(false);
+});
+
+test('chat find never paints more matches than the component counted for a message', async ({ page }) => {
+  await openDashboardShell(page);
+  const handle = await mountChatStream(page, createScopedId('pw-chat-find'), 3);
+
+  // The source of message 0 had one match; the rendered text has two. The active occurrence falls
+  // back to the last one painted.
+  expect(await findAndPaint(page, handle, {
+    pattern: 'build',
+    messages: [{ index: 0, count: 1 }],
+    activeMessageIndex: 0,
+    activeOccurrence: 1
+  })).toEqual({ matches: [], active: ['Build'] });
+});
+
+test('revealing a match outside the mounted window moves the window to it', async ({ page }) => {
+  await openDashboardShell(page);
+  const handle = await mountChatStream(page, createScopedId('pw-chat-find'), 200);
+  await page.evaluate(() => { window.__pwChatWindows = []; });
+
+  await findAndPaint(page, handle, {
+    pattern: 'build',
+    messages: [{ index: 150, count: 1 }],
+    activeMessageIndex: 150,
+    activeOccurrence: 0,
+    reveal: true
+  });
+
+  const windows = await page.evaluate(() => window.__pwChatWindows);
+  expect(windows.some((window) => window.start <= 150 && window.end > 150)).toBe(true);
+});
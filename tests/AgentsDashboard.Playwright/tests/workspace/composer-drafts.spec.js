@@ -0,0 +1,39 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell, createScopedId } = require('../helpers/dashboard-script-helpers');
+
+test('composer drafts are kept per repository and task until cleared or expired', async ({ page }) => {
+  await openDashboardShell(page);
+  const repositoryId = createScopedId('pw-drafts');
+
+  const result = await page.evaluate(async (repositoryId) => {
+    const workspace = await import('/workspace.js');
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    workspace.saveComposerDraft(repositoryId, 'task-1', { text: 'first draft' }, 60);
+    workspace.saveComposerDraft(repositoryId, 'task-1', {
+      textAttachments: [{ fileName: 'notes.txt', mimeType: 'text/plain', sizeBytes: 5, content: 'hello' }]
+    }, 60);
+    workspace.saveComposerDraft(repositoryId, '', { text: 'new task draft' }, 60);
+    workspace.saveComposerDraft(repositoryId, 'task-expiring', { text: 'stale draft' }, 0.0001);
+    await wait(800);
+
+    const taskDraft = await workspace.restoreComposerDraft(repositoryId, 'task-1', 'pw-missing-composer');
+    const newTaskDraft = await workspace.restoreComposerDraft(repositoryId, '', 'pw-missing-composer');
+    const expiredDraft = await workspace.restoreComposerDraft(repositoryId, 'task-expiring', 'pw-missing-composer');
+
+    await workspace.clearComposerDraft(repositoryId, 'task-1');
+    const clearedDraft = await workspace.restoreComposerDraft(repositoryId, 'task-1', 'pw-missing-composer');
+
+    workspace.saveComposerDraft(repositoryId, 'task-emptied', { text: 'typed' }, 60);
+    workspace.saveComposerDraft(repositoryId, 'task-emptied', { text: '   ' }, 60);
+    const emptiedDraft = await workspace.restoreComposerDraft(repositoryId, 'task-emptied', 'pw-missing-composer');
+
+    return { taskDraft, newTaskDraft, expiredDraft, clearedDraft, emptiedDraft };
+  }, repositoryId);
+
+  expect(result.taskDraft).toMatchObject({ text: 'first draft', attachmentCount: 1 });
+  expect(result.newTaskDraft).toMatchObject({ text: 'new task draft', attachmentCount: 0 });
+  expect(result.expiredDraft).toBeNull();
+  expect(result.clearedDraft).toBeNull();
+  expect(result.emptiedDraft).toBeNull();
+});
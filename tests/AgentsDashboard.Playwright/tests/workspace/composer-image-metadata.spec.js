@@ -0,0 +1,99 @@
+const zlib = require('zlib');
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell, createScopedId } = require('../helpers/dashboard-script-helpers');
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// A small red PNG carrying a text chunk, the kind of metadata a screenshot tool or camera leaves.
+function createPngWithMetadata(secret) {
+  const width = 4;
+  const height = 4;
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const rows = Buffer.concat(Array.from({ length: height }, () => Buffer.from([0, ...Array(width).fill([255, 0, 0]).flat()])));
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('tEXt', Buffer.from(`Comment\0${secret}`, 'latin1')),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+test('pasted images that already fit the budget are re-encoded without their metadata', async ({ page }) => {
+  await openDashboardShell(page);
+  const elementId = createScopedId('pw-composer-attachments');
+  const png = createPngWithMetadata('gps 51.5007,-0.1246');
+
+  const result = await page.evaluate(async ({ elementId, bytes }) => {
+    const workspace = await import('/workspace.js');
+    const input = document.createElement('textarea');
+    input.id = elementId;
+    document.body.appendChild(input);
+
+    const transfers = new Map();
+    let resolveCompleted;
+    const completed = new Promise((resolve) => { resolveCompleted = resolve; });
+    const dotNetRef = {
+      invokeMethodAsync: async (method, ...args) => {
+        switch (method) {
+          case 'BeginComposerAttachmentTransferFromJs':
+            transfers.set(args[1].id, { descriptor: args[1], chunks: [] });
+            return 0;
+          case 'AppendComposerAttachmentChunkFromJs':
+            transfers.get(args[0]).chunks[args[1]] = args[2];
+            return args[1] + 1;
+          case 'CompleteComposerAttachmentTransferFromJs':
+            resolveCompleted(transfers.get(args[0]));
+            return null;
+          default:
+            return null;
+        }
+      }
+    };
+
+    const handle = workspace.registerComposerAttachmentBridge(elementId, dotNetRef, 'pw', null);
+    const clipboardData = new DataTransfer();
+    clipboardData.items.add(new File([new Uint8Array(bytes)], 'screenshot.png', { type: 'image/png' }));
+    input.dispatchEvent(new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true }));
+
+    const transfer = await completed;
+    workspace.unregisterComposerAttachmentBridge(handle);
+    const content = transfer.chunks.join('');
+    return {
+      mimeType: transfer.descriptor.mimeType,
+      width: transfer.descriptor.width,
+      height: transfer.descriptor.height,
+      decoded: atob(content.slice(content.indexOf(',') + 1))
+    };
+  }, { elementId, bytes: [...png] });
+
+  expect(result.mimeType).toBe('image/png');
+  expect([result.width, result.height]).toEqual([4, 4]);
+  expect(result.decoded.startsWith('\x89PNG')).toBe(true);
+  expect(result.decoded).not.toContain('tEXt');
+  expect(result.decoded).not.toContain('51.5007');
+});
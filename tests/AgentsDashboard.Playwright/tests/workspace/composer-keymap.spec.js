@@ -0,0 +1,55 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell, mountComposerKeyBridge } = require('../helpers/dashboard-script-helpers');
+
+test('key chords are normalized and unknown presets fall back to the default', async ({ page }) => {
+  await openDashboardShell(page);
+
+  const result = await page.evaluate(async () => {
+    const workspace = await import('/workspace.js');
+    return {
+      chords: workspace.normalizeKeyChords(['shift+ctrl+enter', 'cmd+k', 'esc', 'hyper+x', 'ctrl++', 'Shift+Ctrl+Enter']),
+      fallback: workspace.setComposerKeymap({ preset: 'does-not-exist', overrides: { submit: ['ctrl+s'], unknownAction: ['x'] } })
+    };
+  });
+
+  expect(result.chords).toEqual(['Ctrl+Shift+Enter', 'Meta+K', 'Escape', 'Ctrl++']);
+  expect(result.fallback).toEqual({ preset: 'enter-submits', overrides: { submit: ['Ctrl+S'] } });
+});
+
+test('the mod-enter preset keeps Enter for new lines and submits on Ctrl+Enter', async ({ page }) => {
+  await openDashboardShell(page);
+  const description = await page.evaluate(async () => {
+    const workspace = await import('/workspace.js');
+    workspace.setComposerKeymap({ preset: 'mod-enter-submits', overrides: {} });
+    return workspace.describeComposerKeymap();
+  });
+
+  expect(description).toContain('Ctrl+Enter to send.');
+  expect(description).toContain('Enter inserts a new line.');
+
+  await mountComposerKeyBridge(page, 'pw-keymap-composer');
+  const composer = page.locator('#pw-keymap-composer');
+  await composer.fill('first line');
+  await composer.press('Enter');
+  await composer.pressSequentially('second line');
+  await expect(composer).toHaveValue('first line\nsecond line');
+  expect(await page.evaluate(() => window.__pwComposerCalls.length)).toBe(0);
+
+  await composer.press('Control+Enter');
+  await expect.poll(() => page.evaluate(() => window.__pwComposerCalls.map((call) => call.method))).toEqual(['TrySubmitComposerFromJs']);
+});
+
+test('keymap changes saved in another tab apply without a reload', async ({ context }) => {
+  const first = await context.newPage();
+  const second = await context.newPage();
+  await openDashboardShell(first);
+  await openDashboardShell(second);
+
+  const before = await second.evaluate(async () => (await import('/workspace.js')).getComposerKeymap().preset);
+  await first.evaluate(async () => (await import('/workspace.js')).setComposerKeymap({ preset: 'emacs', overrides: {} }));
+
+  expect(before).toBe('enter-submits');
+  await expect
+    .poll(() => second.evaluate(async () => (await import('/workspace.js')).getComposerKeymap().preset))
+    .toBe('emacs');
+});
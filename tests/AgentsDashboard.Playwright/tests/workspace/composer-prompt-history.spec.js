@@ -0,0 +1,69 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell, mountComposerKeyBridge } = require('../helpers/dashboard-script-helpers');
+
+test('arrow keys recall task prompts and Ctrl+R searches repository history', async ({ page }) => {
+  await openDashboardShell(page);
+  const bridgeId = await mountComposerKeyBridge(page, 'pw-history-composer');
+
+  await page.evaluate(async (bridgeId) => {
+    const workspace = await import('/workspace.js');
+    workspace.setComposerPromptHistory(
+      bridgeId,
+      ['latest prompt', 'older prompt', 'latest prompt'],
+      [{ text: 'deploy the staging stack', label: 'Deploy task' }, { text: 'latest prompt', label: '' }]);
+  }, bridgeId);
+
+  const composer = page.locator('#pw-history-composer');
+  await composer.focus();
+
+  await page.keyboard.press('ArrowUp');
+  await expect(composer).toHaveValue('latest prompt');
+  await page.keyboard.press('ArrowUp');
+  await expect(composer).toHaveValue('older prompt');
+  await page.keyboard.press('ArrowUp');
+  await expect(composer).toHaveValue('older prompt');
+  await page.keyboard.press('ArrowDown');
+  await expect(composer).toHaveValue('latest prompt');
+  await page.keyboard.press('ArrowDown');
+  await expect(composer).toHaveValue('');
+
+  await page.keyboard.press('Control+R');
+  const status = page.getByTestId('workspace-composer-history-search');
+  await expect(status).toBeVisible();
+  await page.keyboard.type('stag');
+  await expect(composer).toHaveValue('deploy the staging stack');
+  await expect(status).toContainText('Deploy task');
+
+  await page.keyboard.type('zzz');
+  await expect(status).toContainText('failing reverse-i-search');
+  await page.keyboard.press('Escape');
+  await expect(status).toHaveCount(0);
+  await expect(composer).toHaveValue('');
+
+  await page.keyboard.press('Control+R');
+  await page.keyboard.type('deploy');
+  await page.keyboard.press('Enter');
+  await expect(status).toHaveCount(0);
+  await expect(composer).toHaveValue('deploy the staging stack');
+  expect(await page.evaluate(() => window.__pwComposerCalls.map((call) => call.method))).not.toContain('TrySubmitComposerFromJs');
+});
+
+test('a submitted prompt becomes the first history entry', async ({ page }) => {
+  await openDashboardShell(page);
+  const bridgeId = await mountComposerKeyBridge(page, 'pw-history-submit');
+  await page.evaluate(async (bridgeId) => {
+    const workspace = await import('/workspace.js');
+    workspace.setComposerPromptHistory(bridgeId, ['older prompt'], []);
+  }, bridgeId);
+
+  const composer = page.locator('#pw-history-submit');
+  await composer.fill('fresh prompt');
+  await composer.press('Enter');
+  await expect.poll(() => page.evaluate(() => window.__pwComposerCalls.length)).toBe(1);
+
+  await composer.fill('');
+  await composer.press('ArrowUp');
+  await expect(composer).toHaveValue('fresh prompt');
+  await composer.press('ArrowUp');
+  await expect(composer).toHaveValue('older prompt');
+});
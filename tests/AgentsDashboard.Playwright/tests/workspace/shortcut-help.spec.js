@@ -0,0 +1,58 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell } = require('../helpers/dashboard-script-helpers');
+
+// Opens the ? overlay from a palette registered on the settings page and returns its sections as
+// { title, bindings: [{ label, chords }] }.
+async function readShortcutHelp(page) {
+  return page.evaluate(async () => {
+    const palette = await import('/workspace-command-palette.js');
+    const id = palette.registerCommandPalette({ invokeMethodAsync: async () => null }, {});
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: '?', bubbles: true, cancelable: true }));
+
+    const overlay = document.querySelector("[data-testid='workspace-shortcut-help']");
+    const sections = [...overlay.querySelectorAll('.workspace-shortcut-help-section')].map((heading) => {
+      const terms = [...heading.nextElementSibling.querySelectorAll('dt')];
+      return {
+        title: heading.textContent,
+        bindings: terms.map((term) => ({
+          label: term.textContent,
+          chords: [...term.nextElementSibling.querySelectorAll('kbd')].map((key) => key.textContent)
+        }))
+      };
+    });
+
+    palette.unregisterCommandPalette(id);
+    return sections;
+  });
+}
+
+test('the shortcut overlay lists find in chat next to the command palette', async ({ page }) => {
+  await openDashboardShell(page);
+
+  const sections = await readShortcutHelp(page);
+
+  expect(sections.map((section) => section.title)).toEqual(['Global', 'Composer', 'Find in chat', 'Command palette']);
+  const global = sections[0].bindings;
+  expect(global[0].label).toBe('Open command palette');
+  expect(global[0].chords[0]).toMatch(/^(Ctrl|Cmd)\+K$/);
+  expect(global[1].label).toBe('Find in chat');
+  expect(global[1].chords[0]).toMatch(/^(Ctrl|Cmd)\+F$/);
+  expect(global).toContainEqual({ label: 'Show keyboard shortcuts', chords: ['?'] });
+  expect(sections[2].bindings).toEqual([
+    { label: 'Next match', chords: ['Enter'] },
+    { label: 'Previous match', chords: ['Shift+Enter'] },
+    { label: 'Close', chords: ['Escape'] }
+  ]);
+});
+
+test('the shortcut overlay follows the saved composer keymap', async ({ page }) => {
+  await openDashboardShell(page);
+  await page.evaluate(async () => {
+    const workspace = await import('/workspace.js');
+    workspace.setComposerKeymap({ preset: 'enter-submits', overrides: { submit: ['ctrl+s'] } });
+  });
+
+  const composer = (await readShortcutHelp(page)).find((section) => section.title === 'Composer');
+
+  expect(composer.bindings.find((binding) => binding.label === 'Send prompt')?.chords).toEqual(['Ctrl+S']);
+});
@@ -0,0 +1,67 @@
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell } = require('../helpers/dashboard-script-helpers');
+
+test('completion providers are shared per language and released with the last editor', async ({ page }) => {
+  await openDashboardShell(page);
+
+  const counts = await page.evaluate(() => {
+    const monaco = window.monaco;
+    const active = new Map();
+    const registerCompletionItemProvider = monaco.languages.registerCompletionItemProvider.bind(monaco.languages);
+    monaco.languages.registerCompletionItemProvider = (language, provider) => {
+      active.set(language, (active.get(language) || 0) + 1);
+      const registration = registerCompletionItemProvider(language, provider);
+      return {
+        dispose: () => {
+          active.set(language, active.get(language) - 1);
+          registration.dispose();
+        }
+      };
+    };
+
+    const editors = {};
+    const getEditor = window.blazorMonaco.editor.getEditor;
+    window.blazorMonaco.editor.getEditor = (id, ...rest) => editors[id] ?? getEditor(id, ...rest);
+    const createEditor = (id, language) => {
+      const host = document.createElement('div');
+      host.style.height = '80px';
+      document.body.appendChild(host);
+      editors[id] = monaco.editor.create(host, { value: '', language });
+      return editors[id];
+    };
+
+    const autocomplete = window.agentsDashboardSkillAutocomplete;
+    const skills = [{ trigger: 'review', description: 'Review', content: 'Review the diff' }];
+    const snapshot = () => ({ markdown: active.get('markdown') || 0, yaml: active.get('yaml') || 0 });
+    const steps = {};
+
+    createEditor('pw-editor-a', 'markdown');
+    createEditor('pw-editor-b', 'markdown');
+    const editorC = createEditor('pw-editor-c', 'yaml');
+
+    autocomplete.bindTaskPromptEditor('pw-editor-a', skills, null, [], { diagnostics: false });
+    autocomplete.bindTaskPromptEditor('pw-editor-b', skills, null, [], { diagnostics: false });
+    autocomplete.bindTaskPromptEditor('pw-editor-c', skills, null, [], { diagnostics: false });
+    steps.bound = snapshot();
+
+    autocomplete.bindTaskPromptEditor('pw-editor-a', skills, null, [], { diagnostics: false });
+    steps.rebound = snapshot();
+
+    autocomplete.unbindTaskPromptEditor('pw-editor-a');
+    steps.firstReleased = snapshot();
+
+    autocomplete.unbindTaskPromptEditor('pw-editor-b');
+    autocomplete.unbindTaskPromptEditor('pw-editor-b');
+    steps.lastReleased = snapshot();
+
+    editorC.dispose();
+    steps.disposed = snapshot();
+    return steps;
+  });
+
+  expect(counts.bound).toEqual({ markdown: 1, yaml: 1 });
+  expect(counts.rebound).toEqual({ markdown: 1, yaml: 1 });
+  expect(counts.firstReleased).toEqual({ markdown: 1, yaml: 1 });
+  expect(counts.lastReleased).toEqual({ markdown: 0, yaml: 1 });
+  expect(counts.disposed).toEqual({ markdown: 0, yaml: 0 });
+});
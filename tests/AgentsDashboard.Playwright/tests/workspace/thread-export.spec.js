@@ -0,0 +1,69 @@
+const fs = require('fs');
+const { test, expect } = require('@playwright/test');
+const { openDashboardShell } = require('../helpers/dashboard-script-helpers');
+
+// Images are streamed in the way the component sends them: one stream reference per artifact,
+// read through arrayBuffer().
+async function exportThread(page, { entries = [], runs = [], images = [] }, format) {
+  const downloadPromise = page.waitForEvent('download');
+  await page.evaluate(async ({ entries, runs, images, format }) => {
+    const workspace = await import('/workspace.js');
+    for (const image of images) {
+      await workspace.addThreadExportImage('pw-export-id', image.key, image.mimeType, {
+        arrayBuffer: async () => new Uint8Array(image.bytes).buffer
+      });
+    }
+
+    await workspace.exportThread({
+      fileBaseName: 'pw-export',
+      exportedAtUtc: '2026-03-04T05:06:07Z',
+      task: { name: 'Export task', repository: 'repo', harness: 'codex', state: 'Succeeded' },
+      entries,
+      runs
+    }, format, 'pw-export-id');
+  }, { entries, runs, images, format });
+
+  const download = await downloadPromise;
+  return fs.readFileSync(await download.path(), 'utf8');
+}
+
+test('html export links only http and https pull request urls', async ({ page }) => {
+  await openDashboardShell(page);
+
+  const html = await exportThread(page, {
+    runs: [
+      { id: 'run-web-0001', state: 'Succeeded', createdAtUtc: '2026-03-04T05:00:00Z', summary: 'web', pullRequestUrl: 'https://example.com/pr/1' },
+      { id: 'run-script-01', state: 'Succeeded', createdAtUtc: '2026-03-04T05:01:00Z', summary: 'script', pullRequestUrl: 'javascript:alert(1)' },
+      { id: 'run-relative1', state: 'Succeeded', createdAtUtc: '2026-03-04T05:02:00Z', summary: 'relative', pullRequestUrl: 'pulls/7' }
+    ]
+  }, 'html');
+
+  expect(html).toContain('<a href="https://example.com/pr/1">https://example.com/pr/1</a>');
+  expect(html).toContain('<p>Pull request: javascript:alert(1)</p>');
+  expect(html).toContain('<p>Pull request: pulls/7</p>');
+  expect(html).not.toContain('href="javascript:');
+});
+
+test('markdown and html exports embed the streamed images and list the rest', async ({ page }) => {
+  await openDashboardShell(page);
+  const entries = [{
+    id: 'entry-1',
+    role: 'user',
+    content: 'See the screenshots',
+    timestampUtc: '2026-03-04T05:00:00Z',
+    runId: 'run-1',
+    images: [
+      { fileName: 'shot [1].png', artifactName: 'image-01.png', mimeType: 'image/png', sizeBytes: 3, dataUrl: '' },
+      { fileName: 'huge.png', artifactName: 'image-02.png', mimeType: 'image/png', sizeBytes: 40000000, dataUrl: '' }
+    ]
+  }];
+  const images = [{ key: 'run-1/image-01.png', mimeType: 'image/png', bytes: [1, 2, 3] }];
+
+  const markdown = await exportThread(page, { entries, images }, 'markdown');
+  expect(markdown).toContain('![shot \\[1\\].png](data:image/png;base64,AQID "image/png, 3 B")');
+  expect(markdown).toContain('- Image: huge.png (image/png, 38.1 MB) — not included');
+
+  const html = await exportThread(page, { entries, images }, 'html');
+  expect(html).toContain('<img src="data:image/png;base64,AQID"');
+  expect(html).toContain('huge.png (image/png, 38.1 MB) — not included');
+});
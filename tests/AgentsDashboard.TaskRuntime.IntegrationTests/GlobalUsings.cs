@@ -0,0 +1,2 @@
+global using TUnit.Assertions;
+global using TUnit.Core;
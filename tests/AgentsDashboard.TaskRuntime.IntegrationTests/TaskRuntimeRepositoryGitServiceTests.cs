@@ -0,0 +1,209 @@
+using System.Diagnostics;
+using AgentsDashboard.Contracts.Features.Runtime.Models.TaskRuntime.Messages;
+using AgentsDashboard.TaskRuntime.Features.Repositories.Services;
+using AgentsDashboard.TaskRuntime.Infrastructure.Configuration;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+
+namespace AgentsDashboard.TaskRuntime.IntegrationTests;
+
+public sealed class TaskRuntimeRepositoryGitServiceTests
+{
+    private const string GitUrl = "https://github.com/example/repository.git";
+
+    [Test]
+    public async Task ListRepositoryFilesReturnsTrackedFilesUpToTheLimitAsync()
+    {
+        using var repository = await GitRepositoryFixture.CreateAsync();
+        await repository.CommitAsync(("README.md", "# Readme"), ("src/app.cs", "class App {}"), ("src/lib.cs", "class Lib {}"));
+        await File.WriteAllTextAsync(Path.Combine(repository.Path, "untracked.txt"), "not tracked");
+        var service = CreateService(repository);
+
+        var all = await service.ListRepositoryFilesAsync(ListRequest(repository, maxFiles: 0), CancellationToken.None);
+        var limited = await service.ListRepositoryFilesAsync(ListRequest(repository, maxFiles: 2), CancellationToken.None);
+
+        await Assert.That(all.Success).IsTrue();
+        await Assert.That(all.Paths).IsEquivalentTo(["README.md", "src/app.cs", "src/lib.cs"]);
+        await Assert.That(all.Truncated).IsFalse();
+        await Assert.That(limited.Paths.Count).IsEqualTo(2);
+        await Assert.That(limited.Truncated).IsTrue();
+    }
+
+    [Test]
+    public async Task ListRepositoryFilesFailsWhenTheWorkspaceIsNotClonedAsync()
+    {
+        using var repository = await GitRepositoryFixture.CreateAsync(initialize: false);
+        var service = CreateService(repository);
+
+        var result = await service.ListRepositoryFilesAsync(ListRequest(repository, maxFiles: 0), CancellationToken.None);
+
+        await Assert.That(result.Success).IsFalse();
+        await Assert.That(result.ErrorMessage).IsEqualTo("Repository workspace has not been cloned yet.");
+    }
+
+    [Test]
+    public async Task ReadRepositoryFilePreviewReturnsTheFirstLinesAsync()
+    {
+        using var repository = await GitRepositoryFixture.CreateAsync();
+        await repository.CommitAsync(("notes.txt", "one\r\ntwo\r\nthree\r\nfour"));
+        var service = CreateService(repository);
+
+        var result = await service.ReadRepositoryFilePreviewAsync(PreviewRequest(repository, "notes.txt", maxLines: 2), CancellationToken.None);
+
+        await Assert.That(result.Found).IsTrue();
+        await Assert.That(result.Content).IsEqualTo("one\ntwo");
+        await Assert.That(result.Truncated).IsTrue();
+    }
+
+    [Test]
+    public async Task ReadRepositoryFilePreviewReadsStagedFilesLikeTheListAsync()
+    {
+        using var repository = await GitRepositoryFixture.CreateAsync();
+        await repository.CommitAsync(("README.md", "# Readme"));
+        await File.WriteAllTextAsync(Path.Combine(repository.Path, "staged.txt"), "staged only");
+        await repository.RunAsync("add", "staged.txt");
+        var service = CreateService(repository);
+
+        var list = await service.ListRepositoryFilesAsync(ListRequest(repository, maxFiles: 0), CancellationToken.None);
+        var result = await service.ReadRepositoryFilePreviewAsync(PreviewRequest(repository, "staged.txt", maxLines: 0), CancellationToken.None);
+
+        await Assert.That(list.Paths.Contains("staged.txt")).IsTrue();
+        await Assert.That(result.Found).IsTrue();
+        await Assert.That(result.Content).IsEqualTo("staged only");
+    }
+
+    [Test]
+    public async Task ReadRepositoryFilePreviewRejectsPathsOutsideTheRepositoryAsync()
+    {
+        using var repository = await GitRepositoryFixture.CreateAsync();
+        await repository.CommitAsync(("README.md", "# Readme"));
+        var service = CreateService(repository);
+
+        var result = await service.ReadRepositoryFilePreviewAsync(PreviewRequest(repository, "src/../../secret.txt", maxLines: 0), CancellationToken.None);
+
+        await Assert.That(result.Found).IsFalse();
+        await Assert.That(result.Reason).IsEqualTo("invalid_path");
+    }
+
+    [Test]
+    public async Task ReadRepositoryFilePreviewReportsMissingBinaryAndOversizedFilesAsync()
+    {
+        using var repository = await GitRepositoryFixture.CreateAsync();
+        await File.WriteAllBytesAsync(Path.Combine(repository.Path, "image.bin"), [0x89, 0x50, 0x00, 0x01]);
+        await repository.CommitAsync(("large.txt", new string('x', 600 * 1024)));
+        var service = CreateService(repository);
+
+        var missing = await service.ReadRepositoryFilePreviewAsync(PreviewRequest(repository, "missing.txt", maxLines: 0), CancellationToken.None);
+        var binary = await service.ReadRepositoryFilePreviewAsync(PreviewRequest(repository, "image.bin", maxLines: 0), CancellationToken.None);
+        var large = await service.ReadRepositoryFilePreviewAsync(PreviewRequest(repository, "large.txt", maxLines: 0), CancellationToken.None);
+
+        await Assert.That(missing.Found).IsFalse();
+        await Assert.That(missing.Reason).IsEqualTo("not_found");
+        await Assert.That(binary.Found).IsTrue();
+        await Assert.That(binary.IsBinary).IsTrue();
+        await Assert.That(large.Found).IsTrue();
+        await Assert.That(large.Reason).IsEqualTo("too_large");
+        await Assert.That(large.Content).IsNull();
+    }
+
+    private static TaskRuntimeRepositoryGitService CreateService(GitRepositoryFixture repository)
+    {
+        var options = Options.Create(new TaskRuntimeOptions { WorkspacesRootPath = repository.RootPath });
+        return new TaskRuntimeRepositoryGitService(options, NullLogger<TaskRuntimeRepositoryGitService>.Instance);
+    }
+
+    private static ListRepositoryFilesRequest ListRequest(GitRepositoryFixture repository, int maxFiles)
+    {
+        return new ListRepositoryFilesRequest
+        {
+            RepositoryId = "repository-1",
+            GitUrl = GitUrl,
+            LocalPath = repository.Path,
+            MaxFiles = maxFiles,
+        };
+    }
+
+    private static ReadRepositoryFilePreviewRequest PreviewRequest(GitRepositoryFixture repository, string relativePath, int maxLines)
+    {
+        return new ReadRepositoryFilePreviewRequest
+        {
+            RepositoryId = "repository-1",
+            GitUrl = GitUrl,
+            LocalPath = repository.Path,
+            RelativePath = relativePath,
+            MaxLines = maxLines,
+        };
+    }
+
+    private sealed class GitRepositoryFixture : IDisposable
+    {
+        private GitRepositoryFixture(string rootPath)
+        {
+            RootPath = rootPath;
+            Path = System.IO.Path.Combine(rootPath, "repository");
+        }
+
+        public string RootPath { get; }
+
+        public string Path { get; }
+
+        public static async Task<GitRepositoryFixture> CreateAsync(bool initialize = true)
+        {
+            var fixture = new GitRepositoryFixture(System.IO.Path.Combine(System.IO.Path.GetTempPath(), $"runtime-git-{Guid.NewGuid():N}"));
+            Directory.CreateDirectory(fixture.Path);
+            if (initialize)
+            {
+                await fixture.RunAsync("init", "--quiet");
+            }
+
+            return fixture;
+        }
+
+        public async Task CommitAsync(params (string RelativePath, string Content)[] files)
+        {
+            foreach (var (relativePath, content) in files)
+            {
+                var filePath = System.IO.Path.Combine(Path, relativePath);
+                Directory.CreateDirectory(System.IO.Path.GetDirectoryName(filePath)!);
+                await File.WriteAllTextAsync(filePath, content);
+            }
+
+            await RunAsync("add", "--all");
+            await RunAsync("-c", "user.name=Test", "-c", "user.email=test@example.com", "commit", "--quiet", "-m", "Add files");
+        }
+
+        public async Task RunAsync(params string[] arguments)
+        {
+            var startInfo = new ProcessStartInfo("git")
+            {
+                WorkingDirectory = Path,
+                RedirectStandardOutput = true,
+                RedirectStandardError = true,
+            };
+            foreach (var argument in arguments)
+            {
+                startInfo.ArgumentList.Add(argument);
+            }
+
+            using var process = Process.Start(startInfo)!;
+            var error = await process.StandardError.ReadToEndAsync();
+            await process.StandardOutput.ReadToEndAsync();
+            await process.WaitForExitAsync();
+            if (process.ExitCode != 0)
+            {
+                throw new InvalidOperationException($"git {string.Join(' ', arguments)} failed: {error}");
+            }
+        }
+
+        public void Dispose()
+        {
+            try
+            {
+                Directory.Delete(RootPath, recursive: true);
+            }
+            catch
+            {
+            }
+        }
+    }
+}
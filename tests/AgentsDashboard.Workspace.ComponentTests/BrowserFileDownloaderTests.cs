@@ -0,0 +1,54 @@
+using AgentsDashboard.ControlPlane.Components.Shared;
+using AgentsDashboard.Workspace.ComponentTests.Infrastructure;
+
+namespace AgentsDashboard.Workspace.ComponentTests;
+
+public sealed class BrowserFileDownloaderTests
+{
+    private const string ModulePath = "./file-download.js";
+
+    [Test]
+    public async Task DownloadReturnsCancelledWhenCancelledBeforeStreamingAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+        var module = context.JSInterop.SetupModule(ModulePath);
+        module.SetupVoid("cancelDownload", _ => true).SetVoidResult();
+
+        await using var downloader = new BrowserFileDownloader(context.JSInterop.JSRuntime);
+        using var cancellation = new CancellationTokenSource();
+        await cancellation.CancelAsync();
+
+        var result = await downloader.DownloadAsync("notes.txt", "text/plain", new MemoryStream(new byte[] { 1, 2, 3 }), null, cancellation.Token);
+
+        await Assert.That(result).IsEqualTo(BrowserFileDownloadResult.Cancelled);
+        await Assert.That(module.Invocations["downloadStream"].Count).IsEqualTo(0);
+        await Assert.That(module.Invocations["cancelDownload"].Count).IsEqualTo(1);
+    }
+
+    [Test]
+    public async Task DownloadZipReturnsCancelledWhenOpeningAnEntryIsCancelledAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+        var module = context.JSInterop.SetupModule(ModulePath);
+        module.SetupVoid("beginZipDownload", _ => true).SetVoidResult();
+        module.SetupVoid("cancelDownload", _ => true).SetVoidResult();
+
+        await using var downloader = new BrowserFileDownloader(context.JSInterop.JSRuntime);
+        using var cancellation = new CancellationTokenSource();
+        var entries = new[]
+        {
+            new BrowserFileDownloadEntry("a.txt", async cancellationToken =>
+            {
+                await cancellation.CancelAsync();
+                cancellationToken.ThrowIfCancellationRequested();
+                return new MemoryStream();
+            })
+        };
+
+        var result = await downloader.DownloadZipAsync("artifacts.zip", entries, null, cancellation.Token);
+
+        await Assert.That(result).IsEqualTo(BrowserFileDownloadResult.Cancelled);
+        await Assert.That(module.Invocations["addZipEntry"].Count).IsEqualTo(0);
+        await Assert.That(module.Invocations["cancelDownload"].Count).IsGreaterThanOrEqualTo(1);
+    }
+}
@@ -0,0 +1,58 @@
+using AgentsDashboard.ControlPlane.Components.Shared;
+using AgentsDashboard.Workspace.ComponentTests.Infrastructure;
+using Microsoft.JSInterop;
+
+namespace AgentsDashboard.Workspace.ComponentTests;
+
+public sealed class SkillAutocompleteEditorBindingsTests
+{
+    private const string BindIdentifier = "agentsDashboardSkillAutocomplete.bindTaskPromptEditor";
+    private const string UnbindIdentifier = "agentsDashboardSkillAutocomplete.unbindTaskPromptEditor";
+
+    [Test]
+    public async Task BindTracksOnlyEditorsThatWereBoundAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+        context.JSInterop.Setup<bool>(BindIdentifier, invocation => Equals(invocation.Arguments[0], "editor-a")).SetResult(true);
+        context.JSInterop.Setup<bool>(BindIdentifier, invocation => Equals(invocation.Arguments[0], "editor-b")).SetResult(false);
+        context.JSInterop.Setup<bool>(BindIdentifier, invocation => Equals(invocation.Arguments[0], "editor-c")).SetException(new JSException("monaco missing"));
+
+        var bindings = new SkillAutocompleteEditorBindings(context.JSInterop.JSRuntime);
+
+        await Assert.That(await bindings.BindAsync("editor-a", Array.Empty<object>(), null, Array.Empty<object>(), diagnostics: true)).IsTrue();
+        await Assert.That(await bindings.BindAsync("editor-b", Array.Empty<object>(), null, Array.Empty<object>(), diagnostics: false)).IsFalse();
+        await Assert.That(await bindings.BindAsync("editor-c", Array.Empty<object>(), null, Array.Empty<object>(), diagnostics: false)).IsFalse();
+
+        await Assert.That(bindings.IsBound("editor-a")).IsTrue();
+        await Assert.That(bindings.IsBound("editor-b")).IsFalse();
+        await Assert.That(bindings.IsBound("editor-c")).IsFalse();
+
+        bindings.Forget("editor-a");
+        await Assert.That(bindings.EditorIds.Count).IsEqualTo(0);
+    }
+
+    [Test]
+    public async Task DisposeReleasesRemainingEditorsWhenOneUnbindFailsAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+        context.JSInterop.Setup<bool>(BindIdentifier, _ => true).SetResult(true);
+        context.JSInterop.SetupVoid(UnbindIdentifier, "editor-a").SetException(new JSException("editor already gone"));
+        context.JSInterop.SetupVoid(UnbindIdentifier, "editor-b").SetVoidResult();
+        context.JSInterop.SetupVoid(UnbindIdentifier, "editor-c").SetVoidResult();
+
+        var bindings = new SkillAutocompleteEditorBindings(context.JSInterop.JSRuntime);
+        foreach (var editorId in new[] { "editor-a", "editor-b", "editor-c" })
+        {
+            await bindings.BindAsync(editorId, Array.Empty<object>(), null, Array.Empty<object>(), diagnostics: false);
+        }
+
+        await bindings.DisposeAsync();
+
+        var released = context.JSInterop.Invocations[UnbindIdentifier]
+            .Select(invocation => invocation.Arguments[0])
+            .OfType<string>()
+            .ToList();
+        await Assert.That(released).IsEquivalentTo(new[] { "editor-a", "editor-b", "editor-c" });
+        await Assert.That(bindings.EditorIds.Count).IsEqualTo(0);
+    }
+}
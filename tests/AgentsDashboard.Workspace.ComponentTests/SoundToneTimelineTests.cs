@@ -0,0 +1,54 @@
+using AgentsDashboard.ControlPlane.Components.Shared;
+using AgentsDashboard.Workspace.ComponentTests.Infrastructure;
+
+namespace AgentsDashboard.Workspace.ComponentTests;
+
+public sealed class SoundToneTimelineTests
+{
+    [Test]
+    public async Task TonesArePositionedByStartDurationPitchAndGainAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+        var tones = new List<SoundSynthTone>
+        {
+            new() { Frequency = 60, Delay = 0, Duration = 0.1, Decay = 0.1, Gain = 0, Type = "sine" },
+            new() { Frequency = 4000, Delay = 0.2, Duration = 0.1, Decay = 0.05, Gain = 0.4, Type = "square" }
+        };
+
+        var component = context.Render<SoundToneTimeline>(parameters => parameters
+            .Add(p => p.Tones, tones));
+
+        var blocks = component.FindAll("[data-testid='sound-tone-block']");
+        await Assert.That(blocks.Count).IsEqualTo(2);
+        await Assert.That(blocks[0].GetAttribute("style")).IsEqualTo("left: 0%; width: 25%; bottom: 0%; opacity: 0.45;");
+        await Assert.That(blocks[1].GetAttribute("style")).IsEqualTo("left: 50%; width: 25%; bottom: 80%; opacity: 1;");
+        await Assert.That(blocks[0].ClassList.Contains("sound-tone-timeline-sine")).IsTrue();
+        await Assert.That(blocks[1].ClassList.Contains("sound-tone-timeline-square")).IsTrue();
+    }
+
+    [Test]
+    public async Task SelectedToneIsMarkedAndClicksReportTheToneIndexAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+        var selectedIndex = -1;
+        var tones = new List<SoundSynthTone>
+        {
+            new() { Delay = 0 },
+            new() { Delay = 0.1 },
+            new() { Delay = 0.2 }
+        };
+
+        var component = context.Render<SoundToneTimeline>(parameters => parameters
+            .Add(p => p.Tones, tones)
+            .Add(p => p.SelectedIndex, 1)
+            .Add(p => p.OnSelect, (int index) => selectedIndex = index));
+
+        var blocks = component.FindAll("[data-testid='sound-tone-block']");
+        await Assert.That(component.FindAll(".sound-tone-timeline-block-selected").Count).IsEqualTo(1);
+        await Assert.That(blocks[1].ClassList.Contains("sound-tone-timeline-block-selected")).IsTrue();
+
+        blocks[2].Click();
+
+        await Assert.That(selectedIndex).IsEqualTo(2);
+    }
+}
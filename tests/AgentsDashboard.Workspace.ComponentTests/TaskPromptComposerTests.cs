@@ -76,4 +76,200 @@ public sealed class TaskPromptComposerTests
         submitButton = component.Find("[data-testid='workspace-composer-send']");
         await Assert.That(submitButton.HasAttribute("disabled")).IsFalse();
     }
+
+    [Test]
+    public async Task TextAttachmentsRenderAsChipsAndAreClearedAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+
+        IReadOnlyList<WorkspaceTextAttachmentInput> currentAttachments =
+        [
+            new WorkspaceTextAttachmentInput(
+                Id: "txt-1",
+                FileName: "build.log",
+                MimeType: "text/plain",
+                SizeBytes: 12,
+                Content: "error: boom")
+        ];
+
+        var component = context.Render<TaskPromptComposer>(parameters => parameters
+            .Add(p => p.InputId, "workspace-composer-input-fixed")
+            .Add(p => p.Value, string.Empty)
+            .Add(p => p.TextAttachments, currentAttachments)
+            .Add(p => p.TextAttachmentsChanged, (IReadOnlyList<WorkspaceTextAttachmentInput> attachments) => currentAttachments = attachments)
+            .Add(p => p.ShowSubmitButton, true)
+            .Add(p => p.OnSubmit, () => { }));
+
+        await Assert.That(component.FindAll(".workspace-composer-file-chip-text").Count).IsEqualTo(1);
+        await Assert.That(component.Find("[data-testid='workspace-composer-send']").HasAttribute("disabled")).IsFalse();
+
+        component.Find("[data-testid='workspace-composer-clear']").Click();
+
+        await Assert.That(currentAttachments.Count).IsEqualTo(0);
+    }
+
+    [Test]
+    public async Task ImageChipTitleReportsOriginalAndCompressedSizesAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+
+        IReadOnlyList<WorkspaceImageInput> images =
+        [
+            new WorkspaceImageInput(
+                Id: "img-1",
+                FileName: "screenshot.webp",
+                MimeType: "image/webp",
+                SizeBytes: 300 * 1024,
+                DataUrl: "data:image/webp;base64,AA==",
+                OriginalSizeBytes: 5L * 1024 * 1024)
+        ];
+
+        var component = context.Render<TaskPromptComposer>(parameters => parameters
+            .Add(p => p.InputId, "workspace-composer-input-fixed")
+            .Add(p => p.Images, images));
+
+        var title = component.Find(".workspace-composer-file-chip").GetAttribute("title") ?? string.Empty;
+        await Assert.That(title).IsEqualTo("screenshot.webp (5.0 MB -> 300 KB)");
+    }
+
+    [Test]
+    public async Task AttachmentTransferIgnoresOutOfOrderAndDuplicateChunksAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+
+        IReadOnlyList<WorkspaceTextAttachmentInput> attachments = [];
+        var component = RenderTransferComposer(context, changed: value => attachments = value);
+        var begin = await BeginTransferAsync(component, CreateTextDescriptor("transfer-1", "notes.txt", "hello world", totalChunks: 2));
+        await Assert.That(begin).IsEqualTo(0);
+
+        var outOfOrder = await AppendChunkAsync(component, "transfer-1", 1, " world");
+        var first = await AppendChunkAsync(component, "transfer-1", 0, "hello");
+        var duplicate = await AppendChunkAsync(component, "transfer-1", 0, "hello");
+        var second = await AppendChunkAsync(component, "transfer-1", 1, " world");
+
+        await Assert.That(outOfOrder).IsEqualTo(0);
+        await Assert.That(first).IsEqualTo(1);
+        await Assert.That(duplicate).IsEqualTo(1);
+        await Assert.That(second).IsEqualTo(2);
+
+        var resumed = await BeginTransferAsync(component, CreateTextDescriptor("transfer-1", "notes.txt", "hello world", totalChunks: 2));
+        await Assert.That(resumed).IsEqualTo(2);
+
+        await component.InvokeAsync(() => component.Instance.CompleteComposerAttachmentTransferFromJs("transfer-1"));
+
+        await Assert.That(attachments.Count).IsEqualTo(1);
+        await Assert.That(attachments[0].Content).IsEqualTo("hello world");
+        await Assert.That(component.FindAll("[data-testid='workspace-composer-transfer']").Count).IsEqualTo(0);
+    }
+
+    [Test]
+    public async Task CancelledAttachmentTransferRejectsChunksAndNeverCompletesAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+
+        IReadOnlyList<WorkspaceTextAttachmentInput> attachments = [];
+        var component = RenderTransferComposer(context, changed: value => attachments = value);
+        await BeginTransferAsync(component, CreateTextDescriptor("transfer-1", "notes.txt", "hello", totalChunks: 1));
+        await Assert.That(component.FindAll("[data-testid='workspace-composer-transfer']").Count).IsEqualTo(1);
+
+        component.Find("[data-testid='workspace-composer-transfer'] button").Click();
+
+        await Assert.That(component.FindAll("[data-testid='workspace-composer-transfer']").Count).IsEqualTo(0);
+        await Assert.That(await AppendChunkAsync(component, "transfer-1", 0, "hello")).IsEqualTo(-1);
+        await Assert.That(await BeginTransferAsync(component, CreateTextDescriptor("transfer-1", "notes.txt", "hello", totalChunks: 1))).IsEqualTo(-1);
+
+        await component.InvokeAsync(() => component.Instance.CompleteComposerAttachmentTransferFromJs("transfer-1"));
+
+        await Assert.That(attachments.Count).IsEqualTo(0);
+        await Assert.That(component.Find(".workspace-composer-attachments-empty").TextContent).IsEqualTo("No files");
+    }
+
+    [Test]
+    public async Task FailedAttachmentTransferIsRemovedAndReportedAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+
+        var errors = new List<string>();
+        var component = RenderTransferComposer(context, errors: errors);
+        await BeginTransferAsync(component, CreateTextDescriptor("transfer-1", "notes.txt", "hello", totalChunks: 1));
+
+        await component.InvokeAsync(() => component.Instance.FailComposerAttachmentTransferFromJs("transfer-1", string.Empty));
+
+        await Assert.That(component.FindAll("[data-testid='workspace-composer-transfer']").Count).IsEqualTo(0);
+        await Assert.That(errors).Contains("Upload of 'notes.txt' failed.");
+        await Assert.That(await AppendChunkAsync(component, "transfer-1", 0, "hello")).IsEqualTo(-1);
+    }
+
+    [Test]
+    public async Task StaleAttachmentTransferIsDiscardedAfterTimeoutAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+
+        var errors = new List<string>();
+        var component = RenderTransferComposer(context, errors: errors, staleTimeout: TimeSpan.FromMilliseconds(50));
+        await BeginTransferAsync(component, CreateTextDescriptor("transfer-1", "notes.txt", "hello", totalChunks: 1));
+
+        component.WaitForAssertion(
+            () =>
+            {
+                if (component.FindAll("[data-testid='workspace-composer-transfer']").Count != 0)
+                {
+                    throw new InvalidOperationException("Transfer chip is still visible.");
+                }
+            },
+            TimeSpan.FromSeconds(5));
+
+        await Assert.That(errors).Contains("Upload of 'notes.txt' stalled and has been discarded.");
+    }
+
+    private static IRenderedComponent<TaskPromptComposer> RenderTransferComposer(
+        BunitContext context,
+        Action<IReadOnlyList<WorkspaceTextAttachmentInput>>? changed = null,
+        List<string>? errors = null,
+        TimeSpan? staleTimeout = null)
+    {
+        return context.Render<TaskPromptComposer>(parameters => parameters
+            .Add(p => p.InputId, "workspace-composer-input-fixed")
+            .Add(p => p.TextAttachmentsChanged, (IReadOnlyList<WorkspaceTextAttachmentInput> value) => changed?.Invoke(value))
+            .Add(p => p.OnValidationError, (string message) => errors?.Add(message))
+            .Add(p => p.StaleTransferTimeout, staleTimeout ?? TimeSpan.FromMinutes(5)));
+    }
+
+    private static TaskPromptComposer.ComposerAttachmentDescriptor CreateTextDescriptor(
+        string id,
+        string fileName,
+        string content,
+        int totalChunks)
+    {
+        return new TaskPromptComposer.ComposerAttachmentDescriptor
+        {
+            Id = id,
+            Kind = "text",
+            FileName = fileName,
+            MimeType = "text/plain",
+            SizeBytes = content.Length,
+            ContentLength = content.Length,
+            TotalChunks = totalChunks,
+        };
+    }
+
+    private static async Task<int> BeginTransferAsync(
+        IRenderedComponent<TaskPromptComposer> component,
+        TaskPromptComposer.ComposerAttachmentDescriptor descriptor)
+    {
+        var next = 0;
+        await component.InvokeAsync(async () => next = await component.Instance.BeginComposerAttachmentTransferFromJs(string.Empty, descriptor));
+        return next;
+    }
+
+    private static async Task<int> AppendChunkAsync(
+        IRenderedComponent<TaskPromptComposer> component,
+        string transferId,
+        int chunkIndex,
+        string chunk)
+    {
+        var next = 0;
+        await component.InvokeAsync(async () => next = await component.Instance.AppendComposerAttachmentChunkFromJs(transferId, chunkIndex, chunk));
+        return next;
+    }
 }
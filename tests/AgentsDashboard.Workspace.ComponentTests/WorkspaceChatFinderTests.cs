@@ -0,0 +1,56 @@
+using AgentsDashboard.ControlPlane.Components.Workspace;
+using AgentsDashboard.ControlPlane.Components.Workspace.Models;
+
+namespace AgentsDashboard.Workspace.ComponentTests;
+
+public sealed class WorkspaceChatFinderTests
+{
+    private static readonly IReadOnlyList<WorkspaceChatMessage> Messages =
+    [
+        new("find-1", WorkspaceChatMessageKind.User, "You", "Fix the Build and rerun the build", DateTime.UtcNow, string.Empty),
+        new("find-2", WorkspaceChatMessageKind.Event, "Tool", "build failed: exit code 2", DateTime.UtcNow, string.Empty),
+        new("find-3", WorkspaceChatMessageKind.AssistantSummary, "Summary", "The build is green again.", DateTime.UtcNow, string.Empty)
+    ];
+
+    [Test]
+    public async Task FindMatchesCaseInsensitivelyAndNumbersOccurrencesPerMessageAsync()
+    {
+        var finder = new WorkspaceChatFinder();
+
+        var result = finder.Find(Messages, WorkspaceChatFindOptions.Empty with { Query = "build" });
+
+        await Assert.That(result.Matches.Count).IsEqualTo(4);
+        await Assert.That(result.Matches[1].MessageId).IsEqualTo("find-1");
+        await Assert.That(result.Matches[1].Occurrence).IsEqualTo(1);
+        await Assert.That(result.Matches[3].MessageIndex).IsEqualTo(2);
+    }
+
+    [Test]
+    public async Task FindHonoursCaseRegexAndRoleFiltersAsync()
+    {
+        var finder = new WorkspaceChatFinder();
+        var options = new WorkspaceChatFindOptions(
+            @"exit code \d+",
+            IsRegex: true,
+            IsCaseSensitive: true,
+            Kinds: new HashSet<WorkspaceChatMessageKind> { WorkspaceChatMessageKind.Event });
+
+        var result = finder.Find(Messages, options);
+        var caseSensitive = finder.Find(Messages, WorkspaceChatFindOptions.Empty with { Query = "Build", IsCaseSensitive = true });
+
+        await Assert.That(result.Matches.Count).IsEqualTo(1);
+        await Assert.That(result.Matches[0].Length).IsEqualTo("exit code 2".Length);
+        await Assert.That(caseSensitive.Matches.Count).IsEqualTo(1);
+    }
+
+    [Test]
+    public async Task FindReportsInvalidRegularExpressionsAsync()
+    {
+        var finder = new WorkspaceChatFinder();
+
+        var result = finder.Find(Messages, WorkspaceChatFindOptions.Empty with { Query = "(unclosed", IsRegex = true });
+
+        await Assert.That(result.Matches).IsEmpty();
+        await Assert.That(result.Error.StartsWith("Invalid pattern", StringComparison.Ordinal)).IsTrue();
+    }
+}
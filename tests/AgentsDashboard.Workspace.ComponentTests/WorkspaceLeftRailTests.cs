@@ -137,4 +137,37 @@ public sealed class WorkspaceLeftRailTests
         var deleteButtons = component.FindAll("[data-testid='workspace-task-delete-pending-task-1']");
         await Assert.That(deleteButtons.Count).IsEqualTo(0);
     }
+
+    [Test]
+    public async Task ThreadShowsNewRunCountInsteadOfNewChipAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+
+        var threads = new List<WorkspaceThreadState>
+        {
+            new(
+                TaskId: "unread-task-1",
+                Title: "Unread Task",
+                Harness: "codex",
+                LatestStateLabel: "Running",
+                LatestStateColor: Color.Info,
+                IsSelected: false,
+                HasUnread: true,
+                LastActivityUtc: DateTime.UtcNow,
+                LatestRunHint: string.Empty,
+                NewRunCount: 7)
+        };
+
+        var component = context.Render<WorkspaceLeftRail>(parameters => parameters
+            .Add(p => p.IsCollapsed, false)
+            .Add(p => p.RepositoryFilter, "all")
+            .Add(p => p.TaskFilter, "all")
+            .Add(p => p.RepositoryGroups, Array.Empty<WorkspaceRepositoryGroup>())
+            .Add(p => p.Threads, threads));
+
+        var unread = component.Find("[data-testid='workspace-thread-unread-unread-task-1']");
+        await Assert.That(unread.TextContent.Trim()).IsEqualTo("7");
+        await Assert.That(unread.GetAttribute("title")).IsEqualTo("7 new runs");
+        await Assert.That(component.Markup.Contains(">New<", StringComparison.Ordinal)).IsFalse();
+    }
 }
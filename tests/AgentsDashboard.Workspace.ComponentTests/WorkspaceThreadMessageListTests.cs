@@ -97,4 +97,99 @@ public sealed class WorkspaceThreadMessageListTests
         await Assert.That(editedMessage is not null).IsTrue();
         await Assert.That(editedMessage?.Id).IsEqualTo("edit-msg-1");
     }
+
+    [Test]
+    public async Task MessageListMountsOnlyTheWindowReportedByTheBrowserAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+
+        var now = DateTime.UtcNow;
+        var messages = Enumerable.Range(0, 100)
+            .Select(index => new WorkspaceChatMessage(
+                Id: $"window-msg-{index}",
+                Kind: WorkspaceChatMessageKind.Event,
+                Title: "Tool",
+                Content: $"Event {index}",
+                TimestampUtc: now.AddSeconds(index),
+                Meta: string.Empty))
+            .ToList();
+
+        var component = context.Render<WorkspaceThreadMessageList>(parameters => parameters
+            .Add(p => p.Messages, messages));
+
+        await Assert.That(component.FindAll("[data-chat-index]").Count).IsEqualTo(40);
+        component.Find("[data-testid='workspace-chat-copy-window-msg-99']");
+
+        await component.InvokeAsync(() => component.Instance.OnChatWindowChanged(10, 15, followsTail: false));
+
+        var mounted = component.FindAll("[data-chat-index]");
+        await Assert.That(mounted.Count).IsEqualTo(5);
+        await Assert.That(mounted[0].GetAttribute("data-chat-index")).IsEqualTo("10");
+    }
+
+    [Test]
+    public async Task FindSearchesAllMessagesWithoutMountingThemAndSendsMatchesPerMessageAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+        var module = context.JSInterop.SetupModule("./workspace.js");
+        module.Setup<string?>("registerChatAutoScroll", _ => true).SetResult("chat-find-1");
+
+        var now = DateTime.UtcNow;
+        var messages = Enumerable.Range(0, 100)
+            .Select(index => new WorkspaceChatMessage(
+                Id: $"find-msg-{index}",
+                Kind: WorkspaceChatMessageKind.Event,
+                Title: "Tool",
+                Content: $"Event {index}",
+                TimestampUtc: now.AddSeconds(index),
+                Meta: string.Empty))
+            .ToList();
+
+        var component = context.Render<WorkspaceThreadMessageList>(parameters => parameters
+            .Add(p => p.Messages, messages));
+
+        component.Find("[data-testid='workspace-chat-find-toggle']").Click();
+        var findBar = component.FindComponent<WorkspaceChatFindBar>();
+        await component.InvokeAsync(() => findBar.Instance.OnOptionsChanged.InvokeAsync(WorkspaceChatFindOptions.Empty with { Query = "Event 1" }));
+
+        await Assert.That(component.FindAll("[data-chat-index]").Count).IsEqualTo(40);
+        await Assert.That(component.Find("[data-testid='workspace-chat-find-count']").TextContent.Trim()).IsEqualTo("11 of 11");
+
+        var payload = System.Text.Json.JsonSerializer.Serialize(module.Invocations["setChatFind"][^1].Arguments[1]);
+        await Assert.That(payload.Contains("\"activeMessageIndex\":19", StringComparison.Ordinal)).IsTrue();
+        await Assert.That(payload.Contains("{\"index\":1,\"count\":1}", StringComparison.Ordinal)).IsTrue();
+        await Assert.That(payload.Contains("\"reveal\":true", StringComparison.Ordinal)).IsTrue();
+
+        component.Find("[data-testid='workspace-chat-find-previous']").Click();
+        await Assert.That(component.Find("[data-testid='workspace-chat-find-count']").TextContent.Trim()).IsEqualTo("10 of 11");
+        payload = System.Text.Json.JsonSerializer.Serialize(module.Invocations["setChatFind"][^1].Arguments[1]);
+        await Assert.That(payload.Contains("\"activeMessageIndex\":18", StringComparison.Ordinal)).IsTrue();
+
+        component.Find("[data-testid='workspace-chat-find-close']").Click();
+        await Assert.That(module.Invocations["setChatFind"][^1].Arguments[1]).IsNull();
+    }
+
+    [Test]
+    public async Task FindShowsInvalidPatternsAsync()
+    {
+        await using var context = WorkspaceBunitTestContext.Create();
+
+        var message = new WorkspaceChatMessage(
+            Id: "find-error-msg",
+            Kind: WorkspaceChatMessageKind.User,
+            Title: "You",
+            Content: "Fix the build",
+            TimestampUtc: DateTime.UtcNow,
+            Meta: string.Empty);
+
+        var component = context.Render<WorkspaceThreadMessageList>(parameters => parameters
+            .Add(p => p.Messages, new[] { message }));
+
+        component.Find("[data-testid='workspace-chat-find-toggle']").Click();
+        var findBar = component.FindComponent<WorkspaceChatFindBar>();
+        await component.InvokeAsync(() => findBar.Instance.OnOptionsChanged.InvokeAsync(WorkspaceChatFindOptions.Empty with { Query = "(unclosed", IsRegex = true }));
+
+        var bar = component.Find("[data-testid='workspace-chat-find-bar']");
+        await Assert.That(bar.TextContent.Contains("Invalid pattern", StringComparison.Ordinal)).IsTrue();
+    }
 }
@@ -0,0 +1,75 @@
+using AgentsDashboard.ControlPlane.Features.Settings.Models;
+using AgentsDashboard.Contracts.Features.Settings.Models.Domain;
+
+namespace AgentsDashboard.Workspace.IntegrationTests;
+
+public sealed class PromptSkillAutocompleteEntryTests
+{
+    [Test]
+    public async Task RepositorySkillsShadowGlobalSkillsWithTheSameTriggerAsync()
+    {
+        var skills = new List<PromptSkillDocument>
+        {
+            new() { RepositoryId = "global", Trigger = "review", Content = "global review", Enabled = true },
+            new() { RepositoryId = "repo-1", Trigger = "review", Content = "repo review", Enabled = true },
+            new() { RepositoryId = "global", Trigger = "plan", Content = "global plan", Enabled = true }
+        };
+
+        var payload = PromptSkillAutocompleteEntry.Build(skills, "repo-1");
+
+        await Assert.That(payload.Count).IsEqualTo(2);
+        await Assert.That(payload[0].Content).IsEqualTo("repo review");
+        await Assert.That(payload[0].ScopePriority).IsEqualTo(0);
+        await Assert.That(payload[1].Trigger).IsEqualTo("plan");
+        await Assert.That(payload[1].ScopeLabel).IsEqualTo("Global skill");
+    }
+
+    [Test]
+    public async Task DisabledAndForeignRepositorySkillsAreExcludedAsync()
+    {
+        var skills = new List<PromptSkillDocument>
+        {
+            new() { RepositoryId = "repo-1", Trigger = "off", Content = "disabled", Enabled = false },
+            new() { RepositoryId = "repo-2", Trigger = "other", Content = "other repo", Enabled = true }
+        };
+
+        var payload = PromptSkillAutocompleteEntry.Build(skills, "repo-1");
+
+        await Assert.That(payload).IsEmpty();
+    }
+
+    [Test]
+    public async Task UsageStatisticsAreCarriedIntoThePayloadAsync()
+    {
+        var lastUsedAtUtc = new DateTime(2026, 1, 2, 3, 4, 5, DateTimeKind.Utc);
+        var skills = new List<PromptSkillDocument>
+        {
+            new() { RepositoryId = "repo-1", Trigger = "review:security", Content = "audit", Enabled = true, UsageCount = 4, LastUsedAtUtc = lastUsedAtUtc }
+        };
+
+        var payload = PromptSkillAutocompleteEntry.Build(skills, "repo-1");
+
+        await Assert.That(payload[0].Trigger).IsEqualTo("review:security");
+        await Assert.That(payload[0].UsageCount).IsEqualTo(4);
+        await Assert.That(payload[0].LastUsedAtUtc).IsEqualTo(lastUsedAtUtc);
+    }
+
+    [Test]
+    public async Task DisabledSkillsAreReportedOnlyWhenNoEnabledSkillSharesTheTriggerAsync()
+    {
+        var skills = new List<PromptSkillDocument>
+        {
+            new() { RepositoryId = "global", Trigger = "review", Content = "global review", Enabled = false },
+            new() { RepositoryId = "repo-1", Trigger = "review", Content = "repo review", Enabled = true },
+            new() { RepositoryId = "global", Trigger = "plan", Content = "global plan", Enabled = false },
+            new() { RepositoryId = "repo-1", Trigger = "ship", Content = "repo ship", Enabled = false }
+        };
+
+        var payload = PromptSkillAutocompleteEntry.BuildDisabled(skills, "repo-1");
+
+        await Assert.That(payload.Count).IsEqualTo(2);
+        await Assert.That(payload[0].Trigger).IsEqualTo("ship");
+        await Assert.That(payload[0].EditUrl).IsEqualTo("/settings/repositories/repo-1?skill=ship");
+        await Assert.That(payload[1].EditUrl).IsEqualTo("/settings/skills?trigger=plan");
+    }
+}
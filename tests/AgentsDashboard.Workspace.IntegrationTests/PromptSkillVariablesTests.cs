@@ -0,0 +1,20 @@
+using AgentsDashboard.ControlPlane.Features.Settings.Models;
+using AgentsDashboard.Contracts.Features.Repositories.Models.Domain;
+
+namespace AgentsDashboard.Workspace.IntegrationTests;
+
+public sealed class PromptSkillVariablesTests
+{
+    [Test]
+    public async Task BuildResolvesRepositoryAndTaskValuesAsync()
+    {
+        var repository = new RepositoryDocument { Name = " acme-api ", DefaultBranch = "develop" };
+
+        var variables = PromptSkillVariables.Build(repository, "Fix login redirect");
+
+        await Assert.That(variables[PromptSkillVariables.RepositoryName]).IsEqualTo("acme-api");
+        await Assert.That(variables[PromptSkillVariables.DefaultBranch]).IsEqualTo("develop");
+        await Assert.That(variables[PromptSkillVariables.TaskTitle]).IsEqualTo("Fix login redirect");
+        await Assert.That(variables.ContainsKey(PromptSkillVariables.Today)).IsFalse();
+    }
+}
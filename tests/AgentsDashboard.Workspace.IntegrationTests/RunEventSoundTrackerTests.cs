@@ -0,0 +1,73 @@
+using AgentsDashboard.ControlPlane.Components.Layout;
+using AgentsDashboard.Contracts.Features.Runtime.Models.Domain;
+
+namespace AgentsDashboard.Workspace.IntegrationTests;
+
+public sealed class RunEventSoundTrackerTests
+{
+    [Test]
+    public async Task RunStatesMapToProgressEventsAsync()
+    {
+        await Assert.That(RunEventSoundTracker.GetRunProgressEventType("PendingApproval")).IsEqualTo("pendingApproval");
+        await Assert.That(RunEventSoundTracker.GetRunProgressEventType("queued")).IsEqualTo("retryStarted");
+        await Assert.That(RunEventSoundTracker.GetRunProgressEventType("Running")).IsEqualTo("retryStarted");
+        await Assert.That(RunEventSoundTracker.GetRunProgressEventType("Succeeded")).IsNull();
+        await Assert.That(RunEventSoundTracker.GetRunProgressEventType(null)).IsNull();
+    }
+
+    [Test]
+    public async Task RetriesSoundOnlyAfterTheFirstAttemptAsync()
+    {
+        await Assert.That(RunEventSoundTracker.ShouldSoundAttempt("retryStarted", 1)).IsFalse();
+        await Assert.That(RunEventSoundTracker.ShouldSoundAttempt("retryStarted", 2)).IsTrue();
+        await Assert.That(RunEventSoundTracker.ShouldSoundAttempt("pendingApproval", 1)).IsTrue();
+    }
+
+    [Test]
+    public async Task EachRunEventSoundsOnceUntilTheRunIsForgottenAsync()
+    {
+        var tracker = new RunEventSoundTracker();
+
+        await Assert.That(tracker.TryMarkRunEvent("retryStarted", "run-1")).IsTrue();
+        await Assert.That(tracker.TryMarkRunEvent("retryStarted", "run-1")).IsFalse();
+        await Assert.That(tracker.TryMarkRunEvent("pendingApproval", "run-1")).IsTrue();
+        await Assert.That(tracker.TryMarkRunEvent("retryStarted", "run-2")).IsTrue();
+
+        tracker.ForgetRun("run-1");
+
+        await Assert.That(tracker.TryMarkRunEvent("retryStarted", "run-1")).IsTrue();
+        await Assert.That(tracker.TryMarkRunEvent("retryStarted", "run-2")).IsFalse();
+    }
+
+    [Test]
+    public async Task RuntimesThatGoOfflineWhileRunningAreReportedLostOnceAsync()
+    {
+        var tracker = new RunEventSoundTracker();
+        var running = new HashSet<string>(StringComparer.OrdinalIgnoreCase) { "runtime-a", "runtime-b" };
+
+        var baseline = tracker.FindLostRuntimes([Registration("runtime-a", online: true), Registration("runtime-b", online: true)], running);
+        var lost = tracker.FindLostRuntimes([Registration("runtime-a", online: false), Registration("runtime-b", online: true)], running);
+        var stillLost = tracker.FindLostRuntimes([Registration("runtime-a", online: false), Registration("runtime-b", online: true)], running);
+
+        await Assert.That(baseline).IsEmpty();
+        await Assert.That(lost.Select(registration => registration.RuntimeId)).IsEquivalentTo(["runtime-a"]);
+        await Assert.That(stillLost).IsEmpty();
+    }
+
+    [Test]
+    public async Task StoppedRuntimesAreNotReportedLostAsync()
+    {
+        var tracker = new RunEventSoundTracker();
+        var running = new HashSet<string>(StringComparer.OrdinalIgnoreCase) { "runtime-a" };
+
+        tracker.FindLostRuntimes([Registration("runtime-a", online: true)], running);
+        var lost = tracker.FindLostRuntimes([Registration("runtime-a", online: false)], new HashSet<string>(StringComparer.OrdinalIgnoreCase));
+
+        await Assert.That(lost).IsEmpty();
+    }
+
+    private static TaskRuntimeRegistration Registration(string runtimeId, bool online)
+    {
+        return new TaskRuntimeRegistration { RuntimeId = runtimeId, Online = online };
+    }
+}
@@ -0,0 +1,45 @@
+using AgentsDashboard.ControlPlane.Components.Workspace;
+using AgentsDashboard.Contracts.Features.Repositories.Models.Domain;
+
+namespace AgentsDashboard.Workspace.IntegrationTests;
+
+public sealed class WorkspaceCommandCatalogTests
+{
+    [Test]
+    public async Task BuildTargetsListsRepositoriesByNameThenTasksByLatestActivityAsync()
+    {
+        var now = new DateTime(2026, 3, 4, 5, 6, 7, DateTimeKind.Utc);
+        var repositories = new List<RepositoryDocument>
+        {
+            new() { Id = "repo-b", Name = "Beta" },
+            new() { Id = "repo-a", Name = "Alpha" }
+        };
+        var tasks = new List<TaskDocument>
+        {
+            new() { Id = "task-old", Name = "Old task", CreatedAtUtc = now.AddHours(-2) },
+            new() { Id = "task-unnamed", Name = " ", CreatedAtUtc = now.AddHours(-1) },
+            new() { Id = "task-new", Name = "New task", CreatedAtUtc = now.AddHours(-3) }
+        };
+        var latestRuns = new Dictionary<string, DateTime> { ["task-new"] = now };
+
+        var targets = WorkspaceCommandCatalog.BuildTargets(
+            repositories,
+            tasks,
+            "Alpha",
+            task => latestRuns.TryGetValue(task.Id, out var runAt) ? runAt : task.CreatedAtUtc);
+
+        await Assert.That(string.Join(",", targets.Select(target => target.Id)))
+            .IsEqualTo("repository:repo-a,repository:repo-b,task:task-new,task:task-unnamed,task:task-old");
+        await Assert.That(targets[3].Title).IsEqualTo("task-unnamed");
+        await Assert.That(targets[2].Subtitle).IsEqualTo("Task in Alpha");
+    }
+
+    [Test]
+    public async Task ParseSplitsCommandAndArgumentOnFirstColonAsync()
+    {
+        await Assert.That(WorkspaceCommand.Parse("task:abc:def")).IsEqualTo(new WorkspaceCommand("task", "abc:def"));
+        await Assert.That(WorkspaceCommand.Parse("refresh-runs")).IsEqualTo(new WorkspaceCommand("refresh-runs", string.Empty));
+        await Assert.That(WorkspaceCommand.Parse("  ")).IsNull();
+        await Assert.That(WorkspaceCommand.Parse(null)).IsNull();
+    }
+}
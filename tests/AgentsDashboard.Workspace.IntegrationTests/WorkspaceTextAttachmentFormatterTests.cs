@@ -0,0 +1,41 @@
+using AgentsDashboard.ControlPlane.Components.Workspace;
+using AgentsDashboard.ControlPlane.Features.Workspace.Services;
+
+namespace AgentsDashboard.Workspace.IntegrationTests;
+
+public sealed class WorkspaceTextAttachmentFormatterTests
+{
+    [Test]
+    public async Task AttachmentsAreFencedWithTheirLanguageAsync()
+    {
+        var text = WorkspaceTextAttachmentFormatter.AppendAttachments(
+            "Review this",
+            [new WorkspaceTextAttachmentInput("a-1", "data.json", "application/json", 9, "{\"a\": 1}\n")]);
+
+        await Assert.That(text).IsEqualTo("Review this" + Environment.NewLine + Environment.NewLine
+            + "Attached file `data.json`:" + Environment.NewLine
+            + "```json" + Environment.NewLine
+            + "{\"a\": 1}" + Environment.NewLine
+            + "```");
+    }
+
+    [Test]
+    public async Task FencesAreLongerThanAnyBacktickRunInTheContentAsync()
+    {
+        const string content = "# Notes\n~~~~\ntilde block\n~~~~\n\n````md\n```js\nnested\n```\n````";
+
+        var text = WorkspaceTextAttachmentFormatter.AppendAttachments(
+            string.Empty,
+            [new WorkspaceTextAttachmentInput("a-1", "notes.md", "text/markdown", content.Length, content)]);
+
+        await Assert.That(WorkspaceTextAttachmentFormatter.GetCodeFence(content)).IsEqualTo("`````");
+        await Assert.That(text.StartsWith("Attached file `notes.md`:" + Environment.NewLine + "`````markdown" + Environment.NewLine, StringComparison.Ordinal)).IsTrue();
+        await Assert.That(text.EndsWith(content + Environment.NewLine + "`````", StringComparison.Ordinal)).IsTrue();
+    }
+
+    [Test]
+    public async Task ContentWithoutBackticksUsesTheShortestFenceAsync()
+    {
+        await Assert.That(WorkspaceTextAttachmentFormatter.GetCodeFence("plain ~~~~ text")).IsEqualTo("```");
+    }
+}
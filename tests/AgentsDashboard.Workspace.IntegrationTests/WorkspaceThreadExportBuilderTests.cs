@@ -0,0 +1,86 @@
+using AgentsDashboard.ControlPlane.Components.Workspace;
+using AgentsDashboard.ControlPlane.Features.Runs.Services;
+using AgentsDashboard.Contracts.Features.Repositories.Models.Domain;
+using AgentsDashboard.Contracts.Features.Runs.Models.Domain;
+using AgentsDashboard.Contracts.Features.Shared.Models.Domain;
+using AgentsDashboard.Contracts.Features.Workspace.Models.Domain;
+
+namespace AgentsDashboard.Workspace.IntegrationTests;
+
+public sealed class WorkspaceThreadExportBuilderTests
+{
+    [Test]
+    public async Task BuildIncludesPromptImagesRunStatesAndToolCallsAsync()
+    {
+        var builder = new WorkspaceThreadExportBuilder();
+        var now = new DateTime(2026, 3, 4, 5, 6, 7, DateTimeKind.Utc);
+        var task = new TaskDocument { Id = "task-1", Name = "Fix the CI / build!", Harness = "codex" };
+
+        var promptHistory = new List<WorkspacePromptEntryDocument>
+        {
+            new()
+            {
+                Id = "prompt-1",
+                RunId = "run-1",
+                Role = "user",
+                Content = "See screenshot",
+                HasImages = true,
+                ImageMetadataJson = """[{"FileName":"error.png","ArtifactName":"workspace-image-01-abc.png","MimeType":"image/png","SizeBytes":120,"Width":640,"Height":480}]""",
+                CreatedAtUtc = now
+            }
+        };
+
+        var run = new RunDocument
+        {
+            Id = "run-1",
+            State = RunState.Failed,
+            Summary = "Build failed",
+            CreatedAtUtc = now.AddSeconds(1),
+            EndedAtUtc = now.AddSeconds(30)
+        };
+
+        var structuredView = new RunStructuredViewSnapshot(
+            RunId: run.Id,
+            LastSequence: 2,
+            Timeline: [],
+            Thinking: [],
+            Tools:
+            [
+                new RunStructuredToolTimelineItem(2, "tool", "bash", "call-2", "completed", "{}", string.Empty, now.AddSeconds(20)),
+                new RunStructuredToolTimelineItem(1, "tool", "read_file", "call-1", "completed", "{}", string.Empty, now.AddSeconds(10))
+            ],
+            Diff: null,
+            UpdatedAtUtc: now.AddSeconds(30));
+
+        var export = builder.Build(
+            task,
+            "dashboard",
+            "Failed",
+            promptHistory,
+            [run],
+            new Dictionary<string, RunStructuredViewSnapshot> { [run.Id] = structuredView },
+            now);
+
+        await Assert.That(export.FileBaseName).IsEqualTo("fix-the-ci-build-20260304-050607");
+        await Assert.That(export.Task.Repository).IsEqualTo("dashboard");
+        await Assert.That(export.Entries.Count).IsEqualTo(1);
+        await Assert.That(export.Entries[0].Images.Count).IsEqualTo(1);
+        await Assert.That(export.Entries[0].Images[0].FileName).IsEqualTo("error.png");
+        await Assert.That(export.Entries[0].Images[0].ArtifactName).IsEqualTo("workspace-image-01-abc.png");
+        await Assert.That(export.Entries[0].Images[0].DataUrl).IsEmpty();
+        await Assert.That(export.Runs.Count).IsEqualTo(1);
+        await Assert.That(export.Runs[0].State).IsEqualTo("Failed");
+        await Assert.That(export.Runs[0].ToolCalls.Count).IsEqualTo(2);
+        await Assert.That(export.Runs[0].ToolCalls[0].ToolName).IsEqualTo("read_file");
+    }
+
+    [Test]
+    public async Task ReadImagesIgnoresMalformedMetadataAsync()
+    {
+        var entry = new WorkspacePromptEntryDocument { HasImages = true, ImageMetadataJson = "{not json" };
+
+        var images = WorkspaceThreadExportBuilder.ReadImages(entry);
+
+        await Assert.That(images).IsEmpty();
+    }
+}
@@ -0,0 +1,60 @@
+using AgentsDashboard.ControlPlane.Components.Workspace;
+using AgentsDashboard.Contracts.Features.Runs.Models.Domain;
+
+namespace AgentsDashboard.Workspace.IntegrationTests;
+
+public sealed class WorkspaceThreadUnreadTrackerTests
+{
+    [Test]
+    public async Task BackgroundThreadCountGrowsByOneWithEveryNewRunAsync()
+    {
+        var tracker = new WorkspaceThreadUnreadTracker();
+        tracker.Observe("task-active", ["prompt-1", "run-summary-a", "run-event-a"]);
+        tracker.Observe("task-background", WorkspaceChatProjectionBuilder.GetRunMessageIds(new RunDocument { Id = "run-1" }));
+
+        await Assert.That(tracker.GetNewRunCount("task-background")).IsEqualTo(0);
+
+        tracker.Observe("task-background", WorkspaceChatProjectionBuilder.GetRunMessageIds(new RunDocument { Id = "run-1" }));
+        tracker.Observe("task-background", WorkspaceChatProjectionBuilder.GetRunMessageIds(new RunDocument { Id = "run-2" }));
+        await Assert.That(tracker.GetNewRunCount("task-background")).IsEqualTo(1);
+
+        tracker.Observe("task-background", WorkspaceChatProjectionBuilder.GetRunMessageIds(new RunDocument { Id = "run-3" }));
+        await Assert.That(tracker.GetNewRunCount("task-background")).IsEqualTo(2);
+        await Assert.That(tracker.GetNewRunCount("task-active")).IsEqualTo(0);
+    }
+
+    [Test]
+    public async Task MarkSeenCountsOnlyRunsAfterTheLastSeenMessageAsync()
+    {
+        var tracker = new WorkspaceThreadUnreadTracker();
+        tracker.Observe("task-1", ["prompt-1"]);
+        tracker.Observe("task-1", ["prompt-1", "run-summary-1", "run-event-1", "prompt-2", "run-summary-2", "run-event-2"]);
+
+        tracker.MarkSeen("task-1", "run-event-1");
+        await Assert.That(tracker.GetNewRunCount("task-1")).IsEqualTo(1);
+        await Assert.That(tracker.GetLastSeenMessageId("task-1")).IsEqualTo("run-event-1");
+
+        tracker.MarkSeen("task-1", "run-summary-1");
+        await Assert.That(tracker.GetLastSeenMessageId("task-1")).IsEqualTo("run-event-1");
+
+        tracker.MarkSeen("task-1", "run-summary-2");
+        await Assert.That(tracker.GetNewRunCount("task-1")).IsEqualTo(0);
+        await Assert.That(tracker.GetLastSeenMessageId("task-1")).IsEqualTo("run-summary-2");
+    }
+
+    [Test]
+    public async Task RetainDropsThreadsThatNoLongerExistAsync()
+    {
+        var tracker = new WorkspaceThreadUnreadTracker();
+        tracker.Observe("task-kept", ["run-summary-1"]);
+        tracker.Observe("task-kept", ["run-summary-2"]);
+        tracker.Observe("task-deleted", ["run-summary-1"]);
+        tracker.Observe("task-deleted", ["run-summary-2"]);
+
+        tracker.Retain(new HashSet<string>(StringComparer.OrdinalIgnoreCase) { "TASK-KEPT" });
+
+        await Assert.That(tracker.GetNewRunCount("task-kept")).IsEqualTo(1);
+        await Assert.That(tracker.GetNewRunCount("task-deleted")).IsEqualTo(0);
+        await Assert.That(tracker.GetLastSeenMessageId("task-deleted")).IsNull();
+    }
+}